@@ -0,0 +1,149 @@
+// Authentication and roles on the in-process app: reads are public, writes
+// need an API key or JWT granting the route's permission
+process.env.QUOTE_REPOSITORY = 'memory';
+process.env.RATE_LIMIT_ENABLED = 'false';
+process.env.LOAD_SHEDDING_ENABLED = 'false';
+process.env.AUTH_ENABLED = 'true';
+process.env.JWT_SECRET = 'api-auth-test-secret';
+
+const request = require('supertest');
+const app = require('../server');
+const { SAMPLE_QUOTES } = require('../lib/sample-quotes');
+const { createApiKey } = require('../lib/api-keys');
+const { signHs256 } = require('../lib/jwt');
+
+const quotes = app.locals.quotes;
+const bearer = credential => ({ Authorization: `Bearer ${credential}` });
+const token = claims => signHs256(
+  { sub: 'k6', exp: Math.floor(Date.now() / 1000) + 60, ...claims },
+  process.env.JWT_SECRET
+);
+
+let writerKey;
+let adminKey;
+let contributorKey;
+let viewerKey;
+
+beforeAll(async () => {
+  await quotes.seed(SAMPLE_QUOTES);
+  ({ key: writerKey } = await createApiKey(quotes.apiKeys, { name: 'writer', scopes: ['quotes:write'] }));
+  ({ key: adminKey } = await createApiKey(quotes.apiKeys, { name: 'admin', scopes: ['admin'] }));
+  ({ key: contributorKey } = await createApiKey(quotes.apiKeys, { name: 'contrib', roles: ['contributor'] }));
+  ({ key: viewerKey } = await createApiKey(quotes.apiKeys, { name: 'viewer', roles: ['viewer'] }));
+});
+
+test('reads stay public, whatever credentials are sent', async () => {
+  expect((await request(app).get('/api/quotes/random')).status).toBe(200);
+  expect((await request(app).get('/api/quotes/random').set(bearer('legitimate-token'))).status).toBe(200);
+});
+
+test.each([
+  ['post', '/api/quotes'],
+  ['put', '/api/quotes/1'],
+  ['patch', '/api/quotes/1'],
+  ['delete', '/api/quotes/1'],
+  ['post', '/api/quotes/import']
+])('%s %s needs credentials', async (method, path) => {
+  const res = await request(app)[method](path).send([{ text: 'T', author: 'A' }]);
+  expect(res.status).toBe(401);
+  expect(res.headers['www-authenticate']).toBe('Bearer realm="quote-api"');
+  expect(res.body.code).toBe('AUTHENTICATION_REQUIRED');
+});
+
+test('an API key with quotes:write can create and update quotes', async () => {
+  const created = await request(app).post('/api/quotes').set(bearer(writerKey)).send({ text: 'Keyed.', author: 'A' });
+  expect(created.status).toBe(201);
+
+  const patched = await request(app)
+    .patch(`/api/quotes/${created.body.data.id}`)
+    .set('X-API-Key', writerKey)
+    .send({ category: 'life' });
+  expect(patched.status).toBe(200);
+});
+
+test('missing permissions are a 403 naming the permission', async () => {
+  const res = await request(app).delete('/api/quotes/2').set(bearer(writerKey));
+  expect(res.status).toBe(403);
+  expect(res.headers['content-type']).toMatch(/application\/problem\+json/);
+  expect(res.body).toMatchObject({
+    code: 'MISSING_PERMISSION',
+    permission: 'quotes:delete',
+    detail: 'Missing permission quotes:delete'
+  });
+  expect((await request(app).get('/api/quotes/2')).status).toBe(200);
+});
+
+test('viewers can read but not write', async () => {
+  expect((await request(app).get('/api/quotes/2').set(bearer(viewerKey))).status).toBe(200);
+  const res = await request(app).post('/api/quotes').set(bearer(viewerKey)).send({ text: 'T', author: 'A' });
+  expect(res.status).toBe(403);
+  expect(res.body.permission).toBe('quotes:create');
+});
+
+test('contributors can only change and delete the quotes they submitted', async () => {
+  const created = await request(app).post('/api/quotes').set(bearer(contributorKey)).send({ text: 'Mine.', author: 'C' });
+  expect(created.status).toBe(201);
+  const { id, created_by: owner } = created.body.data;
+  expect(owner).toMatch(/^key:\d+$/);
+
+  expect((await request(app).put(`/api/quotes/${id}`).set(bearer(contributorKey)).send({ text: 'Still mine.', author: 'C' })).status)
+    .toBe(200);
+  expect((await request(app).patch(`/api/quotes/${id}`).set(bearer(contributorKey)).send({ category: 'life' })).status)
+    .toBe(200);
+
+  // Seeded quotes have no owner; a contributor JWT is a different principal
+  for (const [credential, quoteId] of [[contributorKey, 3], [token({ role: 'contributor' }), id]]) {
+    const res = await request(app).patch(`/api/quotes/${quoteId}`).set(bearer(credential)).send({ category: 'life' });
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ code: 'MISSING_PERMISSION', permission: 'quotes:update' });
+  }
+  const denied = await request(app).delete('/api/quotes/3').set(bearer(contributorKey));
+  expect(denied.body).toMatchObject({ code: 'MISSING_PERMISSION', permission: 'quotes:delete' });
+
+  expect((await request(app).delete('/api/quotes/999999').set(bearer(contributorKey))).status).toBe(404);
+  expect((await request(app).post('/api/quotes/import').set(bearer(contributorKey)).send([])).body.permission)
+    .toBe('quotes:import');
+  expect((await request(app).put('/api/quotes/schedule/2030-01-01').set(bearer(contributorKey)).send({ quoteId: id })).body.permission)
+    .toBe('quotes:schedule');
+  expect((await request(app).delete(`/api/quotes/${id}`).set(bearer(contributorKey))).status).toBe(200);
+});
+
+test('editors can change and delete any quote, and schedule the quote of the day', async () => {
+  const editor = bearer(token({ role: 'editor' }));
+  expect((await request(app).patch('/api/quotes/3').set(editor).send({ category: 'life' })).status).toBe(200);
+  expect((await request(app).delete('/api/quotes/3').set(editor)).status).toBe(200);
+  expect((await request(app).put('/api/quotes/schedule/2030-01-01').set(editor).send({ quoteId: 4 })).status).toBe(200);
+  expect((await request(app).get('/api/quotes/schedule?from=2030-01-01').set(editor)).body.count).toBe(1);
+});
+
+test('admin keys can do anything', async () => {
+  expect((await request(app).delete('/api/quotes/2').set(bearer(adminKey))).status).toBe(200);
+});
+
+test('JWTs carry their roles and scopes', async () => {
+  const res = await request(app)
+    .post('/api/quotes/import?dryRun=true')
+    .set(bearer(token({ scope: 'quotes:import' })))
+    .send([{ text: 'Imported.', author: 'B' }]);
+  expect(res.status).toBe(200);
+
+  const denied = await request(app).post('/api/quotes').set(bearer(token({ scope: 'quotes:import' }))).send({ text: 'T', author: 'A' });
+  expect(denied.status).toBe(403);
+});
+
+test('revoked keys and bad tokens are a 401', async () => {
+  const { key, record } = await createApiKey(quotes.apiKeys, { name: 'temp', scopes: ['admin'] });
+  await quotes.apiKeys.revoke(record.id);
+
+  for (const credential of [key, token({ scope: 'admin', exp: 1 }), 'legitimate-token']) {
+    const res = await request(app).post('/api/quotes').set(bearer(credential)).send({ text: 'T', author: 'A' });
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_CREDENTIALS');
+    expect(res.headers['www-authenticate']).toContain('error="invalid_token"');
+  }
+});
+
+test('credentials are checked before the body', async () => {
+  const res = await request(app).post('/api/quotes').send({ nonsense: true });
+  expect(res.status).toBe(401);
+});
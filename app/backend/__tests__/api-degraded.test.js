@@ -0,0 +1,191 @@
+// The app with PostgreSQL unreachable (nothing listens on port 1), once per
+// DATA_SOURCE_POLICY
+const request = require('supertest');
+const { signHs256 } = require('../lib/jwt');
+const { generateApiKey } = require('../lib/api-keys');
+
+// JWTs are checked without the database, so writes get as far as the repository
+const JWT_SECRET = 'degraded-test-secret';
+const bearer = token => ({ Authorization: `Bearer ${token}` });
+const adminToken = () => signHs256({ sub: 'ci', scope: 'admin', exp: Math.floor(Date.now() / 1000) + 300 }, JWT_SECRET);
+
+function loadApp(env) {
+  Object.assign(process.env, {
+    QUOTE_REPOSITORY: 'postgres',
+    DB_HOST: '127.0.0.1',
+    DB_PORT: '1',
+    RATE_LIMIT_ENABLED: 'false',
+    LOAD_SHEDDING_ENABLED: 'false',
+    // Cached query results would answer before the database is tried
+    QUERY_CACHE: 'none',
+    JWT_SECRET,
+    ...env
+  });
+  let app;
+  jest.isolateModules(() => {
+    app = require('../server');
+  });
+  return app;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('fallback policy', () => {
+  const app = loadApp({ DATA_SOURCE_POLICY: 'fallback' });
+
+  test('reads are served from sample data and marked degraded', async () => {
+    const res = await request(app).get('/api/quotes');
+    expect(res.status).toBe(200);
+    expect(res.headers['x-data-source']).toBe('sample_data');
+    expect(res.body).toMatchObject({ success: true, count: 5, degraded: true, source: 'sample_data' });
+  });
+
+  test.each([
+    '/api/quotes/random',
+    '/api/quotes/today',
+    '/api/quotes/1',
+    '/api/quotes/search?q=jobs',
+    '/api/quotes/categories',
+    '/api/quotes/category/life',
+    '/api/quotes/stats'
+  ])('GET %s falls back to sample data', async path => {
+    const res = await request(app).get(path);
+    expect(res.status).toBe(200);
+    expect(res.body.degraded).toBe(true);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.headers).not.toHaveProperty('etag');
+  });
+
+  test('exports fall back to sample data', async () => {
+    const res = await request(app).get('/api/quotes/export?format=csv');
+    expect(res.status).toBe(200);
+    expect(res.headers['x-data-source']).toBe('sample_data');
+    expect(res.text).toContain('Steve Jobs');
+  });
+
+  test.each([
+    ['post', '/api/quotes'],
+    ['put', '/api/quotes/1'],
+    ['patch', '/api/quotes/1'],
+    ['delete', '/api/quotes/1']
+  ])('%s %s is read-only', async (method, path) => {
+    const res = await request(app)[method](path).set(bearer(adminToken())).send({ text: 'Text', author: 'Author' });
+    expect(res.status).toBe(503);
+    expect(res.body.message).toMatch(/read-only/);
+  });
+
+  test('API keys cannot be checked while the database is down', async () => {
+    const res = await request(app).post('/api/quotes').set(bearer(generateApiKey())).send({ text: 'T', author: 'A' });
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe('DATABASE_UNAVAILABLE');
+  });
+
+  test('sample quotes are not counted as served', async () => {
+    for (const path of ['/api/quotes/random', '/api/quotes/today', '/api/quotes/1']) {
+      expect((await request(app).get(path)).headers['x-data-source']).toBe('sample_data');
+    }
+    expect(app.locals.serveCounter.snapshot().size).toBe(0);
+  });
+
+  test('readiness reports degraded but stays in rotation', async () => {
+    const res = await request(app).get('/health/ready');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      status: 'degraded',
+      dataSource: 'sample_data',
+      checks: { database: { status: 'down', backend: 'postgres' } }
+    });
+  });
+});
+
+describe('cache policy', () => {
+  const app = loadApp({ DATA_SOURCE_POLICY: 'cache' });
+
+  test('serves the last database result, never sample data', async () => {
+    const rows = [{ category: 'life', count: 7 }];
+    jest.spyOn(app.locals.quotes, 'categories').mockResolvedValueOnce(rows);
+    expect((await request(app).get('/api/quotes/categories')).headers['x-data-source']).toBe('db');
+
+    const cached = await request(app).get('/api/quotes/categories');
+    expect(cached.status).toBe(200);
+    expect(cached.body).toMatchObject({ data: rows, source: 'cache', degraded: true });
+    expect(cached.body.cachedAt).toBeDefined();
+
+    const uncached = await request(app).get('/api/quotes/random');
+    expect(uncached.status).toBe(503);
+    expect(uncached.headers['retry-after']).toBeDefined();
+  });
+
+  test('only quotes read from the database are counted as served', async () => {
+    const quote = { id: 42, text: 'Stored.', author: 'A', category: 'general' };
+    jest.spyOn(app.locals.quotes, 'findById').mockResolvedValueOnce(quote);
+    expect((await request(app).get('/api/quotes/42')).headers['x-data-source']).toBe('db');
+    expect((await request(app).get('/api/quotes/42')).headers['x-data-source']).toBe('cache');
+    expect(app.locals.serveCounter.snapshot()).toEqual(new Map([[42, 1]]));
+  });
+
+  test('results are found by the validated query, whatever else is in the URL', async () => {
+    const page = { data: [{ id: 7, text: 'Listed.', author: 'B', category: 'life' }], pagination: { total: 1 } };
+    jest.spyOn(app.locals.quotes, 'list').mockResolvedValueOnce(page);
+    expect((await request(app).get('/api/quotes?category=life&_=1')).headers['x-data-source']).toBe('db');
+
+    const busted = await request(app).get('/api/quotes?_=2&category=life');
+    expect(busted.status).toBe(200);
+    expect(busted.body).toMatchObject({ data: page.data, source: 'cache' });
+    expect((await request(app).get('/api/quotes?category=love')).status).toBe(503);
+
+    const found = [{ id: 8, text: 'Found.', author: 'C', category: 'life' }];
+    jest.spyOn(app.locals.quotes, 'search').mockResolvedValueOnce(found);
+    expect((await request(app).get('/api/quotes/search?q=found&_=1')).headers['x-data-source']).toBe('db');
+    expect((await request(app).get('/api/quotes/search?q=found&_=2')).body).toMatchObject({ data: found, source: 'cache' });
+  });
+});
+
+describe('strict policy', () => {
+  const app = loadApp({ DATA_SOURCE_POLICY: 'strict', HEALTH_READY_REQUIRE_DATABASE: 'true' });
+
+  test('reads answer 503 with Retry-After', async () => {
+    const res = await request(app).get('/api/quotes');
+    expect(res.status).toBe(503);
+    expect(res.headers['retry-after']).toBeDefined();
+    expect(res.body).toMatchObject({
+      success: false,
+      code: 'DATABASE_UNAVAILABLE',
+      message: 'Database not available'
+    });
+  });
+
+  test('exports answer 503', async () => {
+    const res = await request(app).get('/api/quotes/export');
+    expect(res.status).toBe(503);
+    expect(res.headers['x-data-source']).toBeUndefined();
+  });
+
+  test('readiness fails when the database is required', async () => {
+    const res = await request(app).get('/health/ready');
+    expect(res.status).toBe(503);
+    expect(res.body.status).toBe('unhealthy');
+  });
+
+  test('errors other than lost connectivity are still a 500', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(app.locals.quotes, 'findById').mockRejectedValue(new Error('syntax error'));
+
+    const res = await request(app).get('/api/quotes/1');
+    expect(res.status).toBe(500);
+  });
+
+  test('the circuit breaker opens after repeated failures', async () => {
+    for (let i = 0; i < 6; i++) {
+      await request(app).get('/api/quotes');
+    }
+    const res = await request(app).get('/health/ready');
+    expect(res.body.checks.circuitBreaker.status).toBe('open');
+  });
+});
@@ -0,0 +1,605 @@
+// Exercises every route of the in-process app against the in-memory repository
+process.env.QUOTE_REPOSITORY = 'memory';
+process.env.RATE_LIMIT_ENABLED = 'false';
+// Authentication has its own suite (api-auth.test.js)
+process.env.AUTH_ENABLED = 'false';
+process.env.LOAD_SHEDDING_ENABLED = 'false';
+
+const request = require('supertest');
+const app = require('../server');
+const { SAMPLE_QUOTES } = require('../lib/sample-quotes');
+
+const quotes = app.locals.quotes;
+
+beforeAll(async () => {
+  await quotes.seed(SAMPLE_QUOTES);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('health and metrics', () => {
+  test('GET /health/live', async () => {
+    const res = await request(app).get('/health/live');
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('healthy');
+  });
+
+  test.each(['/health', '/health/ready', '/api/health'])('GET %s reports the repository', async path => {
+    const res = await request(app).get(path);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      status: 'healthy',
+      dataSource: 'db',
+      checks: { database: { status: 'up', backend: 'memory' } }
+    });
+  });
+
+  test('GET /metrics', async () => {
+    const res = await request(app).get('/metrics');
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('http_requests_total');
+  });
+});
+
+describe('GET /api/quotes', () => {
+  test('lists quotes with pagination', async () => {
+    const res = await request(app).get('/api/quotes?limit=2');
+    expect(res.status).toBe(200);
+    expect(res.headers['x-data-source']).toBe('db');
+    expect(res.body).toMatchObject({ success: true, count: 2 });
+    expect(res.body.pagination).toMatchObject({ limit: 2, hasMore: true });
+    expect(res.body.degraded).toBeUndefined();
+  });
+
+  test('filters by author and follows the next cursor', async () => {
+    const first = await request(app).get('/api/quotes?author=Steve%20Jobs&limit=1');
+    expect(first.body.data[0].author).toBe('Steve Jobs');
+
+    const next = await request(app)
+      .get('/api/quotes')
+      .query({ author: 'Steve Jobs', limit: 1, cursor: first.body.pagination.next });
+    expect(next.body.data[0].author).toBe('Steve Jobs');
+    expect(next.body.data[0].id).not.toBe(first.body.data[0].id);
+  });
+
+  test('lists every invalid query parameter', async () => {
+    const res = await request(app).get('/api/quotes?limit=abc&offset=-1&sort=text');
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(e => e.field)).toEqual(['sort', 'limit', 'offset']);
+  });
+
+  test('ignores unknown query parameters', async () => {
+    expect((await request(app).get('/api/quotes?_=123')).status).toBe(200);
+  });
+
+  test.each([
+    ['sort=text', /sort/],
+    ['order=up', /order/],
+    ['limit=0', /limit/],
+    ['page=1&offset=2', /cannot be combined/],
+    ['cursor=nonsense', /cursor/]
+  ])('rejects %s', async (query, message) => {
+    const res = await request(app).get(`/api/quotes?${query}`);
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(res.body.message).toMatch(message);
+  });
+});
+
+describe('read routes', () => {
+  test('GET /api/quotes/search ranks matches', async () => {
+    const res = await request(app).get('/api/quotes/search?q=lennon');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, count: 1, query: 'lennon' });
+    expect(res.body.data[0].author).toBe('John Lennon');
+  });
+
+  test.each(['', '?q=', '?q=%21%21', '?q=life&limit=0'])('GET /api/quotes/search%s is a bad request', async query => {
+    const res = await request(app).get(`/api/quotes/search${query}`);
+    expect(res.status).toBe(400);
+  });
+
+  test('GET /api/quotes/random', async () => {
+    const res = await request(app).get('/api/quotes/random');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveProperty('text');
+  });
+
+  test('GET /api/quotes/categories', async () => {
+    const res = await request(app).get('/api/quotes/categories');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toContainEqual({ category: 'life', count: 1 });
+  });
+
+  test('GET /api/quotes/stats', async () => {
+    const res = await request(app).get('/api/quotes/stats?range=all&detailed=true');
+    expect(res.status).toBe(200);
+    expect(res.body.data.range).toBe('all');
+    expect(res.body.data.totals.quotes).toBeGreaterThanOrEqual(SAMPLE_QUOTES.length);
+    expect(res.body.data).toHaveProperty('mostServed');
+  });
+
+  test('GET /api/quotes/stats rejects unknown ranges', async () => {
+    const res = await request(app).get('/api/quotes/stats?range=forever');
+    expect(res.status).toBe(400);
+  });
+
+  test('GET /api/quotes/:id', async () => {
+    const res = await request(app).get('/api/quotes/3');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ id: 3, author: 'John Lennon' });
+  });
+
+  test.each([['abc', 400], ['0', 400], ['99999', 404]])('GET /api/quotes/%s answers %i', async (id, status) => {
+    const res = await request(app).get(`/api/quotes/${id}`);
+    expect(res.status).toBe(status);
+    expect(res.body.success).toBe(false);
+  });
+
+  test('GET /api/quotes/category/:category validates the category', async () => {
+    const res = await request(app).get('/api/quotes/category/a%3Bb');
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ location: 'params', field: 'category' });
+  });
+
+  test('GET /api/quotes/category/:category', async () => {
+    const res = await request(app).get('/api/quotes/category/innovation');
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(1);
+
+    const none = await request(app).get('/api/quotes/category/unknown');
+    expect(none.body).toMatchObject({ success: true, count: 0, data: [] });
+  });
+});
+
+describe('HTTP caching', () => {
+  test('GET /api/quotes/:id answers conditional requests with 304', async () => {
+    const res = await request(app).get('/api/quotes/4');
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('public, max-age=300');
+    expect(res.headers.etag).toMatch(/^"[\w-]+"$/);
+    expect(new Date(res.headers['last-modified']).getTime()).not.toBeNaN();
+
+    const byTag = await request(app).get('/api/quotes/4').set('If-None-Match', res.headers.etag);
+    expect(byTag.status).toBe(304);
+    expect(byTag.text).toBe('');
+    expect(byTag.headers.etag).toBe(res.headers.etag);
+
+    const byDate = await request(app).get('/api/quotes/4').set('If-Modified-Since', res.headers['last-modified']);
+    expect(byDate.status).toBe(304);
+
+    const other = await request(app).get('/api/quotes/4').set('If-None-Match', '"something-else"');
+    expect(other.status).toBe(200);
+  });
+
+  test('the ETag changes when the quote does', async () => {
+    const { id } = (await request(app).post('/api/quotes').send({ text: 'Versioned.', author: 'V' })).body.data;
+    const before = await request(app).get(`/api/quotes/${id}`);
+    const list = await request(app).get('/api/quotes?author=V');
+
+    await request(app).patch(`/api/quotes/${id}`).send({ category: 'life' });
+
+    const after = await request(app).get(`/api/quotes/${id}`).set('If-None-Match', before.headers.etag);
+    expect(after.status).toBe(200);
+    expect(after.headers.etag).not.toBe(before.headers.etag);
+    const listAfter = await request(app).get('/api/quotes?author=V').set('If-None-Match', list.headers.etag);
+    expect(listAfter.status).toBe(200);
+
+    await request(app).delete(`/api/quotes/${id}`);
+    const emptied = await request(app).get('/api/quotes?author=V').set('If-None-Match', listAfter.headers.etag);
+    expect(emptied.status).toBe(200);
+    expect(emptied.body.count).toBe(0);
+  });
+
+  test('lists are cacheable and revalidate by ETag only', async () => {
+    const res = await request(app).get('/api/quotes?limit=2');
+    expect(res.headers['cache-control']).toBe('public, max-age=60');
+    expect(res.headers).not.toHaveProperty('last-modified');
+    expect((await request(app).get('/api/quotes?limit=2').set('If-None-Match', res.headers.etag)).status).toBe(304);
+
+    const nextPage = await request(app).get('/api/quotes?limit=2&offset=2');
+    expect(nextPage.headers.etag).not.toBe(res.headers.etag);
+  });
+
+  test.each([
+    '/api/quotes/search?q=life',
+    '/api/quotes/categories',
+    '/api/quotes/category/life',
+    '/api/quotes/stats'
+  ])('GET %s is cacheable with an ETag', async path => {
+    const res = await request(app).get(path);
+    expect(res.headers['cache-control']).toBe('public, max-age=60');
+    expect((await request(app).get(path).set('If-None-Match', res.headers.etag)).status).toBe(304);
+  });
+
+  test('a client asking for a fresh copy gets one', async () => {
+    const res = await request(app).get('/api/quotes');
+    const fresh = await request(app)
+      .get('/api/quotes')
+      .set('If-None-Match', res.headers.etag)
+      .set('Cache-Control', 'no-cache');
+    expect(fresh.status).toBe(200);
+  });
+
+  test.each([
+    ['get', '/api/quotes/random'],
+    ['get', '/api/quotes/export'],
+    ['get', '/api/quotes/99999'],
+    ['get', '/health'],
+    ['post', '/api/quotes']
+  ])('%s %s is never stored', async (method, path) => {
+    const res = await request(app)[method](path).send({ text: 'Not cached.', author: 'N' });
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.headers).not.toHaveProperty('etag');
+  });
+});
+
+describe('query cache', () => {
+  test('repeated reads are answered from the cache until a write', async () => {
+    const findById = jest.spyOn(quotes, 'findById');
+    expect((await request(app).get('/api/quotes/5')).status).toBe(200);
+    const cached = await request(app).get('/api/quotes/5');
+    expect(cached.body.data.id).toBe(5);
+    expect(findById).toHaveBeenCalledTimes(1);
+
+    const patched = await request(app).patch('/api/quotes/5').send({ category: 'cached' });
+    expect(patched.status).toBe(200);
+    const fresh = await request(app).get('/api/quotes/5');
+    expect(fresh.body.data.category).toBe('cached');
+
+    const byCategory = await request(app).get('/api/quotes/category/cached');
+    expect(byCategory.body.count).toBe(1);
+  });
+
+  test('lookups are counted in the metrics', async () => {
+    await request(app).get('/api/quotes/categories');
+    await request(app).get('/api/quotes/categories');
+    const res = await request(app).get('/metrics');
+    expect(res.text).toMatch(/quote_cache_lookups_total\{type="categories",result="hit"\} [1-9]/);
+    expect(res.text).toMatch(/quote_cache_lookups_total\{type="categories",result="miss"\} [1-9]/);
+  });
+});
+
+describe('Quote of the Day', () => {
+  test('GET /api/quotes/today is the same quote on every call', async () => {
+    const first = await request(app).get('/api/quotes/today');
+    expect(first.status).toBe(200);
+    expect(first.body).toMatchObject({ success: true, timeZone: 'UTC', scheduled: false });
+    expect(first.body.date).toBe(new Date().toISOString().slice(0, 10));
+    expect(first.headers['cache-control']).toMatch(/^public, max-age=\d+$/);
+
+    const second = await request(app).get('/api/quotes/today');
+    expect(second.body.data.id).toBe(first.body.data.id);
+    expect((await request(app).get('/api/quotes/today').set('If-None-Match', first.headers.etag)).status).toBe(304);
+  });
+
+  test('takes a time zone and a category', async () => {
+    const tokyo = await request(app).get('/api/quotes/today?tz=Asia/Tokyo&category=life');
+    expect(tokyo.status).toBe(200);
+    expect(tokyo.body.timeZone).toBe('Asia/Tokyo');
+    expect(tokyo.body.data.category).toBe('life');
+
+    const badZone = await request(app).get('/api/quotes/today?tz=Nowhere');
+    expect(badZone.status).toBe(400);
+    expect(badZone.body.errors[0]).toMatchObject({ location: 'query', field: 'tz' });
+    expect((await request(app).get('/api/quotes/today?category=nothing')).body.code).toBe('NO_QUOTES');
+  });
+
+  test('a scheduled quote replaces the day\'s pick until it is unscheduled', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const scheduled = await request(app).put(`/api/quotes/schedule/${today}`).send({ quoteId: 7 });
+    expect(scheduled.status).toBe(200);
+    expect(scheduled.body.data).toMatchObject({ date: today, category: null, quote_id: 7, scheduled: true });
+
+    const res = await request(app).get('/api/quotes/today');
+    expect(res.body).toMatchObject({ scheduled: true, data: { id: 7 } });
+
+    const listed = await request(app).get('/api/quotes/schedule');
+    expect(listed.body.from).toBe(today);
+    expect(listed.body.data).toContainEqual(expect.objectContaining({ date: today, quote_id: 7 }));
+
+    expect((await request(app).delete(`/api/quotes/schedule/${today}`)).status).toBe(200);
+    expect((await request(app).get('/api/quotes/today')).body.scheduled).toBe(false);
+    expect((await request(app).delete(`/api/quotes/schedule/${today}`)).body.code).toBe('SCHEDULE_NOT_FOUND');
+  });
+
+  test('schedules only existing quotes, in their own category, on real dates', async () => {
+    expect((await request(app).put('/api/quotes/schedule/2030-01-01').send({ quoteId: 999999 })).body.code)
+      .toBe('QUOTE_NOT_FOUND');
+    const quote = (await request(app).get('/api/quotes/7')).body.data;
+    const wrongCategory = await request(app).put('/api/quotes/schedule/2030-01-01')
+      .send({ quoteId: 7, category: quote.category === 'life' ? 'success' : 'life' });
+    expect(wrongCategory.status).toBe(400);
+    expect(wrongCategory.body.errors[0]).toMatchObject({ location: 'body', field: 'category' });
+
+    const badDate = await request(app).put('/api/quotes/schedule/2030-02-30').send({ quoteId: 7 });
+    expect(badDate.status).toBe(400);
+    expect(badDate.body.errors[0]).toMatchObject({ location: 'params', field: 'date' });
+  });
+});
+
+describe('GET /api/quotes/export', () => {
+  test.each([
+    ['json', 'application/json', '"author"'],
+    ['ndjson', 'application/x-ndjson', '"author"'],
+    ['csv', 'text/csv', 'id,text,author,category,created_at'],
+    ['xml', 'application/xml', '<quotes>']
+  ])('exports %s', async (format, contentType, marker) => {
+    const res = await request(app).get(`/api/quotes/export?format=${format}`).buffer(true).parse((r, done) => {
+      let text = '';
+      r.on('data', chunk => { text += chunk; });
+      r.on('end', () => done(null, text));
+    });
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain(contentType);
+    expect(res.headers['content-disposition']).toContain('attachment');
+    expect(res.body).toContain(marker);
+  });
+
+  test('CSV round-trips through the import unchanged, unless made spreadsheet-safe', async () => {
+    const text = '-- the dash is part of the quote';
+    const created = await request(app).post('/api/quotes').send({ text, author: '+1 idea', category: 'roundtrip' });
+    expect(created.status).toBe(201);
+    const exportCsv = async query => (await request(app).get(`/api/quotes/export?format=csv&category=roundtrip${query}`)).text;
+
+    const csv = await exportCsv('');
+    expect(csv).toContain(`,${text},+1 idea,roundtrip,`);
+    await request(app).delete(`/api/quotes/${created.body.data.id}`);
+    const imported = await request(app).post('/api/quotes/import').set('Content-Type', 'text/csv').send(csv);
+    expect(imported.status).toBe(201);
+    const [quote] = (await request(app).get('/api/quotes/category/roundtrip')).body.data;
+    expect(quote).toMatchObject({ text, author: '+1 idea' });
+
+    expect(await exportCsv('&spreadsheetSafe=true')).toContain(`,'${text},'+1 idea,roundtrip,`);
+  });
+
+  test.each([
+    'format=pdf',
+    'from=2024-13-01',
+    'from=2024-02-01&to=2024-01-01',
+    'spreadsheetSafe=yes'
+  ])('rejects %s', async query => {
+    const res = await request(app).get(`/api/quotes/export?${query}`);
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('writes', () => {
+  test('creates, updates, replaces and deletes a quote', async () => {
+    const created = await request(app)
+      .post('/api/quotes')
+      .send({ text: 'Simplicity is the ultimate sophistication.', author: 'Leonardo da Vinci' });
+    expect(created.status).toBe(201);
+    expect(created.body.data.category).toBe('general');
+    const { id } = created.body.data;
+
+    const patched = await request(app).patch(`/api/quotes/${id}`).send({ category: 'art' });
+    expect(patched.status).toBe(200);
+    expect(patched.body.data).toMatchObject({ text: 'Simplicity is the ultimate sophistication.', category: 'art' });
+
+    const replaced = await request(app)
+      .put(`/api/quotes/${id}`)
+      .send({ text: 'Learning never exhausts the mind.', author: 'Leonardo da Vinci' });
+    expect(replaced.status).toBe(200);
+    expect(replaced.body.data).toMatchObject({ text: 'Learning never exhausts the mind.', category: 'general' });
+
+    const deleted = await request(app).delete(`/api/quotes/${id}`);
+    expect(deleted.status).toBe(200);
+    expect(deleted.body.data.id).toBe(id);
+
+    expect((await request(app).get(`/api/quotes/${id}`)).status).toBe(404);
+  });
+
+  test.each([
+    ['post', '/api/quotes', { author: 'Nobody' }],
+    ['put', '/api/quotes/1', { text: 'No author' }],
+    ['patch', '/api/quotes/1', {}],
+    ['patch', '/api/quotes/1', { text: '' }]
+  ])('%s %s validates the body', async (method, path, body) => {
+    const res = await request(app)[method](path).send(body);
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
+
+  test('rejects oversized and unknown fields, listing each one', async () => {
+    const res = await request(app)
+      .post('/api/quotes')
+      .send({ text: 'x'.repeat(5000), author: 'Volume Test', metadata: { tags: ['a'] } });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { location: 'body', field: 'text', message: 'text must be at most 1000 characters' },
+      { location: 'body', field: 'metadata', message: 'metadata is not allowed' }
+    ]);
+  });
+
+  test('rejects categories outside the allowed charset', async () => {
+    const res = await request(app).patch('/api/quotes/1').send({ category: '<script>' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ location: 'body', field: 'category' });
+  });
+
+  test.each(['put', 'patch', 'delete'])('%s on a missing quote is a 404', async method => {
+    const res = await request(app)[method]('/api/quotes/99999').send({ text: 'Text', author: 'Author' });
+    expect(res.status).toBe(404);
+  });
+
+  test.each(['put', 'patch', 'delete'])('%s with an invalid id is a 400', async method => {
+    const res = await request(app)[method]('/api/quotes/-1').send({ text: 'Text', author: 'Author' });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/quotes/import', () => {
+  const csv = 'text,author,category\n"Well done is better than well said.",Benjamin Franklin,wisdom\n';
+
+  test('dry run reports without importing', async () => {
+    const res = await request(app)
+      .post('/api/quotes/import?dryRun=true')
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ dryRun: true, committed: false });
+    expect(res.body.data.results[0].status).toBe('valid');
+  });
+
+  test('imports CSV, then reports the same rows as duplicates', async () => {
+    const res = await request(app).post('/api/quotes/import').set('Content-Type', 'text/csv').send(csv);
+    expect(res.status).toBe(201);
+    expect(res.body.data.summary.imported).toBe(1);
+
+    const again = await request(app).post('/api/quotes/import').set('Content-Type', 'text/csv').send(csv);
+    expect(again.status).toBe(200);
+    expect(again.body.message).toBe('No new quotes to import');
+    expect(again.body.data.results[0].status).toBe('duplicate');
+  });
+
+  test('rejects atomic imports with invalid rows', async () => {
+    const res = await request(app)
+      .post('/api/quotes/import')
+      .set('Content-Type', 'application/x-ndjson')
+      .send('{"text":"Fine","author":"Someone"}\n{"text":""}\n');
+    expect(res.status).toBe(422);
+    expect(res.body.success).toBe(false);
+  });
+
+  test('only lines that fail to parse are parse errors', async () => {
+    const res = await request(app)
+      .post('/api/quotes/import?mode=best-effort&dryRun=true')
+      .set('Content-Type', 'application/x-ndjson')
+      .send('{"text":"Parsed fine.","author":"A","parseError":"not mine"}\n{"text":\n');
+    expect(res.body.data.results.map(result => result.status)).toEqual(['valid', 'invalid']);
+    expect(res.body.data.results[1].errors).toEqual(['Line is not valid JSON']);
+  });
+
+  test('accepts a trailing slash', async () => {
+    const res = await request(app).post('/api/quotes/import/?dryRun=true').set('Content-Type', 'text/csv').send(csv);
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary.total).toBe(1);
+  });
+
+  test('keeps valid rows in best-effort mode', async () => {
+    const res = await request(app)
+      .post('/api/quotes/import?mode=best-effort')
+      .send([{ text: 'Best effort keeps me.', author: 'Someone' }, { author: 'No text' }]);
+    expect(res.status).toBe(201);
+    expect(res.body.data.summary).toMatchObject({ imported: 1, invalid: 1 });
+  });
+
+  test.each([
+    ['text/plain', 'x', 415],
+    ['application/json', '{"quotes": 1}', 400],
+    ['application/json', '[]', 400]
+  ])('answers %s %s with %i', async (contentType, body, status) => {
+    const res = await request(app).post('/api/quotes/import').set('Content-Type', contentType).send(body);
+    expect(res.status).toBe(status);
+  });
+
+  test('rejects unknown modes', async () => {
+    const res = await request(app).post('/api/quotes/import?mode=sometimes').send([]);
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ location: 'query', field: 'mode' });
+  });
+
+  test('validates imported rows with the quote schema', async () => {
+    const res = await request(app)
+      .post('/api/quotes/import?dryRun=true')
+      .send([{ text: 'Fine.', author: 'A', category: 'bad/category' }]);
+    expect(res.status).toBe(422);
+    expect(res.body.data.results[0].errors).toEqual([
+      'category must be made of letters, digits, spaces, hyphens and underscores'
+    ]);
+  });
+});
+
+describe('error handling', () => {
+  test('unknown routes are a 404 problem document', async () => {
+    const res = await request(app).get('/api/nope');
+    expect(res.status).toBe(404);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.body).toEqual({
+      type: 'urn:quote-api:problem:route-not-found',
+      title: 'Not Found',
+      status: 404,
+      detail: 'Route not found',
+      instance: '/api/nope',
+      code: 'ROUTE_NOT_FOUND',
+      requestId: res.headers['x-request-id'],
+      success: false,
+      message: 'Route not found'
+    });
+  });
+
+  test('missing quotes are a 404 with their own code', async () => {
+    const res = await request(app).get('/api/quotes/999999');
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ code: 'QUOTE_NOT_FOUND', message: 'Quote not found' });
+  });
+
+  test('validation errors list each failure', async () => {
+    const res = await request(app).post('/api/quotes').send({ text: 'Text' });
+    expect(res.status).toBe(400);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.body).toMatchObject({
+      code: 'VALIDATION_FAILED',
+      errors: [{ location: 'body', field: 'author', message: 'author is required' }]
+    });
+  });
+
+  test('a valid incoming X-Request-ID is echoed, anything else replaced', async () => {
+    const kept = await request(app).get('/api/nope').set('X-Request-ID', 'trace-123');
+    expect(kept.headers['x-request-id']).toBe('trace-123');
+    expect(kept.body.requestId).toBe('trace-123');
+
+    const replaced = await request(app).get('/api/quotes').set('X-Request-ID', 'not a valid id');
+    expect(replaced.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('malformed JSON is a 400', async () => {
+    const res = await request(app).post('/api/quotes').set('Content-Type', 'application/json').send('{"text":');
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ success: false, code: 'MALFORMED_BODY' });
+  });
+
+  test('oversized JSON bodies are a 413', async () => {
+    const res = await request(app).post('/api/quotes').send({ text: 'x'.repeat(200 * 1024), author: 'Big' });
+    expect(res.status).toBe(413);
+    expect(res.body.code).toBe('PAYLOAD_TOO_LARGE');
+  });
+
+  test('unexpected read errors are a 500 without details', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(quotes, 'categories').mockRejectedValue(new Error('boom'));
+
+    const res = await request(app).get('/api/quotes/categories');
+    expect(res.status).toBe(500);
+    expect(res.body).toMatchObject({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: 'An unexpected error occurred'
+    });
+    expect(JSON.stringify(res.body)).not.toContain('boom');
+  });
+
+  test('unexpected write errors are a 500', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(quotes, 'create').mockRejectedValue(new Error('boom'));
+
+    const res = await request(app).post('/api/quotes').send({ text: 'Text', author: 'Author' });
+    expect(res.status).toBe(500);
+    expect(res.body).toMatchObject({ success: false, code: 'INTERNAL_ERROR' });
+  });
+
+  test.each([
+    ['23505', 409, 'CONFLICT'],
+    ['22001', 400, 'INVALID_VALUE'],
+    ['40P01', 503, 'DATABASE_BUSY']
+  ])('PostgreSQL error %s is a %i', async (sqlState, status, code) => {
+    jest.spyOn(quotes, 'create').mockRejectedValue(Object.assign(new Error('pg says no'), { code: sqlState }));
+
+    const res = await request(app).post('/api/quotes').send({ text: 'Text', author: 'Author' });
+    expect(res.status).toBe(status);
+    expect(res.body.code).toBe(code);
+  });
+});
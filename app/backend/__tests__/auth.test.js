@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJwtVerifier, loadJwks, signHs256 } = require('../lib/jwt');
+const { generateApiKey, hashApiKey, looksLikeApiKey, createApiKey } = require('../lib/api-keys');
+const { authOptions, createAuthenticator } = require('../lib/auth');
+const { createMemoryRepository } = require('../lib/repositories');
+const { UnauthorizedError, ForbiddenError } = require('../lib/errors');
+
+const SECRET = 'test-secret';
+const NOW = Date.UTC(2024, 4, 1);
+const nowSeconds = NOW / 1000;
+
+const base64url = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signRs256(claims, privateKey, kid) {
+  const unsigned = `${base64url({ alg: 'RS256', typ: 'JWT', kid })}.${base64url(claims)}`;
+  return `${unsigned}.${crypto.sign('RSA-SHA256', Buffer.from(unsigned), privateKey).toString('base64url')}`;
+}
+
+describe('jwt', () => {
+  const verifier = createJwtVerifier({ secret: SECRET, now: () => NOW });
+
+  test('verifies HS256 tokens', () => {
+    const token = signHs256({ sub: 'ci', exp: nowSeconds + 60 }, SECRET);
+    expect(verifier.verify(token)).toEqual({ sub: 'ci', exp: nowSeconds + 60 });
+  });
+
+  test.each([
+    ['a wrong secret', signHs256({ sub: 'ci', exp: nowSeconds + 60 }, 'other'), /signature/],
+    ['an expired token', signHs256({ sub: 'ci', exp: nowSeconds - 60 }, SECRET), /expired/],
+    ['a token used too early', signHs256({ sub: 'ci', exp: nowSeconds + 600, nbf: nowSeconds + 300 }, SECRET), /not valid yet/],
+    ['a token without expiry', signHs256({ sub: 'ci' }, SECRET), /expiry/],
+    ['alg none', `${base64url({ alg: 'none' })}.${base64url({ sub: 'ci', exp: nowSeconds + 60 })}.`, /Unsupported/],
+    ['garbage', 'not.a.jwt', /Malformed/],
+    ['a null header', `${base64url(null)}.${base64url({ sub: 'ci', exp: nowSeconds + 60 })}.`, /Malformed token header/],
+    ['a null payload', signHs256(null, SECRET), /Malformed token payload/],
+    ['an array payload', signHs256([], SECRET), /Malformed token payload/]
+  ])('rejects %s', (name, token, message) => {
+    expect(() => verifier.verify(token)).toThrow(message);
+  });
+
+  test('allows for clock skew', () => {
+    const token = signHs256({ sub: 'ci', exp: nowSeconds - 10 }, SECRET);
+    expect(verifier.verify(token).sub).toBe('ci');
+  });
+
+  test('checks issuer and audience when configured', () => {
+    const strict = createJwtVerifier({ secret: SECRET, issuer: 'idp', audience: 'quote-api', now: () => NOW });
+    const claims = { sub: 'ci', exp: nowSeconds + 60 };
+    expect(() => strict.verify(signHs256({ ...claims, iss: 'idp', aud: 'other' }, SECRET))).toThrow(/audience/);
+    expect(() => strict.verify(signHs256({ ...claims, iss: 'evil', aud: 'quote-api' }, SECRET))).toThrow(/issuer/);
+    expect(strict.verify(signHs256({ ...claims, iss: 'idp', aud: ['x', 'quote-api'] }, SECRET)).sub).toBe('ci');
+  });
+
+  describe('RS256 with a JWKS file', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    let dir;
+    let jwks;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+      const file = path.join(dir, 'jwks.json');
+      fs.writeFileSync(file, JSON.stringify({
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1', use: 'sig', alg: 'RS256' }]
+      }));
+      jwks = loadJwks(file);
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('verifies tokens signed by a listed key', () => {
+      const rs = createJwtVerifier({ jwks, now: () => NOW });
+      expect(rs.verify(signRs256({ sub: 'svc', exp: nowSeconds + 60 }, privateKey, 'k1')).sub).toBe('svc');
+      expect(() => rs.verify(signRs256({ sub: 'svc', exp: nowSeconds + 60 }, privateKey, 'k2'))).toThrow(/Unknown signing key/);
+    });
+
+    test('rejects HS256 tokens when only RS256 keys are configured', () => {
+      const rs = createJwtVerifier({ jwks, now: () => NOW });
+      expect(() => rs.verify(signHs256({ sub: 'svc', exp: nowSeconds + 60 }, SECRET))).toThrow(/Unsupported/);
+    });
+  });
+});
+
+describe('api keys', () => {
+  test('are random, recognisable and hashed', () => {
+    const key = generateApiKey();
+    expect(looksLikeApiKey(key)).toBe(true);
+    expect(looksLikeApiKey('legitimate-token')).toBe(false);
+    expect(generateApiKey()).not.toBe(key);
+    expect(hashApiKey(key)).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('need a name and known roles or scopes', async () => {
+    const store = createMemoryRepository().apiKeys;
+    await expect(createApiKey(store, { name: '', scopes: ['admin'] })).rejects.toThrow(/name/);
+    await expect(createApiKey(store, { name: 'ci', scopes: [] })).rejects.toThrow(/need a role/);
+    await expect(createApiKey(store, { name: 'ci', scopes: ['root'] })).rejects.toThrow(/Unknown scope/);
+    await expect(createApiKey(store, { name: 'ci', roles: ['root'] })).rejects.toThrow(/Unknown role/);
+    const { record } = await createApiKey(store, { name: 'ci', roles: ['editor', 'editor'] });
+    expect(record).toMatchObject({ roles: ['editor'], scopes: [] });
+  });
+});
+
+describe('authOptions', () => {
+  test('enabled with public reads by default, JWTs only with a secret or JWKS', () => {
+    expect(authOptions({})).toEqual({ enabled: true, publicReads: true, jwt: null });
+    expect(authOptions({ AUTH_ENABLED: 'false' }).enabled).toBe(false);
+    expect(authOptions({ AUTH_PUBLIC_READS: 'false' }).publicReads).toBe(false);
+    expect(authOptions({ JWT_SECRET: 's', JWT_AUDIENCE: 'quote-api' }).jwt).toEqual({
+      secret: 's',
+      jwksPath: undefined,
+      issuer: undefined,
+      audience: 'quote-api',
+      clockToleranceSeconds: 30
+    });
+  });
+});
+
+describe('requirePermission', () => {
+  const repository = createMemoryRepository();
+  const auth = createAuthenticator({ apiKeys: repository.apiKeys, jwt: { secret: SECRET }, publicReads: false });
+  let writerKey;
+  let contributorKey;
+
+  beforeAll(async () => {
+    ({ key: writerKey } = await createApiKey(repository.apiKeys, { name: 'writer', scopes: ['quotes:write'] }));
+    ({ key: contributorKey } = await createApiKey(repository.apiKeys, { name: 'contrib', roles: ['contributor'] }));
+  });
+
+  async function run(permission, headers = {}, options) {
+    const req = { headers, get: name => headers[name.toLowerCase()] };
+    const next = jest.fn();
+    await auth.requirePermission(permission, options)(req, {}, next);
+    return { req, error: next.mock.calls[0][0] };
+  }
+
+  const token = claims => signHs256({ sub: 'svc', exp: Math.floor(Date.now() / 1000) + 60, ...claims }, SECRET);
+
+  test('asks for credentials when there are none', async () => {
+    const { error } = await run('quotes:create');
+    expect(error).toBeInstanceOf(UnauthorizedError);
+    expect(error).toMatchObject({ code: 'AUTHENTICATION_REQUIRED', challenge: 'Bearer realm="quote-api"' });
+  });
+
+  test('accepts an API key with the permission, as Bearer or X-API-Key', async () => {
+    for (const headers of [{ authorization: `Bearer ${writerKey}` }, { 'x-api-key': writerKey }]) {
+      const { req, error } = await run('quotes:update', headers);
+      expect(error).toBeUndefined();
+      expect(req.principal).toMatchObject({
+        type: 'api_key',
+        name: 'writer',
+        roles: [],
+        scopes: ['quotes:write'],
+        permissions: ['quotes:create', 'quotes:update']
+      });
+      expect(req.ownedBy).toBeUndefined();
+    }
+  });
+
+  test('forbids credentials without the permission, naming it', async () => {
+    const { error } = await run('quotes:delete', { authorization: `Bearer ${writerKey}` });
+    expect(error).toBeInstanceOf(ForbiddenError);
+    expect(error).toMatchObject({ code: 'MISSING_PERMISSION', extensions: { permission: 'quotes:delete' } });
+    expect(error.message).toBe('Missing permission quotes:delete');
+  });
+
+  test('accepts JWT roles and scopes and lets admin do anything', async () => {
+    expect((await run('quotes:import', { authorization: `Bearer ${token({ scope: 'quotes:import quotes:write' })}` })).error)
+      .toBeUndefined();
+    expect((await run('quotes:import', { authorization: `Bearer ${token({ role: 'editor' })}` })).error).toBeUndefined();
+    expect((await run('quotes:import', { authorization: `Bearer ${token({ roles: ['contributor'] })}` })).error.code)
+      .toBe('MISSING_PERMISSION');
+    const { req, error } = await run('quotes:delete', { authorization: `Bearer ${token({ scopes: ['admin'] })}` });
+    expect(error).toBeUndefined();
+    expect(req.principal).toMatchObject({ type: 'jwt', id: 'jwt:svc', name: 'svc', roles: [], scopes: ['admin'] });
+    expect(req.principal.permissions).toContain('quotes:delete');
+  });
+
+  test('restricts holders of an :own permission to their own resources', async () => {
+    const headers = { authorization: `Bearer ${contributorKey}` };
+    expect((await run('quotes:update', headers)).error.code).toBe('MISSING_PERMISSION');
+
+    const { req, error } = await run('quotes:update', headers, { own: 'quotes:update:own' });
+    expect(error).toBeUndefined();
+    expect(req.ownedBy).toBe(req.principal.id);
+
+    const check = async owner => {
+      const next = jest.fn();
+      await auth.requireOwner('quotes:update', async () => owner)(req, {}, next);
+      return next.mock.calls[0][0];
+    };
+    expect(await check(req.principal.id)).toBeUndefined();
+    expect(await check(undefined)).toBeUndefined();
+    expect(await check('key:999')).toMatchObject({ code: 'MISSING_PERMISSION', extensions: { permission: 'quotes:update' } });
+    expect(await check(null)).toBeInstanceOf(ForbiddenError);
+  });
+
+  test('only checks reads when they are not public', async () => {
+    expect((await run('quotes:read')).error).toBeInstanceOf(UnauthorizedError);
+    expect((await run('quotes:read', { authorization: `Bearer ${token({ role: 'viewer' })}` })).error).toBeUndefined();
+
+    const open = createAuthenticator({ apiKeys: repository.apiKeys });
+    const next = jest.fn();
+    await open.requirePermission('quotes:read')({ get: () => undefined }, {}, next);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test.each([
+    ['an unknown token', { authorization: 'Bearer legitimate-token' }],
+    ['an unknown API key', { 'x-api-key': generateApiKey() }],
+    ['a token without subject', { authorization: `Bearer ${token({ sub: undefined, scope: 'admin' })}` }],
+    ['a token with a null header', { authorization: `Bearer ${base64url(null)}.${base64url({ sub: 'svc' })}.c2ln` }],
+    ['Basic auth', { authorization: 'Basic dXNlcjpwYXNz' }]
+  ])('rejects %s', async (name, headers) => {
+    const { error } = await run('quotes:create', headers);
+    expect(error).toBeInstanceOf(UnauthorizedError);
+    expect(error.code).toBe('INVALID_CREDENTIALS');
+  });
+
+  test('records API key use only through recordUse()', async () => {
+    const touch = jest.spyOn(repository.apiKeys, 'touch');
+    const { req } = await run('quotes:create', { 'x-api-key': writerKey });
+    expect(touch).not.toHaveBeenCalled();
+
+    const next = jest.fn();
+    auth.recordUse(req, {}, next);
+    expect(touch).toHaveBeenCalledWith(Number(req.principal.id.slice('key:'.length)));
+    expect(next).toHaveBeenCalledWith();
+
+    const jwtRequest = (await run('quotes:create', { authorization: `Bearer ${token({ scope: 'quotes:write' })}` })).req;
+    auth.recordUse(jwtRequest, {}, next);
+    auth.recordUse({}, {}, next);
+    expect(touch).toHaveBeenCalledTimes(1);
+    touch.mockRestore();
+  });
+
+  test('lets everything through when disabled', async () => {
+    const open = createAuthenticator({ enabled: false, apiKeys: repository.apiKeys });
+    const next = jest.fn();
+    await open.requirePermission('quotes:delete')({ get: () => undefined }, {}, next);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('refuses unknown permissions when routes are set up', () => {
+    expect(() => auth.requirePermission('quotes:everything')).toThrow(/Unknown permission/);
+    expect(() => auth.requirePermission('quotes:update', { own: 'quotes:mine' })).toThrow(/Unknown permission/);
+  });
+});
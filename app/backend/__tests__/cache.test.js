@@ -0,0 +1,216 @@
+const {
+  DEFAULT_TTLS_MS,
+  cacheOptions,
+  createQueryCache,
+  withQueryCache
+} = require('../lib/cache');
+const { createLruCache } = require('../lib/cache/lru');
+const { createMemoryRepository } = require('../lib/repositories');
+const { parseListQuery } = require('../lib/pagination');
+const { SAMPLE_QUOTES } = require('../lib/sample-quotes');
+
+const silent = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+// The Redis backend runs the same contract against a local redis-server, e.g.
+//   REDIS_TEST_URL=redis://localhost:6379 npx jest __tests__/cache
+const REDIS_TEST_URL = process.env.REDIS_TEST_URL;
+
+describe('cacheOptions', () => {
+  test('defaults to the in-process LRU', () => {
+    expect(cacheOptions({})).toEqual({
+      backend: 'memory',
+      ttls: DEFAULT_TTLS_MS,
+      maxEntries: 1000,
+      redisUrl: 'redis://localhost:6379',
+      redisTimeoutMs: 250,
+      keyPrefix: 'quote-api:'
+    });
+  });
+
+  test('reads a TTL per query type', () => {
+    const options = cacheOptions({ QUERY_CACHE: 'redis', QUERY_CACHE_TTL_QUOTE_MS: '1000', QUERY_CACHE_TTL_STATS_MS: '0' });
+    expect(options.ttls).toMatchObject({ quote: 1000, stats: 0, list: DEFAULT_TTLS_MS.list });
+  });
+
+  test('rejects unknown backends and bad TTLs', () => {
+    expect(() => cacheOptions({ QUERY_CACHE: 'memcached' })).toThrow(/QUERY_CACHE/);
+    expect(() => cacheOptions({ QUERY_CACHE_TTL_LIST_MS: 'soon' })).toThrow(/QUERY_CACHE_TTL_LIST_MS/);
+  });
+});
+
+describe('LRU backend', () => {
+  test('evicts the least recently used entry', async () => {
+    const lru = createLruCache({ maxEntries: 2 });
+    await lru.set('a', '1');
+    await lru.set('b', '2');
+    await lru.get('a');
+    await lru.set('c', '3');
+    expect(await lru.get('b')).toBeUndefined();
+    expect(await lru.get('a')).toBe('1');
+    expect(lru.size()).toBe(2);
+  });
+
+  test('expires entries after their TTL', async () => {
+    let now = 0;
+    const lru = createLruCache({ now: () => now });
+    await lru.set('a', '1', 100);
+    await lru.set('b', '2');
+    now = 100;
+    expect(await lru.get('a')).toBeUndefined();
+    expect(await lru.get('b')).toBe('2');
+  });
+});
+
+const backends = [['memory', () => createLruCache()]];
+if (REDIS_TEST_URL) {
+  backends.push(['redis', async () => {
+    const store = require('../lib/cache/redis').createRedisCache({ url: REDIS_TEST_URL, logger: silent });
+    await store.connected;
+    return store;
+  }]);
+}
+
+describe.each(backends)('query cache on the %s backend', (kind, createStore) => {
+  let store;
+  let cache;
+  let lookups;
+
+  beforeEach(async () => {
+    store = await createStore();
+    lookups = [];
+    cache = createQueryCache({
+      store,
+      keyPrefix: `test-${Date.now()}-${Math.random()}:`,
+      logger: silent,
+      onLookup: (type, result) => lookups.push(`${type}:${result}`)
+    });
+  });
+
+  afterEach(async () => {
+    await cache.close();
+  });
+
+  test('loads once and serves later reads from the cache', async () => {
+    const load = jest.fn().mockResolvedValue({ id: 1, created_at: new Date('2024-01-01T00:00:00Z') });
+    const first = await cache.read('quote', 1, load);
+    const second = await cache.read('quote', 1, load);
+
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(first).toEqual({ id: 1, created_at: '2024-01-01T00:00:00.000Z' });
+    expect(second).toEqual(first);
+    expect(second).not.toBe(first);
+    expect(lookups).toEqual(['quote:miss', 'quote:hit']);
+
+    expect(await cache.read('quote', 2, async () => null)).toBeNull();
+    expect(await cache.read('quote', 2, load)).toBeNull();
+  });
+
+  test('keys results by query type and parameters', async () => {
+    await cache.read('list', { limit: 1 }, async () => 'one');
+    expect(await cache.read('list', { limit: 2 }, async () => 'two')).toBe('two');
+    expect(await cache.read('search', { limit: 1 }, async () => 'search')).toBe('search');
+    expect(await cache.read('list', { limit: 1 }, async () => 'other')).toBe('one');
+  });
+
+  test('shares one load between concurrent misses', async () => {
+    let resolve;
+    const load = jest.fn(() => new Promise(done => { resolve = done; }));
+    const reads = [1, 2, 3].map(() => cache.read('categories', null, load));
+    while (!resolve) {
+      await new Promise(done => setTimeout(done, 5));
+    }
+    await new Promise(done => setTimeout(done, 20));
+    resolve([{ category: 'life', count: 1 }]);
+
+    const results = await Promise.all(reads);
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(results).toEqual([1, 2, 3].map(() => [{ category: 'life', count: 1 }]));
+    expect(lookups.filter(lookup => lookup === 'categories:coalesced')).toHaveLength(2);
+  });
+
+  test('does not cache failed loads', async () => {
+    await expect(cache.read('stats', {}, async () => { throw new Error('db down'); })).rejects.toThrow('db down');
+    expect(await cache.read('stats', {}, async () => ({ totals: {} }))).toEqual({ totals: {} });
+  });
+
+  test('invalidate() drops every cached result', async () => {
+    await cache.read('list', {}, async () => 'old');
+    await cache.read('quote', 1, async () => 'old');
+    await cache.invalidate();
+    expect(await cache.read('list', {}, async () => 'new')).toBe('new');
+    expect(await cache.read('quote', 1, async () => 'new')).toBe('new');
+  });
+});
+
+describe('query cache', () => {
+  test('skips query types with a TTL of 0 and refuses unknown ones', async () => {
+    const cache = createQueryCache({ store: createLruCache(), ttls: { ...DEFAULT_TTLS_MS, stats: 0 }, logger: silent });
+    const load = jest.fn().mockResolvedValue({ totals: {} });
+    await cache.read('stats', {}, load);
+    await cache.read('stats', {}, load);
+    expect(load).toHaveBeenCalledTimes(2);
+    await expect(cache.read('everything', {}, load)).rejects.toThrow(/Unknown query type/);
+  });
+
+  test('reads through to the loader when the backend fails', async () => {
+    const broken = {
+      get: jest.fn().mockRejectedValue(new Error('connection refused')),
+      set: jest.fn().mockRejectedValue(new Error('connection refused')),
+      close: async () => {}
+    };
+    const lookups = [];
+    const cache = createQueryCache({ store: broken, logger: silent, onLookup: (type, result) => lookups.push(result) });
+    expect(await cache.read('quote', 1, async () => ({ id: 1 }))).toEqual({ id: 1 });
+    expect(lookups).toEqual(['error']);
+    await expect(cache.invalidate()).resolves.toBeUndefined();
+  });
+
+  test('without a backend, every read loads', async () => {
+    const cache = createQueryCache({ backend: 'none', logger: silent });
+    const load = jest.fn().mockResolvedValue([]);
+    await cache.read('list', {}, load);
+    await cache.read('list', {}, load);
+    expect(load).toHaveBeenCalledTimes(2);
+    expect(cache.kind).toBe('none');
+  });
+});
+
+describe('withQueryCache', () => {
+  let repository;
+  let quotes;
+
+  beforeEach(async () => {
+    repository = createMemoryRepository();
+    await repository.seed(SAMPLE_QUOTES);
+    quotes = withQueryCache(repository, createQueryCache({ store: createLruCache(), logger: silent }));
+  });
+
+  test('caches the queries and delegates everything else', async () => {
+    const list = jest.spyOn(repository, 'list');
+    await quotes.list(parseListQuery({ limit: '2' }));
+    await quotes.list(parseListQuery({ limit: '2' }));
+    expect(list).toHaveBeenCalledTimes(1);
+
+    expect(quotes.kind).toBe(repository.kind);
+    expect(quotes.apiKeys).toBe(repository.apiKeys);
+    expect(await quotes.random()).toHaveProperty('text');
+  });
+
+  test('writes invalidate the cache, no-ops do not', async () => {
+    expect((await quotes.categories()).map(row => row.category)).not.toContain('art');
+    await quotes.create({ text: 'Every artist was first an amateur.', author: 'Ralph Waldo Emerson', category: 'art' });
+    expect((await quotes.categories()).map(row => row.category)).toContain('art');
+
+    const categories = jest.spyOn(repository, 'categories');
+    expect(await quotes.remove(99999)).toBeNull();
+    await quotes.categories();
+    expect(categories).not.toHaveBeenCalled();
+
+    await quotes.importQuotes([{ text: 'Dry run.', author: 'A', category: 'dry' }], { mode: 'atomic', dryRun: true });
+    await quotes.categories();
+    expect(categories).not.toHaveBeenCalled();
+
+    await quotes.importQuotes([{ text: 'Imported.', author: 'A', category: 'imported' }], { mode: 'atomic', dryRun: false });
+    expect((await quotes.categories()).map(row => row.category)).toContain('imported');
+  });
+});
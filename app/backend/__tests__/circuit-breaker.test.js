@@ -0,0 +1,91 @@
+const { CircuitOpenError, createCircuitBreaker, guardPool } = require('../lib/circuit-breaker');
+
+const connectionRefused = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+function createClock(start = 1000) {
+  let time = start;
+  return {
+    now: () => time,
+    advance: ms => {
+      time += ms;
+    }
+  };
+}
+
+describe('circuit breaker', () => {
+  test('opens after consecutive connectivity failures and then fails fast', async () => {
+    const clock = createClock();
+    const breaker = createCircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 5000, now: clock.now });
+    const query = jest.fn().mockRejectedValue(connectionRefused());
+
+    await expect(breaker.execute(query)).rejects.toThrow('ECONNREFUSED');
+    expect(breaker.state()).toBe('closed');
+    await expect(breaker.execute(query)).rejects.toThrow('ECONNREFUSED');
+    expect(breaker.state()).toBe('open');
+
+    clock.advance(1000);
+    const error = await breaker.execute(query).catch(e => e);
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error.retryAfterMs).toBe(4000);
+    expect(query).toHaveBeenCalledTimes(2);
+  });
+
+  test('lets one trial call through after the timeout and closes on success', async () => {
+    const clock = createClock();
+    const changes = [];
+    const breaker = createCircuitBreaker({
+      failureThreshold: 1,
+      resetTimeoutMs: 5000,
+      now: clock.now,
+      onStateChange: state => changes.push(state)
+    });
+    await breaker.execute(() => Promise.reject(connectionRefused())).catch(() => {});
+    clock.advance(5000);
+
+    let finishTrial;
+    const trial = breaker.execute(() => new Promise(resolve => {
+      finishTrial = resolve;
+    }));
+    expect(breaker.state()).toBe('half_open');
+    await expect(breaker.execute(() => Promise.resolve('second'))).rejects.toBeInstanceOf(CircuitOpenError);
+
+    finishTrial('ok');
+    await expect(trial).resolves.toBe('ok');
+    expect(breaker.state()).toBe('closed');
+    expect(changes).toEqual(['open', 'half_open', 'closed']);
+  });
+
+  test('reopens when the trial call fails', async () => {
+    const clock = createClock();
+    const breaker = createCircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 5000, now: clock.now });
+    for (let i = 0; i < 3; i += 1) {
+      await breaker.execute(() => Promise.reject(connectionRefused())).catch(() => {});
+    }
+    clock.advance(5000);
+
+    await expect(breaker.execute(() => Promise.reject(connectionRefused()))).rejects.toThrow('ECONNREFUSED');
+    expect(breaker.state()).toBe('open');
+  });
+
+  test('does not count errors that prove the database answered', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1 });
+    const syntaxError = Object.assign(new Error('syntax error'), { code: '42601' });
+
+    await expect(breaker.execute(() => Promise.reject(syntaxError))).rejects.toBe(syntaxError);
+    expect(breaker.state()).toBe('closed');
+  });
+
+  test('guardPool routes query and connect through the breaker', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1 });
+    const pool = {
+      query: jest.fn().mockRejectedValue(connectionRefused()),
+      connect: jest.fn().mockResolvedValue('client')
+    };
+    const db = guardPool(pool, breaker);
+
+    await expect(db.query('SELECT 1')).rejects.toThrow('ECONNREFUSED');
+    await expect(db.connect()).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(pool.query).toHaveBeenCalledWith('SELECT 1');
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,114 @@
+const {
+  dailyQuoteOptions,
+  localDate,
+  secondsUntilNextDay,
+  addDays,
+  parseTodayQuery,
+  parseScheduleQuery,
+  chooseQuote,
+  pickDailyQuote
+} = require('../lib/daily-quote');
+const { createMemoryRepository } = require('../lib/repositories');
+
+describe('dailyQuoteOptions', () => {
+  test('defaults to UTC and a 30-day repeat window', () => {
+    expect(dailyQuoteOptions({})).toEqual({ timeZone: 'UTC', repeatWindowDays: 30 });
+    expect(dailyQuoteOptions({ QOTD_TIMEZONE: 'Asia/Tokyo', QOTD_REPEAT_WINDOW_DAYS: '0' }))
+      .toEqual({ timeZone: 'Asia/Tokyo', repeatWindowDays: 0 });
+  });
+
+  test('rejects unknown time zones and bad windows', () => {
+    expect(() => dailyQuoteOptions({ QOTD_TIMEZONE: 'Mars/Olympus' })).toThrow(/QOTD_TIMEZONE/);
+    expect(() => dailyQuoteOptions({ QOTD_REPEAT_WINDOW_DAYS: '-1' })).toThrow(/QOTD_REPEAT_WINDOW_DAYS/);
+  });
+});
+
+describe('calendar days', () => {
+  const now = new Date('2024-03-10T23:30:00Z');
+
+  test('the date depends on the time zone', () => {
+    expect(localDate(now, 'UTC')).toBe('2024-03-10');
+    expect(localDate(now, 'Asia/Tokyo')).toBe('2024-03-11');
+    expect(localDate(now, 'America/Los_Angeles')).toBe('2024-03-10');
+  });
+
+  test('counts the seconds to local midnight', () => {
+    expect(secondsUntilNextDay(now, 'UTC')).toBe(30 * 60);
+    expect(secondsUntilNextDay(now, 'Asia/Tokyo')).toBe(15 * 3600 + 30 * 60);
+  });
+
+  test('adds days across months and years', () => {
+    expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+    expect(addDays('2024-01-01', -1)).toBe('2023-12-31');
+  });
+});
+
+describe('query parsing', () => {
+  test('takes the time zone from ?tz= or the default', () => {
+    expect(parseTodayQuery({}, { timeZone: 'Europe/Berlin' })).toEqual({ timeZone: 'Europe/Berlin', category: null });
+    expect(parseTodayQuery({ tz: 'Asia/Tokyo', category: 'life' })).toEqual({ timeZone: 'Asia/Tokyo', category: 'life' });
+    expect(() => parseTodayQuery({ tz: 'Nowhere' })).toThrow(/IANA time zone/);
+  });
+
+  test('lists the schedule from today for 30 days by default', () => {
+    const now = new Date('2024-03-10T12:00:00Z');
+    expect(parseScheduleQuery({}, { now })).toEqual({ from: '2024-03-10', to: '2024-04-09', category: undefined });
+    expect(() => parseScheduleQuery({ from: '2024-02-30' })).toThrow(/YYYY-MM-DD/);
+    expect(() => parseScheduleQuery({ from: '2024-03-10', to: '2024-03-01' })).toThrow(/must not be after/);
+    expect(() => parseScheduleQuery({ from: '2024-01-01', to: '2025-01-01' })).toThrow(/at most 366 days/);
+  });
+});
+
+describe('chooseQuote', () => {
+  const ids = [1, 2, 3, 4, 5, 6, 7, 8];
+
+  test('is the same for the same date and category', () => {
+    const first = chooseQuote(ids, [], { date: '2024-03-10' });
+    expect(chooseQuote(ids, [], { date: '2024-03-10' })).toBe(first);
+    expect(ids).toContain(first);
+
+    const days = Array.from({ length: 20 }, (_, day) => addDays('2024-03-01', day));
+    expect(new Set(days.map(date => chooseQuote(ids, [], { date }))).size).toBeGreaterThan(1);
+    expect(chooseQuote([], [], { date: '2024-03-10' })).toBeNull();
+  });
+
+  test('skips quotes picked around the date, then prefers the furthest pick', () => {
+    const picks = ids.slice(1).map((id, index) => ({ date: addDays('2024-03-10', index + 1), quote_id: id }));
+    expect(chooseQuote(ids, picks, { date: '2024-03-10' })).toBe(1);
+
+    const everyQuote = [...picks, { date: '2024-03-01', quote_id: 1 }];
+    expect(chooseQuote(ids, everyQuote, { date: '2024-03-10' })).toBe(1);
+    // The day's own pick does not count
+    expect(chooseQuote([1, 2], [{ date: '2024-03-10', quote_id: 1 }], { date: '2024-03-10' })).not.toBeNull();
+  });
+});
+
+describe('pickDailyQuote', () => {
+  test('keeps the first stored pick when replicas race', async () => {
+    const stored = new Map();
+    const store = {
+      find: async date => stored.get(date) || null,
+      quoteIds: async () => [1, 2, 3],
+      picksBetween: async () => [],
+      // Another replica stored quote 3 between find() and claim(), so this claim does nothing
+      claim: async date => {
+        stored.set(date, { quote_id: 3, scheduled: false });
+      },
+      findQuote: async id => ({ id })
+    };
+    const daily = await pickDailyQuote(store, { date: '2024-03-10' });
+    expect(daily).toEqual({ date: '2024-03-10', category: null, scheduled: false, quote: { id: 3 } });
+  });
+
+  test('does not repeat a quote within the window', async () => {
+    const repository = createMemoryRepository({
+      quotes: [1, 2, 3, 4].map(n => ({ text: `Quote ${n}.`, author: 'A', category: 'general' }))
+    });
+    const days = Array.from({ length: 4 }, (_, day) => addDays('2024-03-01', day));
+    const picked = [];
+    for (const date of days) {
+      picked.push((await repository.dailyQuotes.pick({ date, repeatWindowDays: 7 })).quote.id);
+    }
+    expect(new Set(picked).size).toBe(4);
+  });
+});
@@ -0,0 +1,87 @@
+const { DataUnavailableError, createDataSource, dataSourceOptions } = require('../lib/data-source');
+const { CircuitOpenError } = require('../lib/circuit-breaker');
+
+const connectionRefused = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+const failing = () => Promise.reject(connectionRefused());
+const sample = () => ['sample'];
+
+describe('data source policy', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('serves database results and tags them as db', async () => {
+    const dataSource = createDataSource();
+    await expect(dataSource.read('k', { load: async () => ['row'], sample })).resolves.toEqual({
+      value: ['row'],
+      source: 'db'
+    });
+  });
+
+  test('fallback serves the last-known rows, then sample data', async () => {
+    const dataSource = createDataSource({ policy: 'fallback' });
+    await dataSource.read('known', { load: async () => ['row'], sample });
+
+    const cached = await dataSource.read('known', { load: failing, sample });
+    expect(cached).toMatchObject({ value: ['row'], source: 'cache' });
+    expect(cached.cachedAt).toEqual(expect.any(String));
+
+    await expect(dataSource.read('unknown', { load: failing, sample })).resolves.toEqual({
+      value: ['sample'],
+      source: 'sample_data'
+    });
+  });
+
+  test('cache serves last-known rows but never sample data', async () => {
+    const dataSource = createDataSource({ policy: 'cache' });
+    await dataSource.read('known', { load: async () => ['row'], sample });
+
+    await expect(dataSource.read('known', { load: failing, sample })).resolves.toMatchObject({ source: 'cache' });
+    await expect(dataSource.read('unknown', { load: failing, sample })).rejects.toBeInstanceOf(DataUnavailableError);
+  });
+
+  test('strict fails with 503 and a retry hint from the circuit breaker', async () => {
+    const dataSource = createDataSource({ policy: 'strict' });
+    await dataSource.read('known', { load: async () => ['row'], sample });
+
+    const error = await dataSource
+      .read('known', { load: () => Promise.reject(new CircuitOpenError(2500)), sample })
+      .catch(e => e);
+    expect(error).toBeInstanceOf(DataUnavailableError);
+    expect(error.status).toBe(503);
+    expect(error.retryAfterSeconds).toBe(3);
+  });
+
+  test('rethrows errors that are not connectivity problems', async () => {
+    const dataSource = createDataSource({ policy: 'fallback' });
+    const bug = new TypeError('Cannot read properties of undefined');
+
+    await expect(dataSource.read('k', { load: () => Promise.reject(bug), sample })).rejects.toBe(bug);
+  });
+
+  test('expires old entries and evicts the least recently used', async () => {
+    let time = 0;
+    const dataSource = createDataSource({ cacheMaxEntries: 2, cacheMaxAgeMs: 1000, now: () => time });
+    const remember = (key, value) => dataSource.read(key, { load: async () => value });
+
+    await remember('a', 'A');
+    await remember('b', 'B');
+    await dataSource.read('a', { load: failing });
+    await remember('c', 'C');
+
+    await expect(dataSource.read('a', { load: failing })).resolves.toMatchObject({ value: 'A' });
+    await expect(dataSource.read('b', { load: failing, sample })).resolves.toMatchObject({ source: 'sample_data' });
+
+    time = 5000;
+    await expect(dataSource.read('c', { load: failing, sample })).resolves.toMatchObject({ source: 'sample_data' });
+  });
+
+  test('rejects unknown policies', () => {
+    expect(dataSourceOptions({}).policy).toBe('fallback');
+    expect(() => dataSourceOptions({ DATA_SOURCE_POLICY: 'yolo' })).toThrow(/strict, cache, fallback/);
+  });
+});
@@ -0,0 +1,139 @@
+const {
+  ApiError,
+  ValidationError,
+  NotFoundError,
+  UnavailableError,
+  toApiError,
+  problemDocument,
+  errorHandler
+} = require('../lib/errors');
+const { classifyDatabaseError } = require('../lib/db-errors');
+const { requestId } = require('../lib/request-id');
+
+const pgError = code => Object.assign(new Error(`pg error ${code}`), { code });
+
+describe('classifyDatabaseError', () => {
+  test.each([
+    ['ECONNREFUSED', 'unavailable'],
+    ['08006', 'unavailable'],
+    ['57P01', 'unavailable'],
+    ['53300', 'unavailable'],
+    ['40001', 'busy'],
+    ['40P01', 'busy'],
+    ['57014', 'busy'],
+    ['23505', 'conflict'],
+    ['23503', 'conflict'],
+    ['23502', 'invalid'],
+    ['22001', 'invalid'],
+    ['22P02', 'invalid'],
+    ['SQLITE_BUSY', 'busy'],
+    ['SQLITE_CONSTRAINT_UNIQUE', 'conflict'],
+    ['42P01', null],
+    [undefined, null]
+  ])('%s is %s', (code, expected) => {
+    expect(classifyDatabaseError(pgError(code))).toBe(expected);
+  });
+});
+
+describe('toApiError', () => {
+  test.each([
+    ['23505', 409, 'CONFLICT'],
+    ['22P02', 400, 'INVALID_VALUE'],
+    ['40001', 503, 'DATABASE_BUSY'],
+    ['ECONNREFUSED', 503, 'DATABASE_UNAVAILABLE']
+  ])('maps SQLSTATE %s to %i %s', (code, status, apiCode) => {
+    const error = toApiError(pgError(code));
+    expect(error.status).toBe(status);
+    expect(error.code).toBe(apiCode);
+    expect(error.message).not.toContain('pg error');
+  });
+
+  test('keeps ApiErrors as they are', () => {
+    const error = new NotFoundError('Quote not found', { code: 'QUOTE_NOT_FOUND' });
+    expect(toApiError(error)).toBe(error);
+  });
+
+  test('maps body-parser errors', () => {
+    expect(toApiError({ type: 'entity.too.large', status: 413, expose: true })).toMatchObject({
+      status: 413,
+      code: 'PAYLOAD_TOO_LARGE'
+    });
+    expect(toApiError({ type: 'entity.parse.failed', status: 400, expose: true })).toBeInstanceOf(ValidationError);
+  });
+
+  test('hides anything else behind a 500', () => {
+    const error = toApiError(new TypeError('x is undefined'));
+    expect(error).toMatchObject({ status: 500, code: 'INTERNAL_ERROR', message: 'An unexpected error occurred' });
+  });
+});
+
+describe('problemDocument', () => {
+  test('follows RFC 7807 and keeps the earlier fields', () => {
+    const error = new ValidationError('author is required', {
+      errors: [{ location: 'body', field: 'author', message: 'author is required' }]
+    });
+    expect(problemDocument(error, { originalUrl: '/api/quotes', id: 'req-1' })).toEqual({
+      type: 'urn:quote-api:problem:validation-failed',
+      title: 'Validation Failed',
+      status: 400,
+      detail: 'author is required',
+      instance: '/api/quotes',
+      code: 'VALIDATION_FAILED',
+      requestId: 'req-1',
+      success: false,
+      message: 'author is required',
+      errors: [{ location: 'body', field: 'author', message: 'author is required' }]
+    });
+  });
+});
+
+describe('errorHandler', () => {
+  function response() {
+    const res = { headersSent: false };
+    res.set = jest.fn().mockReturnValue(res);
+    res.status = jest.fn().mockReturnValue(res);
+    res.type = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  }
+
+  test('sends problem+json with Retry-After for unavailable errors', () => {
+    const res = response();
+    errorHandler(new UnavailableError('Down', { retryAfterSeconds: 7 }), { originalUrl: '/x', id: 'r' }, res, jest.fn());
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '7');
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.type).toHaveBeenCalledWith('application/problem+json');
+  });
+
+  test('logs unexpected errors through the request logger', () => {
+    const log = { error: jest.fn() };
+    const error = new Error('boom');
+    errorHandler(error, { originalUrl: '/x', id: 'req-42', log }, response(), jest.fn());
+    expect(log.error).toHaveBeenCalledWith('Unhandled error', error);
+  });
+
+  test('does not log client errors', () => {
+    const log = { error: jest.fn() };
+    errorHandler(new ApiError('Nope', { status: 403, code: 'FORBIDDEN' }), { originalUrl: '/x', log }, response(), jest.fn());
+    expect(log.error).not.toHaveBeenCalled();
+  });
+});
+
+describe('requestId', () => {
+  function run(incoming) {
+    const req = { get: () => incoming };
+    const res = { set: jest.fn() };
+    requestId(req, res, () => {});
+    return { req, res };
+  }
+
+  test('keeps a well-formed incoming id', () => {
+    const { req, res } = run('abc-123');
+    expect(req.id).toBe('abc-123');
+    expect(res.set).toHaveBeenCalledWith('X-Request-ID', 'abc-123');
+  });
+
+  test.each([undefined, '', 'has spaces', 'x'.repeat(129)])('generates one instead of %p', incoming => {
+    expect(run(incoming).req.id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
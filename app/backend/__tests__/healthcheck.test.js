@@ -0,0 +1,164 @@
+// The probe CLI shipped as the Docker HEALTHCHECK of module 1a, against a local
+// server whose responses each test scripts
+const http = require('http');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const SCRIPT = path.join(__dirname, '../../../modules/module-1a-single-container/backend/healthcheck.js');
+const { loadConfig, probe, run } = require(SCRIPT);
+
+let server;
+let port;
+let responses;
+let paths;
+
+// Each request takes the next scripted [status, body], the last one repeats
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    paths.push(req.url);
+    const [status, body] = responses.length > 1 ? responses.shift() : responses[0];
+    res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/html' : 'application/json' });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  responses = [[200, { status: 'healthy' }]];
+  paths = [];
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const config = overrides => loadConfig([`--port=${port}`, '--host=127.0.0.1', ...overrides], {});
+
+describe('loadConfig', () => {
+  test('defaults to liveness on localhost:3001', () => {
+    expect(loadConfig([], {})).toEqual({
+      host: 'localhost',
+      port: 3001,
+      mode: 'live',
+      path: '/health/live',
+      timeoutMs: 2000,
+      retries: 0,
+      backoffMs: 500,
+      accept: ['healthy']
+    });
+  });
+
+  test('takes the environment, with arguments winning', () => {
+    const env = {
+      PORT: '8080',
+      HEALTHCHECK_HOST: 'backend',
+      HEALTHCHECK_MODE: 'ready',
+      HEALTHCHECK_RETRIES: '5',
+      HEALTHCHECK_ACCEPT: 'healthy'
+    };
+    expect(loadConfig([], env)).toMatchObject({
+      host: 'backend',
+      port: 8080,
+      mode: 'ready',
+      path: '/health/ready',
+      retries: 5,
+      accept: ['healthy']
+    });
+    expect(loadConfig(['--retries=1', '--port=9000', '--path=/api/health', '--accept=healthy, degraded'], env))
+      .toMatchObject({ port: 9000, path: '/api/health', retries: 1, accept: ['healthy', 'degraded'] });
+    expect(loadConfig(['--mode=ready'], {}).accept).toEqual(['healthy', 'degraded']);
+  });
+
+  test.each([
+    ['--mode=deep', /--mode must be one of: live, ready/],
+    ['--retries=-1', /--retries must be an integer >= 0/],
+    ['--port=http', /--port must be an integer >= 1/],
+    ['--verbose', /Unknown option/]
+  ])('exits 1 on %s', (arg, message) => {
+    const errors = [];
+    jest.spyOn(console, 'error').mockImplementation(line => errors.push(line));
+    jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`exit ${code}`);
+    });
+    expect(() => loadConfig([arg], {})).toThrow('exit 1');
+    expect(errors[0]).toMatch(message);
+  });
+});
+
+describe('probe', () => {
+  test('is healthy on 200 with an accepted status', async () => {
+    expect(await probe(config([]))).toEqual({ ok: true, httpStatus: 200, status: 'healthy' });
+    expect(paths).toEqual(['/health/live']);
+  });
+
+  test('reports the HTTP status before the body', async () => {
+    responses = [[503, { status: 'unhealthy' }]];
+    expect(await probe(config(['--mode=ready'])))
+      .toEqual({ ok: false, httpStatus: 503, status: 'unhealthy', error: 'HTTP 503' });
+
+    responses = [[502, '<html>Bad Gateway</html>']];
+    expect(await probe(config([]))).toEqual({ ok: false, httpStatus: 502, status: undefined, error: 'HTTP 502' });
+  });
+
+  test('rejects bodies that are not JSON or have another status', async () => {
+    responses = [[200, 'OK']];
+    expect(await probe(config([]))).toEqual({ ok: false, httpStatus: 200, error: 'Response body is not JSON' });
+
+    responses = [[200, { status: 'degraded' }]];
+    expect(await probe(config([]))).toMatchObject({ ok: false, error: 'Unexpected status "degraded"' });
+    expect(await probe(config(['--mode=ready']))).toMatchObject({ ok: true, status: 'degraded' });
+  });
+
+  test('reports connection errors', async () => {
+    const result = await probe(loadConfig(['--host=127.0.0.1', '--port=1'], {}));
+    expect(result).toMatchObject({ ok: false });
+    expect(result.error).toMatch(/ECONNREFUSED/);
+  });
+});
+
+describe('run', () => {
+  test('retries until the probe succeeds', async () => {
+    responses = [[503, { status: 'unhealthy' }], [200, { status: 'healthy' }]];
+    const result = await run(config(['--retries=3', '--backoff=1']));
+    expect(result).toMatchObject({
+      ok: true,
+      attempts: 2,
+      mode: 'live',
+      url: `http://127.0.0.1:${port}/health/live`
+    });
+    expect(result.durationMs).toEqual(expect.any(Number));
+  });
+
+  test('gives up after the last retry with the last failure', async () => {
+    responses = [[503, { status: 'unhealthy' }]];
+    const result = await run(config(['--retries=2', '--backoff=1']));
+    expect(result).toMatchObject({ ok: false, httpStatus: 503, error: 'HTTP 503', attempts: 3 });
+    expect(paths).toHaveLength(3);
+  });
+});
+
+describe('the CLI', () => {
+  const cli = args => new Promise(resolve => {
+    execFile(process.execPath, [SCRIPT, ...args], { env: { PATH: process.env.PATH } }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+
+  test('prints one JSON line and exits 0 when healthy', async () => {
+    const { code, stdout } = await cli(['--host=127.0.0.1', `--port=${port}`]);
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout)).toMatchObject({ ok: true, status: 'healthy', attempts: 1 });
+  });
+
+  test('exits 1 when unhealthy, still printing the result', async () => {
+    responses = [[503, { status: 'unhealthy' }]];
+    const { code, stdout } = await cli(['--host=127.0.0.1', `--port=${port}`]);
+    expect(code).toBe(1);
+    expect(JSON.parse(stdout)).toMatchObject({ ok: false, httpStatus: 503, error: 'HTTP 503' });
+  });
+});
@@ -0,0 +1,98 @@
+const { httpCacheOptions, entityTag, createHttpCache } = require('../lib/http-cache');
+
+const row = (id, updatedAt, servedCount = 0) => ({
+  id,
+  text: 'T',
+  author: 'A',
+  category: 'general',
+  created_at: new Date('2024-01-01T00:00:00Z'),
+  updated_at: updatedAt ? new Date(updatedAt) : null,
+  served_count: servedCount
+});
+
+describe('httpCacheOptions', () => {
+  test('defaults and validation', () => {
+    expect(httpCacheOptions({})).toEqual({ listMaxAgeSeconds: 60, itemMaxAgeSeconds: 300 });
+    expect(httpCacheOptions({ HTTP_CACHE_LIST_MAX_AGE: '0' }).listMaxAgeSeconds).toBe(0);
+    expect(() => httpCacheOptions({ HTTP_CACHE_ITEM_MAX_AGE: '-1' })).toThrow(/itemMaxAgeSeconds/);
+  });
+});
+
+describe('entityTag', () => {
+  const body = rows => ({ success: true, data: rows, count: rows.length });
+
+  test('is strong and follows the row versions', () => {
+    const rows = [row(1, '2024-02-01T00:00:00Z'), row(2)];
+    const tag = entityTag(body(rows), rows);
+    expect(tag).toMatch(/^"[\w-]{27}"$/);
+    expect(entityTag(body(rows), rows.map(r => ({ ...r })))).toBe(tag);
+
+    const edited = [row(1, '2024-02-01T00:00:01Z'), row(2)];
+    expect(entityTag(body(edited), edited)).not.toBe(tag);
+    const served = [row(1, '2024-02-01T00:00:00Z', 1), row(2)];
+    expect(entityTag(body(served), served)).not.toBe(tag);
+    expect(entityTag(body(rows.slice(0, 1)), rows.slice(0, 1))).not.toBe(tag);
+  });
+
+  test('covers the rest of the body, and the whole body without rows', () => {
+    const rows = [row(1)];
+    const page = next => ({ success: true, data: rows, pagination: { nextCursor: next } });
+    expect(entityTag(page('a'), rows)).not.toBe(entityTag(page('b'), rows));
+    expect(entityTag({ data: [{ category: 'life', count: 1 }] })).not.toBe(entityTag({ data: [{ category: 'life', count: 2 }] }));
+  });
+});
+
+describe('createHttpCache', () => {
+  function response() {
+    const headers = {};
+    const res = {
+      headers,
+      locals: {},
+      set: jest.fn((name, value) => { headers[name.toLowerCase()] = value; }),
+      vary: jest.fn(),
+      status: jest.fn(() => res),
+      json: jest.fn(() => res),
+      end: jest.fn(() => res)
+    };
+    return res;
+  }
+
+  test('cache control per policy', () => {
+    const cache = createHttpCache({ listMaxAgeSeconds: 30, itemMaxAgeSeconds: 600 });
+    expect(cache.cacheControl('list')).toBe('public, max-age=30');
+    expect(cache.cacheControl('item')).toBe('public, max-age=600');
+    expect(cache.cacheControl('no-store')).toBe('no-store');
+    expect(cache.cacheControl('item', 45)).toBe('public, max-age=45');
+    expect(createHttpCache({ publicReads: false }).cacheControl('item')).toBe('private, max-age=300');
+    expect(() => cache.cacheControl('forever')).toThrow(/Unknown cache policy/);
+  });
+
+  test('sends 304 when the request is fresh', () => {
+    const cache = createHttpCache();
+    const res = response();
+    const quote = row(1, '2024-02-01T00:00:00Z');
+    cache.send({ fresh: true }, res, { value: quote, source: 'db' }, { success: true, data: quote }, { policy: 'item', rows: [quote] });
+    expect(res.status).toHaveBeenCalledWith(304);
+    expect(res.json).not.toHaveBeenCalled();
+    expect(res.headers).toMatchObject({
+      'cache-control': 'public, max-age=300',
+      'last-modified': 'Thu, 01 Feb 2024 00:00:00 GMT',
+      'x-data-source': 'db'
+    });
+  });
+
+  test('never stores degraded responses, and varies on credentials when reads are private', () => {
+    const cache = createHttpCache({ publicReads: false });
+    const degraded = response();
+    cache.send({ fresh: true }, degraded, { source: 'sample_data' }, { success: true, data: [] }, { policy: 'list', rows: [] });
+    expect(degraded.headers['cache-control']).toBe('no-store');
+    expect(degraded.headers).not.toHaveProperty('etag');
+    expect(degraded.status).toHaveBeenCalledWith(200);
+
+    const res = response();
+    cache.send({ fresh: false }, res, { source: 'db' }, { success: true, data: [] }, { policy: 'list', rows: [] });
+    expect(res.headers['cache-control']).toBe('private, max-age=60');
+    expect(res.vary).toHaveBeenCalledWith('Authorization');
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: [] });
+  });
+});
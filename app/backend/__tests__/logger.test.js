@@ -0,0 +1,145 @@
+const express = require('express');
+const request = require('supertest');
+const { createLogger, loggerOptions, redactHeaders, requestLogger } = require('../lib/logger');
+const { requestId } = require('../lib/request-id');
+const { routeLabel } = require('../lib/metrics');
+
+function memoryStream() {
+  const lines = [];
+  return {
+    lines,
+    entries: () => lines.map(line => JSON.parse(line)),
+    write: line => lines.push(line)
+  };
+}
+
+const fixedClock = () => new Date('2024-05-01T12:00:00Z');
+
+describe('loggerOptions', () => {
+  test('defaults to info, and to silent under jest', () => {
+    expect(loggerOptions({}).level).toBe('info');
+    expect(loggerOptions({ NODE_ENV: 'test' }).level).toBe('silent');
+    expect(loggerOptions({ NODE_ENV: 'test', LOG_LEVEL: 'DEBUG' }).level).toBe('debug');
+  });
+
+  test('rejects unknown levels', () => {
+    expect(() => loggerOptions({ LOG_LEVEL: 'verbose' })).toThrow(/LOG_LEVEL/);
+  });
+
+  test('LOG_REDACT_HEADERS adds to the default list', () => {
+    const { redactHeaders: redacted } = loggerOptions({ LOG_REDACT_HEADERS: 'X-Session-Token, authorization' });
+    expect(redacted).toContain('authorization');
+    expect(redacted).toContain('x-session-token');
+    expect(redacted.filter(name => name === 'authorization')).toHaveLength(1);
+  });
+});
+
+describe('createLogger', () => {
+  test('writes one JSON object per line', () => {
+    const stream = memoryStream();
+    createLogger({ stream, now: fixedClock }).info('Server started', { port: 3000 });
+    expect(stream.lines[0].endsWith('\n')).toBe(true);
+    expect(stream.entries()).toEqual([
+      { time: '2024-05-01T12:00:00.000Z', level: 'info', port: 3000, msg: 'Server started' }
+    ]);
+  });
+
+  test('drops entries below the configured level', () => {
+    const stream = memoryStream();
+    const logger = createLogger({ level: 'warn', stream });
+    logger.debug('a');
+    logger.info('b');
+    logger.warn('c');
+    logger.error('d');
+    expect(stream.entries().map(entry => entry.msg)).toEqual(['c', 'd']);
+
+    const silent = memoryStream();
+    createLogger({ level: 'silent', stream: silent }).error('nothing');
+    expect(silent.lines).toEqual([]);
+  });
+
+  test('takes console-style arguments', () => {
+    const stream = memoryStream();
+    const logger = createLogger({ stream });
+    logger.log('Shutdown cleanup failed:', 'pool closed');
+    logger.error('Query failed', Object.assign(new Error('boom'), { code: '57014' }));
+
+    const [plain, failure] = stream.entries();
+    expect(plain).toMatchObject({ level: 'info', msg: 'Shutdown cleanup failed: pool closed' });
+    expect(failure.err).toMatchObject({ name: 'Error', message: 'boom', code: '57014' });
+    expect(failure.err.stack).toContain('boom');
+  });
+
+  test('child loggers add their fields to every entry', () => {
+    const stream = memoryStream();
+    createLogger({ stream }).child({ requestId: 'r-1' }).warn('slow');
+    expect(stream.entries()[0]).toMatchObject({ requestId: 'r-1', level: 'warn', msg: 'slow' });
+  });
+
+  test('fields cannot replace time, level or msg', () => {
+    const stream = memoryStream();
+    createLogger({ stream, now: fixedClock })
+      .child({ level: 'debug' })
+      .error('Import failed', { time: 'yesterday', level: 'info', msg: 'fine', rows: 3 });
+    const [entry] = stream.entries();
+    expect(entry).toEqual({ time: '2024-05-01T12:00:00.000Z', level: 'error', msg: 'Import failed', rows: 3 });
+    expect(Object.keys(entry).slice(0, 2)).toEqual(['time', 'level']);
+  });
+});
+
+describe('redactHeaders', () => {
+  test('masks credentials whatever their case', () => {
+    expect(redactHeaders({ Authorization: 'Bearer secret', cookie: 'sid=1', accept: 'application/json' })).toEqual({
+      Authorization: '[REDACTED]',
+      cookie: '[REDACTED]',
+      accept: 'application/json'
+    });
+  });
+});
+
+describe('requestLogger', () => {
+  function appWithLogger(stream) {
+    const app = express();
+    app.use(requestId);
+    app.use(requestLogger(createLogger({ stream }), { routeLabel }));
+    app.get('/quotes/:id', (req, res) => {
+      res.locals.dataSource = 'db';
+      req.log.info('handling');
+      res.json({ id: req.params.id });
+    });
+    return app;
+  }
+
+  test('logs one access line per request with correlation fields', async () => {
+    const stream = memoryStream();
+    const res = await request(appWithLogger(stream))
+      .get('/quotes/7')
+      .set('X-Request-ID', 'ddos_1_2_1700000000000')
+      .set('X-Session-ID', 'session-9')
+      .set('Authorization', 'Bearer secret');
+
+    expect(res.headers['x-request-id']).toBe('ddos_1_2_1700000000000');
+    const [handling, access] = stream.entries();
+    expect(handling).toMatchObject({ msg: 'handling', requestId: 'ddos_1_2_1700000000000' });
+    expect(access).toMatchObject({
+      level: 'info',
+      msg: 'request completed',
+      requestId: 'ddos_1_2_1700000000000',
+      method: 'GET',
+      path: '/quotes/7',
+      route: '/quotes/:id',
+      status: 200,
+      dataSource: 'db',
+      sessionId: 'session-9'
+    });
+    expect(access.latencyMs).toEqual(expect.any(Number));
+    expect(access.headers.authorization).toBe('[REDACTED]');
+    expect(stream.lines.join('')).not.toContain('secret');
+  });
+
+  test('logs client errors at warn', async () => {
+    const stream = memoryStream();
+    await request(appWithLogger(stream)).get('/missing');
+    expect(stream.entries()[0]).toMatchObject({ level: 'warn', status: 404, route: 'unmatched' });
+  });
+});
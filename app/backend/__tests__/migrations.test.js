@@ -0,0 +1,179 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MigrationError,
+  loadMigrations,
+  migrate,
+  rollback,
+  migrationStatus,
+  createMigration
+} = require('../lib/migrations');
+
+const silentLogger = { log: () => {} };
+
+// Minimal stand-in for a pg Pool: remembers schema_migrations rows and logs
+// every statement so tests can check locking and transaction boundaries
+function createFakePool({ failOn } = {}) {
+  const applied = new Map();
+  const statements = [];
+  let tableExists = false;
+
+  async function query(sql, params = []) {
+    statements.push(sql.trim().split('\n')[0]);
+    if (failOn && sql.includes(failOn)) {
+      throw new Error(`boom: ${failOn}`);
+    }
+    if (sql.includes('CREATE TABLE IF NOT EXISTS schema_migrations')) {
+      tableExists = true;
+    } else if (sql.includes('to_regclass')) {
+      return { rows: [{ exists: tableExists }] };
+    } else if (sql.startsWith('SELECT version, name, applied_at')) {
+      const rows = [...applied.values()].sort((a, b) => a.version - b.version);
+      return { rows };
+    } else if (sql.startsWith('INSERT INTO schema_migrations')) {
+      applied.set(params[0], { version: params[0], name: params[1], applied_at: new Date() });
+    } else if (sql.startsWith('DELETE FROM schema_migrations')) {
+      applied.delete(params[0]);
+    }
+    return { rows: [] };
+  }
+
+  const client = { query, release: jest.fn() };
+  return {
+    applied,
+    statements,
+    client,
+    query,
+    connect: async () => client
+  };
+}
+
+const migrations = [
+  { version: 1, name: 'create_quotes', up: 'CREATE TABLE quotes', down: 'DROP TABLE quotes' },
+  { version: 2, name: 'add_tags', up: 'ALTER TABLE quotes ADD tags', down: 'ALTER TABLE quotes DROP tags' },
+  { version: 3, name: 'add_index', up: 'CREATE INDEX tags_idx', down: 'DROP INDEX tags_idx' }
+];
+
+describe('loadMigrations', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('loads migrations in version order and ignores other files', () => {
+    fs.writeFileSync(path.join(dir, '010_second.js'), "module.exports = { up: 'B', down: 'b' };");
+    fs.writeFileSync(path.join(dir, '002_first.js'), "module.exports = { up: 'A', down: 'a' };");
+    fs.writeFileSync(path.join(dir, 'README.md'), 'notes');
+
+    const loaded = loadMigrations(dir);
+    expect(loaded.map(m => [m.version, m.name])).toEqual([[2, 'first'], [10, 'second']]);
+  });
+
+  test('rejects duplicate versions and missing down steps', () => {
+    fs.writeFileSync(path.join(dir, '001_a.js'), "module.exports = { up: 'A', down: 'a' };");
+    fs.writeFileSync(path.join(dir, '01_b.js'), "module.exports = { up: 'B', down: 'b' };");
+    expect(() => loadMigrations(dir)).toThrow(/Duplicate migration version 1/);
+
+    fs.rmSync(path.join(dir, '01_b.js'));
+    fs.writeFileSync(path.join(dir, '002_c.js'), "module.exports = { up: 'C' };");
+    expect(() => loadMigrations(dir)).toThrow(MigrationError);
+  });
+
+  test('createMigration scaffolds the next version', () => {
+    fs.writeFileSync(path.join(dir, '004_a.js'), "module.exports = { up: 'A', down: 'a' };");
+
+    const file = createMigration('Add quote tags', dir);
+    expect(path.basename(file)).toBe('005_add_quote_tags.js');
+    expect(loadMigrations(dir).map(m => m.version)).toEqual([4, 5]);
+  });
+
+  test('ships a loadable baseline', () => {
+    const loaded = loadMigrations();
+    expect(loaded[0]).toMatchObject({ version: 1, name: 'create_quotes' });
+  });
+});
+
+describe('migrate and rollback', () => {
+  test('applies pending migrations once, each in its own transaction, under the lock', async () => {
+    const pool = createFakePool();
+
+    const applied = await migrate(pool, { migrations, logger: silentLogger });
+    expect(applied.map(m => m.version)).toEqual([1, 2, 3]);
+    expect([...pool.applied.keys()]).toEqual([1, 2, 3]);
+
+    expect(pool.statements[0]).toMatch(/pg_advisory_lock/);
+    expect(pool.statements[pool.statements.length - 1]).toMatch(/pg_advisory_unlock/);
+    expect(pool.statements.filter(sql => sql === 'BEGIN')).toHaveLength(3);
+    expect(pool.statements.filter(sql => sql === 'COMMIT')).toHaveLength(3);
+    expect(pool.client.release).toHaveBeenCalledTimes(1);
+
+    expect(await migrate(pool, { migrations, logger: silentLogger })).toEqual([]);
+  });
+
+  test('stops at the requested version', async () => {
+    const pool = createFakePool();
+    await migrate(pool, { migrations, to: 2, logger: silentLogger });
+    expect([...pool.applied.keys()]).toEqual([1, 2]);
+  });
+
+  test('rolls back a failed migration and keeps earlier ones', async () => {
+    const pool = createFakePool({ failOn: 'ADD tags' });
+
+    await expect(migrate(pool, { migrations, logger: silentLogger })).rejects.toThrow(
+      'Migration 002_add_tags (up) failed: boom: ADD tags'
+    );
+    expect([...pool.applied.keys()]).toEqual([1]);
+    expect(pool.statements).toContain('ROLLBACK');
+    expect(pool.statements).toContain("SELECT pg_advisory_unlock(hashtext('schema_migrations'))");
+  });
+
+  test('reverts the latest migrations by steps or target version', async () => {
+    const pool = createFakePool();
+    await migrate(pool, { migrations, logger: silentLogger });
+
+    const reverted = await rollback(pool, { migrations, logger: silentLogger });
+    expect(reverted.map(m => m.version)).toEqual([3]);
+
+    await migrate(pool, { migrations, logger: silentLogger });
+    await rollback(pool, { migrations, to: 1, logger: silentLogger });
+    expect([...pool.applied.keys()]).toEqual([1]);
+    expect(pool.statements).toContain('DROP INDEX tags_idx');
+    expect(pool.statements).toContain('ALTER TABLE quotes DROP tags');
+  });
+
+  test('refuses to roll back migrations it has no file for', async () => {
+    const pool = createFakePool();
+    await migrate(pool, { migrations, logger: silentLogger });
+
+    await expect(rollback(pool, { migrations: migrations.slice(0, 2), logger: silentLogger })).rejects.toThrow(
+      'Cannot roll back migrations without a file: 3'
+    );
+    expect([...pool.applied.keys()]).toEqual([1, 2, 3]);
+  });
+
+  test('status reports pending, applied and missing migrations', async () => {
+    const pool = createFakePool();
+    expect((await migrationStatus(pool, { migrations })).map(m => m.state)).toEqual([
+      'pending',
+      'pending',
+      'pending'
+    ]);
+
+    await migrate(pool, { migrations, to: 1, logger: silentLogger });
+    pool.applied.set(9, { version: 9, name: 'from_newer_release', applied_at: new Date() });
+
+    const status = await migrationStatus(pool, { migrations });
+    expect(status.map(m => [m.version, m.state])).toEqual([
+      [1, 'applied'],
+      [2, 'pending'],
+      [3, 'pending'],
+      [9, 'missing']
+    ]);
+  });
+});
@@ -0,0 +1,204 @@
+// Token buckets, rate limit headers and per-route budgets on a bare app, then
+// on the in-process app: per IP ahead of authentication, per principal after it
+process.env.QUOTE_REPOSITORY = 'memory';
+process.env.RATE_LIMIT_ENABLED = 'true';
+process.env.LOAD_SHEDDING_ENABLED = 'false';
+process.env.AUTH_ENABLED = 'true';
+process.env.TRUST_PROXY = 'true';
+
+const express = require('express');
+const request = require('supertest');
+const {
+  DEFAULT_BUDGETS,
+  loadBudgets,
+  createMemoryStore,
+  createRateLimiter,
+  defaultKeyGenerator
+} = require('../lib/rate-limit');
+const { errorHandler } = require('../lib/errors');
+const server = require('../server');
+const { SAMPLE_QUOTES } = require('../lib/sample-quotes');
+const { createApiKey, generateApiKey } = require('../lib/api-keys');
+
+const stores = [];
+
+function limitedApp(options = {}) {
+  const store = createMemoryStore();
+  stores.push(store);
+  const app = express();
+  app.use(createRateLimiter({ store, budgets: loadBudgets({}), ...options }));
+  app.all('*', (req, res) => res.json({ ok: true }));
+  app.use(errorHandler);
+  return app;
+}
+
+afterAll(() => {
+  stores.forEach(store => store.close());
+});
+
+describe('loadBudgets', () => {
+  test('takes overrides from the environment', () => {
+    const budgets = loadBudgets({ RATE_LIMIT_EXPENSIVE_PER_MINUTE: '10', RATE_LIMIT_EXPENSIVE_BURST: '5' });
+    expect(budgets.find(budget => budget.name === 'expensive')).toMatchObject({ perMinute: 10, burst: 5 });
+    expect(budgets.find(budget => budget.name === 'default')).toMatchObject({ perMinute: 120, burst: 60 });
+    expect(budgets.map(budget => budget.name)).toEqual(DEFAULT_BUDGETS.map(budget => budget.name));
+  });
+
+  test('rejects budgets that would never let a request through', () => {
+    expect(() => loadBudgets({ RATE_LIMIT_WRITE_BURST: '0.5' })).toThrow(/budget "write"/);
+    expect(() => loadBudgets({ RATE_LIMIT_DEFAULT_PER_MINUTE: '-1' })).toThrow(/budget "default"/);
+  });
+});
+
+describe('createMemoryStore', () => {
+  const policy = { burst: 2, perMinute: 60 };
+  const start = 1000000;
+  let store;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  test('takes tokens until the bucket is empty', async () => {
+    expect(await store.take('a', policy, start)).toEqual({ allowed: true, remaining: 1, retryAfterMs: 0, resetMs: 1000 });
+    expect(await store.take('a', policy, start)).toEqual({ allowed: true, remaining: 0, retryAfterMs: 0, resetMs: 2000 });
+    expect(await store.take('a', policy, start)).toEqual({ allowed: false, remaining: 0, retryAfterMs: 1000, resetMs: 2000 });
+    // Other keys have buckets of their own
+    expect((await store.take('b', policy, start)).allowed).toBe(true);
+  });
+
+  test('refills at the sustained rate, up to the burst', async () => {
+    await store.take('a', policy, start);
+    await store.take('a', policy, start);
+    expect((await store.take('a', policy, start + 500)).allowed).toBe(false);
+    expect(await store.take('a', policy, start + 1000)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(await store.take('a', policy, start + 60000)).toMatchObject({ allowed: true, remaining: 1 });
+  });
+
+  test('evicts the oldest bucket beyond maxKeys', async () => {
+    const small = createMemoryStore({ maxKeys: 1 });
+    await small.take('a', policy, start);
+    await small.take('a', policy, start);
+    await small.take('b', policy, start);
+    // 'a' was evicted, so it starts with a full bucket again
+    expect(await small.take('a', policy, start)).toMatchObject({ allowed: true, remaining: 1 });
+    small.close();
+  });
+});
+
+describe('createRateLimiter', () => {
+  test('sets RateLimit headers, and answers 429 with Retry-After once the bucket is empty', async () => {
+    const app = limitedApp({ budgets: loadBudgets({ RATE_LIMIT_DEFAULT_PER_MINUTE: '60', RATE_LIMIT_DEFAULT_BURST: '2' }) });
+
+    const first = await request(app).get('/api/quotes');
+    expect(first.status).toBe(200);
+    expect(first.headers).toMatchObject({
+      'ratelimit-policy': '2;w=2',
+      'ratelimit-limit': '2',
+      'ratelimit-remaining': '1',
+      'ratelimit-reset': '1'
+    });
+    expect((await request(app).get('/api/quotes')).headers['ratelimit-remaining']).toBe('0');
+
+    const limited = await request(app).get('/api/quotes');
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('1');
+    expect(limited.body.code).toBe('RATE_LIMITED');
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+  });
+
+  test('each route takes from its own budget', async () => {
+    const app = limitedApp();
+    for (let i = 0; i < 10; i++) {
+      expect((await request(app).get('/api/quotes/search?q=life')).status).toBe(200);
+    }
+    expect((await request(app).get('/api/quotes/search?q=life')).status).toBe(429);
+    expect((await request(app).get('/api/quotes/export/')).status).toBe(429);
+
+    const list = await request(app).get('/api/quotes');
+    expect(list.status).toBe(200);
+    expect(list.headers['ratelimit-limit']).toBe('60');
+    const write = await request(app).post('/api/quotes');
+    expect(write.status).toBe(200);
+    expect(write.headers['ratelimit-limit']).toBe('10');
+    expect((await request(app).get('/health/ready')).headers['ratelimit-limit']).toBe('100');
+  });
+
+  test('never limits /metrics', async () => {
+    const app = limitedApp({ budgets: loadBudgets({ RATE_LIMIT_DEFAULT_BURST: '1' }) });
+    for (let i = 0; i < 3; i++) {
+      const res = await request(app).get('/metrics');
+      expect(res.status).toBe(200);
+      expect(res.headers['ratelimit-limit']).toBeUndefined();
+    }
+  });
+
+  test('lets requests through when the store fails', async () => {
+    const store = { take: async () => { throw new Error('store unreachable'); } };
+    const app = limitedApp({ store });
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect((await request(app).get('/api/quotes')).status).toBe(200);
+    spy.mockRestore();
+  });
+});
+
+describe('the app', () => {
+  const quotes = server.locals.quotes;
+  const search = headers => request(server).get('/api/quotes/search?q=life').set(headers);
+  const create = headers => request(server).post('/api/quotes').set(headers).send({ text: 'Limited.', author: 'A' });
+
+  beforeAll(async () => {
+    await quotes.seed(SAMPLE_QUOTES);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keys requests by IP, whatever credentials they carry', () => {
+    const headers = { 'x-api-key': generateApiKey() };
+    expect(defaultKeyGenerator({ ip: '10.0.0.1', get: name => headers[name.toLowerCase()] })).toBe('ip:10.0.0.1');
+  });
+
+  test('made-up API keys share the IP\'s bucket, and are never looked up', async () => {
+    const lookup = jest.spyOn(quotes.apiKeys, 'findByHash');
+    const statuses = [];
+    for (let i = 0; i < 15; i++) {
+      statuses.push((await search({ 'X-Forwarded-For': '10.1.0.1', 'X-API-Key': generateApiKey() })).status);
+    }
+    expect(statuses.filter(status => status === 200)).toHaveLength(10);
+    expect(statuses.slice(10)).toEqual(Array(5).fill(429));
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  test('requests over the IP\'s budget are turned away before their credential is checked', async () => {
+    const headers = { 'X-Forwarded-For': '10.1.0.2', 'X-API-Key': generateApiKey() };
+    for (let i = 0; i < 10; i++) {
+      expect((await create(headers)).status).toBe(401);
+    }
+    const lookup = jest.spyOn(quotes.apiKeys, 'findByHash');
+    expect((await create(headers)).status).toBe(429);
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  test('an authenticated caller has a bucket of its own, whichever IP it comes from', async () => {
+    const { key } = await createApiKey(quotes.apiKeys, { name: 'writer', scopes: ['quotes:write'] });
+    const touch = jest.spyOn(quotes.apiKeys, 'touch');
+    for (let i = 0; i < 9; i++) {
+      expect((await create({ 'X-Forwarded-For': '10.1.0.3', 'X-API-Key': key })).status).toBe(201);
+    }
+    const last = await create({ 'X-Forwarded-For': '10.1.0.4', 'X-API-Key': key });
+    expect(last.status).toBe(201);
+    // The IP's bucket is nearly full, the key's is empty
+    expect(last.headers['ratelimit-remaining']).toBe('0');
+
+    expect((await create({ 'X-Forwarded-For': '10.1.0.4', 'X-API-Key': key })).status).toBe(429);
+    expect((await create({ 'X-Forwarded-For': '10.1.0.4' })).status).toBe(401);
+    // Use is recorded for the requests that got through only
+    expect(touch).toHaveBeenCalledTimes(10);
+  });
+});
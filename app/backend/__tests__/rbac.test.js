@@ -0,0 +1,33 @@
+const { PERMISSIONS, ROLES, SCOPES, permissionsFor } = require('../lib/rbac');
+
+describe('permissionsFor', () => {
+  test('grants each role its permissions', () => {
+    expect(permissionsFor({ roles: ['viewer'] })).toEqual(['quotes:read']);
+    expect(permissionsFor({ roles: ['contributor'] })).toEqual([
+      'quotes:read',
+      'quotes:create',
+      'quotes:update:own',
+      'quotes:delete:own'
+    ]);
+    expect(permissionsFor({ roles: ['editor'] })).toEqual(PERMISSIONS);
+    expect(permissionsFor({ roles: ['admin'] })).toEqual(PERMISSIONS);
+  });
+
+  test('adds scopes to the roles, expanding the older aliases', () => {
+    expect(permissionsFor({ roles: ['viewer'], scopes: ['quotes:import'] })).toEqual(['quotes:read', 'quotes:import']);
+    expect(permissionsFor({ scopes: ['quotes:write'] })).toEqual(['quotes:create', 'quotes:update']);
+    expect(permissionsFor({ scopes: ['admin'] })).toEqual(PERMISSIONS);
+  });
+
+  test('grants nothing for unknown names', () => {
+    expect(permissionsFor()).toEqual([]);
+    expect(permissionsFor({ roles: ['root', 'constructor'], scopes: ['quotes:everything', 'toString'] })).toEqual([]);
+  });
+
+  test('roles only use known permissions, and every permission is a scope', () => {
+    for (const permissions of Object.values(ROLES)) {
+      expect(PERMISSIONS).toEqual(expect.arrayContaining(permissions));
+    }
+    expect(SCOPES).toEqual(expect.arrayContaining(PERMISSIONS));
+  });
+});
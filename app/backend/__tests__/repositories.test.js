@@ -0,0 +1,189 @@
+const { repositoryOptions, createRepository } = require('../lib/repositories');
+const { parseListQuery } = require('../lib/pagination');
+const { parseStatsQuery } = require('../lib/stats');
+const { SAMPLE_QUOTES } = require('../lib/sample-quotes');
+const { createApiKey, findActiveApiKey } = require('../lib/api-keys');
+
+let hasSqlite = true;
+try {
+  require('better-sqlite3');
+} catch (error) {
+  hasSqlite = false;
+}
+
+const backends = [
+  ['memory', () => createRepository({ kind: 'memory' })],
+  ['sqlite', () => createRepository({ kind: 'sqlite', sqlitePath: ':memory:' })]
+];
+
+describe('repositoryOptions', () => {
+  test('defaults to PostgreSQL', () => {
+    expect(repositoryOptions({})).toMatchObject({ kind: 'postgres', migrateOnStart: true });
+  });
+
+  test('rejects unknown backends', () => {
+    expect(() => repositoryOptions({ QUOTE_REPOSITORY: 'mongo' })).toThrow(/QUOTE_REPOSITORY/);
+  });
+});
+
+describe.each(backends)('%s repository', (kind, create) => {
+  const run = kind === 'sqlite' && !hasSqlite ? test.skip : test;
+  let quotes;
+
+  beforeEach(async () => {
+    if (kind === 'sqlite' && !hasSqlite) {
+      return;
+    }
+    quotes = create();
+    await quotes.initialize();
+    await quotes.seed(SAMPLE_QUOTES);
+  });
+
+  afterEach(async () => {
+    if (quotes) {
+      await quotes.close();
+    }
+  });
+
+  run('seeds only an empty store', async () => {
+    expect(await quotes.seed(SAMPLE_QUOTES)).toBe(false);
+    const page = await quotes.list(parseListQuery({}));
+    expect(page.pagination.total).toBe(SAMPLE_QUOTES.length);
+  });
+
+  run('lists with filters, sorting and cursor pagination', async () => {
+    const jobs = await quotes.list(parseListQuery({ author: 'Steve Jobs' }));
+    expect(jobs.data.map(q => q.author)).toEqual(['Steve Jobs', 'Steve Jobs']);
+
+    const first = await quotes.list(parseListQuery({ sort: 'author', limit: '2' }));
+    expect(first.data.map(q => q.author)).toEqual(['Aristotle', 'Eleanor Roosevelt']);
+
+    const next = await quotes.list(parseListQuery({ sort: 'author', limit: '2', cursor: first.pagination.next }));
+    expect(next.data.map(q => q.author)).toEqual(['John Lennon', 'Steve Jobs']);
+  });
+
+  run('creates, reads, updates and removes quotes', async () => {
+    const created = await quotes.create({ text: 'Stay hungry.', author: 'Steve Jobs', category: 'motivation' });
+    expect(created).toMatchObject({ text: 'Stay hungry.', served_count: 0 });
+    expect(await quotes.findById(created.id)).toMatchObject({ author: 'Steve Jobs' });
+
+    const updated = await quotes.update(created.id, { category: 'life' });
+    expect(updated).toMatchObject({ text: 'Stay hungry.', category: 'life' });
+    const replaced = await quotes.replace(created.id, { text: 'Stay foolish.', author: 'Steve Jobs', category: 'life' });
+    expect(replaced.text).toBe('Stay foolish.');
+
+    expect(await quotes.remove(created.id)).toMatchObject({ id: created.id });
+    expect(await quotes.findById(created.id)).toBeNull();
+    expect(await quotes.update(created.id, { category: 'life' })).toBeNull();
+  });
+
+  run('groups by category', async () => {
+    expect(await quotes.findByCategory('innovation')).toHaveLength(1);
+    const categories = await quotes.categories();
+    expect(categories[0]).toEqual({ category: 'dreams', count: 1 });
+  });
+
+  run('searches text, author and category', async () => {
+    const results = await quotes.search(['lennon']);
+    expect(results.map(q => q.author)).toEqual(['John Lennon']);
+  });
+
+  run('imports new quotes and reports duplicates', async () => {
+    const report = await quotes.importQuotes([
+      { text: SAMPLE_QUOTES[0].text, author: SAMPLE_QUOTES[0].author },
+      { text: 'Simplicity is the ultimate sophistication.', author: 'Leonardo da Vinci' }
+    ], { mode: 'best-effort', dryRun: false });
+
+    expect(report.committed).toBe(true);
+    expect(report.results.map(r => r.status)).toEqual(['duplicate', 'imported']);
+    expect(await quotes.findById(report.results[1].id)).toMatchObject({ category: 'general' });
+  });
+
+  run('rolls back atomic imports with invalid rows', async () => {
+    const report = await quotes.importQuotes([
+      { text: 'A new quote.', author: 'Someone' },
+      { text: '', author: 'Nobody' }
+    ], { mode: 'atomic', dryRun: false });
+
+    expect(report.committed).toBe(false);
+    expect((await quotes.list(parseListQuery({}))).pagination.total).toBe(SAMPLE_QUOTES.length);
+  });
+
+  run('counts serves in stats', async () => {
+    await quotes.recordServes(new Map([[1, 3], [2, 1]]));
+    const stats = await quotes.stats(parseStatsQuery({ range: '7d', detailed: 'true' }));
+
+    expect(stats.totals).toMatchObject({ quotes: 5, authors: 4, categories: 5, createdInRange: 5 });
+    expect(stats.mostServed.map(q => [q.id, q.served])).toEqual([[1, 3], [2, 1]]);
+    expect(stats.createdPerDay).toEqual([{ date: new Date().toISOString().slice(0, 10), count: 5 }]);
+  });
+
+  run('stores API keys by hash and revokes them', async () => {
+    const { key, record } = await createApiKey(quotes.apiKeys, { name: 'ci', roles: ['contributor'], scopes: ['quotes:import'] });
+    expect(record).toMatchObject({
+      name: 'ci',
+      prefix: key.slice(0, 10),
+      roles: ['contributor'],
+      scopes: ['quotes:import'],
+      revoked_at: null
+    });
+    expect(record).not.toHaveProperty('key_hash');
+
+    const found = await findActiveApiKey(quotes.apiKeys, key);
+    expect(found).toMatchObject({ id: record.id, roles: ['contributor'], scopes: ['quotes:import'] });
+    await quotes.apiKeys.touch(record.id);
+    expect((await quotes.apiKeys.list())[0].last_used_at).not.toBeNull();
+
+    expect((await quotes.apiKeys.revoke(record.id)).revoked_at).not.toBeNull();
+    expect(await findActiveApiKey(quotes.apiKeys, key)).toBeNull();
+    expect(await quotes.apiKeys.revoke(record.id + 1)).toBeNull();
+  });
+
+  run('records who created a quote', async () => {
+    const created = await quotes.create({ text: 'Owned.', author: 'A', category: 'general', createdBy: 'key:7' });
+    expect(created.created_by).toBe('key:7');
+    expect((await quotes.findById(created.id)).created_by).toBe('key:7');
+    expect((await quotes.create({ text: 'Anonymous.', author: 'A', category: 'general' })).created_by).toBeNull();
+  });
+
+  run('picks, schedules and forgets the quote of the day', async () => {
+    const options = { date: '2024-03-10', category: null, repeatWindowDays: 30 };
+    const picked = await quotes.dailyQuotes.pick(options);
+    expect(picked).toMatchObject({ date: '2024-03-10', category: null, scheduled: false });
+    expect(await quotes.dailyQuotes.pick(options)).toEqual(picked);
+    expect((await quotes.dailyQuotes.pick({ ...options, date: '2024-03-11' })).quote.id).not.toBe(picked.quote.id);
+
+    const life = await quotes.dailyQuotes.pick({ ...options, category: 'life' });
+    expect(life.quote.category).toBe('life');
+    expect(await quotes.dailyQuotes.pick({ ...options, category: 'nothing' })).toBeNull();
+
+    const scheduled = await quotes.dailyQuotes.schedule({ date: '2024-03-10', quoteId: 4, createdBy: 'key:1' });
+    expect(scheduled).toMatchObject({ date: '2024-03-10', category: null, quote_id: 4, scheduled: true, created_by: 'key:1' });
+    expect(await quotes.dailyQuotes.pick(options)).toMatchObject({ scheduled: true, quote: { id: 4 } });
+
+    const listed = await quotes.dailyQuotes.list({ from: '2024-03-10', to: '2024-03-11' });
+    expect(listed.map(pick => [pick.date, pick.category, pick.scheduled])).toEqual([
+      ['2024-03-10', null, true],
+      ['2024-03-10', 'life', false],
+      ['2024-03-11', null, false]
+    ]);
+    expect(await quotes.dailyQuotes.list({ from: '2024-03-10', to: '2024-03-11', category: 'life' })).toHaveLength(1);
+
+    expect(await quotes.dailyQuotes.unschedule('2024-03-11', null)).toBeNull();
+    expect(await quotes.dailyQuotes.unschedule('2024-03-10', null)).toMatchObject({ quote_id: 4 });
+    expect((await quotes.dailyQuotes.pick(options)).scheduled).toBe(false);
+
+    // Deleting a quote drops its picks
+    await quotes.remove(life.quote.id);
+    expect(await quotes.dailyQuotes.list({ from: '2024-03-10', to: '2024-03-10', category: 'life' })).toEqual([]);
+  });
+
+  run('treats expired API keys as inactive', async () => {
+    const { key } = await createApiKey(quotes.apiKeys, {
+      name: 'old',
+      scopes: ['admin'],
+      expiresAt: new Date(Date.now() - 1000)
+    });
+    expect(await findActiveApiKey(quotes.apiKeys, key)).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+const { schema, validate, validateRequest, bodyLimitOptions } = require('../lib/request-validation');
+const { ValidationError } = require('../lib/errors');
+const { QUOTE_SCHEMA, QUOTE_PATCH_SCHEMA, QUOTE_ID_PARAMS, validateImportRow } = require('../lib/quote-validation');
+
+describe('validate', () => {
+  test('accepts a valid quote and keeps only known fields', () => {
+    expect(validate(QUOTE_SCHEMA, { text: 'Quote', author: 'Author', category: 'life' })).toEqual({
+      value: { text: 'Quote', author: 'Author', category: 'life' },
+      errors: []
+    });
+  });
+
+  test('reports every failing field', () => {
+    const { errors } = validate(QUOTE_SCHEMA, {
+      text: 'x'.repeat(1001),
+      category: 'no/slashes',
+      metadata: { nested: true }
+    });
+    expect(errors).toEqual([
+      { field: 'text', message: 'text must be at most 1000 characters' },
+      { field: 'author', message: 'author is required' },
+      { field: 'category', message: 'category must be made of letters, digits, spaces, hyphens and underscores' },
+      { field: 'metadata', message: 'metadata is not allowed' }
+    ]);
+  });
+
+  test('rejects non-strings and blank strings', () => {
+    const { errors } = validate(QUOTE_SCHEMA, { text: 42, author: '   ' });
+    expect(errors.map(e => e.message)).toEqual(['text must be a string', 'author must not be empty']);
+  });
+
+  test('treats an empty category as not given', () => {
+    expect(validate(QUOTE_SCHEMA, { text: 'T', author: 'A', category: '' }).errors).toEqual([]);
+    expect(validate(QUOTE_SCHEMA, { text: 'T', author: 'A', category: null }).errors).toEqual([]);
+  });
+
+  test('partial schemas need at least one field', () => {
+    expect(validate(QUOTE_PATCH_SCHEMA, {}).errors).toEqual([
+      { message: 'At least one of text, author, category is required' }
+    ]);
+    expect(validate(QUOTE_PATCH_SCHEMA, { text: '' }).errors).toEqual([
+      { field: 'text', message: 'text must not be empty' }
+    ]);
+    expect(validate(QUOTE_PATCH_SCHEMA, { author: 'A' }).value).toEqual({ author: 'A' });
+  });
+
+  test.each([
+    ['7', 7, null],
+    ['0', null, 'id must be at least 1'],
+    ['1.5', null, 'id must be an integer'],
+    ['2147483648', null, 'id must be at most 2147483647']
+  ])('parses id %s', (raw, id, message) => {
+    const { value, errors } = validate(QUOTE_ID_PARAMS, { id: raw });
+    expect(value.id).toBe(id === null ? undefined : id);
+    expect(errors.map(e => e.message)).toEqual(message ? [message] : []);
+  });
+
+  test('allowUnknown ignores extra fields', () => {
+    const lenient = schema({ limit: { type: 'integer' } }, { allowUnknown: true });
+    expect(validate(lenient, { limit: '5', _: '123' })).toEqual({ value: { limit: 5 }, errors: [] });
+  });
+
+  test('rejects inputs that are not objects', () => {
+    expect(validate(QUOTE_SCHEMA, ['a']).errors).toEqual([{ message: 'must be an object' }]);
+  });
+
+  test('imported rows may carry extra columns', () => {
+    expect(validateImportRow({ id: 3, text: 'T', author: 'A', created_at: '2024-01-01' })).toEqual([]);
+    expect(validateImportRow({ text: 'T' })).toEqual(['author is required']);
+  });
+});
+
+describe('validateRequest', () => {
+  function run(schemas, req) {
+    const next = jest.fn();
+    validateRequest(schemas)(req, {}, next);
+    return { next };
+  }
+
+  test('replaces params and body with validated values', () => {
+    const req = { params: { id: '12' }, body: { text: 'T', author: 'A' } };
+    const { next } = run({ params: QUOTE_ID_PARAMS, body: QUOTE_SCHEMA }, req);
+    expect(next).toHaveBeenCalledWith();
+    expect(req.params).toEqual({ id: 12 });
+    expect(req.body).toEqual({ text: 'T', author: 'A' });
+  });
+
+  test('passes a ValidationError listing each error and where it was found', () => {
+    const { next } = run(
+      { params: QUOTE_ID_PARAMS, body: QUOTE_SCHEMA },
+      { params: { id: 'abc' }, body: { text: 'T' } }
+    );
+    const [error] = next.mock.calls[0];
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.status).toBe(400);
+    expect(error.message).toBe('id must be an integer; author is required');
+    expect(error.errors).toEqual([
+      { location: 'params', field: 'id', message: 'id must be an integer' },
+      { location: 'body', field: 'author', message: 'author is required' }
+    ]);
+  });
+});
+
+describe('bodyLimitOptions', () => {
+  test('defaults and overrides', () => {
+    expect(bodyLimitOptions({})).toEqual({ jsonLimit: '100kb', importLimit: '5mb' });
+    expect(bodyLimitOptions({ JSON_BODY_LIMIT: '10kb', IMPORT_BODY_LIMIT: '1mb' })).toEqual({
+      jsonLimit: '10kb',
+      importLimit: '1mb'
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const express = require('express');
+const { shutdownOptions, createShutdownCoordinator } = require('../lib/shutdown');
+
+const silentLogger = { log: () => {}, error: () => {} };
+
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ port, path, agent: false }, res => {
+      let body = '';
+      res.on('data', chunk => {
+        body += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+// Starts an app whose /slow route only answers when release() is called
+async function startServer(options) {
+  const signals = new EventEmitter();
+  const pool = { end: jest.fn().mockResolvedValue() };
+  const exit = jest.fn();
+  const coordinator = createShutdownCoordinator({ pool, exit, logger: silentLogger, ...options });
+
+  let release;
+  let markStarted;
+  const requestStarted = new Promise(resolve => {
+    markStarted = resolve;
+  });
+
+  const app = express();
+  app.use(coordinator.middleware);
+  app.get('/slow', (req, res) => {
+    release = () => res.json({ done: true });
+    markStarted();
+  });
+  app.get('/fast', (req, res) => res.json({ done: true }));
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, resolve));
+  coordinator.attach(server);
+  coordinator.register(signals);
+
+  return {
+    port: server.address().port,
+    server,
+    signals,
+    pool,
+    exit,
+    coordinator,
+    requestStarted,
+    release: () => release()
+  };
+}
+
+describe('shutdownOptions', () => {
+  test('waits 5 s for load balancers by default', () => {
+    expect(shutdownOptions({})).toEqual({ timeoutMs: 10000, drainDelayMs: 5000 });
+    expect(shutdownOptions({ SHUTDOWN_DRAIN_DELAY_MS: '0', SHUTDOWN_TIMEOUT_MS: '3000' }))
+      .toEqual({ timeoutMs: 3000, drainDelayMs: 0 });
+  });
+});
+
+describe('graceful shutdown', () => {
+  test('keeps serving through the drain delay', async () => {
+    const ctx = await startServer({ timeoutMs: 2000, drainDelayMs: 200 });
+
+    ctx.signals.emit('SIGTERM', 'SIGTERM');
+    expect(ctx.coordinator.isShuttingDown()).toBe(true);
+    const response = await get(ctx.port, '/fast');
+    expect(response.status).toBe(200);
+    expect(response.headers.connection).toBe('close');
+    expect(ctx.server.listening).toBe(true);
+
+    expect(await ctx.coordinator.shutdown()).toBe(0);
+    expect(ctx.server.listening).toBe(false);
+  });
+
+  test('finishes in-flight requests before closing the pool and exiting 0', async () => {
+    const ctx = await startServer({ timeoutMs: 2000 });
+
+    const inFlight = get(ctx.port, '/slow');
+    await ctx.requestStarted;
+    expect(ctx.coordinator.inFlight()).toBe(1);
+
+    ctx.signals.emit('SIGTERM', 'SIGTERM');
+    expect(ctx.coordinator.isShuttingDown()).toBe(true);
+
+    // New connections are refused once draining started
+    await expect(get(ctx.port, '/fast')).rejects.toThrow(/ECONNREFUSED/);
+    expect(ctx.pool.end).not.toHaveBeenCalled();
+
+    ctx.release();
+    const response = await inFlight;
+    expect(response.status).toBe(200);
+    expect(JSON.parse(response.body)).toEqual({ done: true });
+
+    const code = await ctx.coordinator.shutdown();
+    expect(code).toBe(0);
+    expect(ctx.pool.end).toHaveBeenCalledTimes(1);
+    expect(ctx.exit).toHaveBeenCalledWith(0);
+  });
+
+  test('cuts requests that outlive the deadline and exits 1', async () => {
+    const ctx = await startServer({ timeoutMs: 100 });
+
+    const inFlight = get(ctx.port, '/slow').catch(error => error);
+    await ctx.requestStarted;
+
+    ctx.signals.emit('SIGTERM', 'SIGTERM');
+    const code = await ctx.coordinator.shutdown();
+
+    expect(code).toBe(1);
+    expect(await inFlight).toHaveProperty('code', 'ECONNRESET');
+    expect(ctx.server.listening).toBe(false);
+    expect(ctx.pool.end).toHaveBeenCalledTimes(1);
+    expect(ctx.exit).toHaveBeenCalledWith(1);
+  });
+
+  test('runs cleanup hooks before ending the pool', async () => {
+    const calls = [];
+    const ctx = await startServer({
+      timeoutMs: 1000,
+      cleanup: [async () => calls.push('flush')]
+    });
+    ctx.pool.end.mockImplementation(async () => calls.push('pool.end'));
+
+    ctx.signals.emit('SIGINT', 'SIGINT');
+    await ctx.coordinator.shutdown();
+
+    expect(calls).toEqual(['flush', 'pool.end']);
+    expect(ctx.exit).toHaveBeenCalledWith(0);
+  });
+
+  test('a second signal while draining exits immediately', async () => {
+    const ctx = await startServer({ timeoutMs: 2000 });
+
+    const inFlight = get(ctx.port, '/slow');
+    await ctx.requestStarted;
+
+    ctx.signals.emit('SIGTERM', 'SIGTERM');
+    ctx.signals.emit('SIGINT', 'SIGINT');
+    expect(ctx.exit).toHaveBeenCalledWith(1);
+
+    ctx.release();
+    await inFlight;
+    await ctx.coordinator.shutdown();
+  });
+
+  test('asks keep-alive clients to reconnect elsewhere while draining', async () => {
+    const ctx = await startServer({ timeoutMs: 2000 });
+    const agent = new http.Agent({ keepAlive: true });
+
+    const inFlight = new Promise((resolve, reject) => {
+      http.get({ port: ctx.port, path: '/slow', agent }, resolve).on('error', reject);
+    });
+    await ctx.requestStarted;
+
+    ctx.signals.emit('SIGTERM', 'SIGTERM');
+    ctx.release();
+    const response = await inFlight;
+    response.resume();
+
+    expect(response.headers.connection).toBe('close');
+    await ctx.coordinator.shutdown();
+    agent.destroy();
+  });
+});
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+// API key CLI.
+//
+//   node keys.js create --name=ci --roles=editor [--expires-in-days=90]
+//   node keys.js create --name=k6 --scopes=quotes:create,quotes:import
+//   node keys.js list                 # every key with its status; never the keys themselves
+//   node keys.js revoke 3             # revoke key 3 (ids are shown by list)
+//
+// Keys live in the repository chosen by QUOTE_REPOSITORY (postgres or sqlite)
+// with the same settings as the server (.env is read). On PostgreSQL the
+// api_keys table comes from the migrations (npm run migrate).
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+require('dotenv').config();
+const { databaseOptions } = require('./lib/db');
+const { repositoryOptions, createRepository } = require('./lib/repositories');
+const { createApiKey } = require('./lib/api-keys');
+const { ROLES, SCOPES } = require('./lib/rbac');
+
+const USAGE = `Usage: node keys.js <command> [options]
+
+Commands:
+  create             Create a key and print it (it cannot be shown again)
+  list               List keys with their roles, scopes and status
+  revoke ID          Revoke a key; requests using it get 401 from then on
+
+Options:
+  --name=NAME               create: what the key is for, e.g. "ci" or "k6"
+  --roles=ROLE,...          create: any of ${Object.keys(ROLES).join(', ')}
+  --scopes=SCOPE,...        create: single permissions, any of ${SCOPES.join(', ')}
+  --expires-in-days=N       create: expire the key after N days (default: never)
+  --help                    Show this help`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function fail(message) {
+  console.error(`keys: ${message}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+function parseCommand(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        name: { type: 'string' },
+        roles: { type: 'string' },
+        scopes: { type: 'string' },
+        'expires-in-days': { type: 'string' },
+        help: { type: 'boolean' }
+      }
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const [command, ...args] = positionals;
+  if (!['create', 'list', 'revoke'].includes(command)) {
+    fail(command ? `Unknown command "${command}"` : 'Missing command');
+  }
+
+  if (command === 'create') {
+    if (!values.name || !(values.roles || values.scopes)) {
+      fail('create needs --name and --roles or --scopes');
+    }
+    let expiresInDays;
+    if (values['expires-in-days'] !== undefined) {
+      expiresInDays = Number(values['expires-in-days']);
+      if (!Number.isInteger(expiresInDays) || expiresInDays < 1) {
+        fail('--expires-in-days must be an integer >= 1');
+      }
+    }
+    return {
+      command,
+      name: values.name,
+      roles: list(values.roles),
+      scopes: list(values.scopes),
+      expiresInDays
+    };
+  }
+
+  if (command === 'revoke') {
+    const id = Number(args[0]);
+    if (args.length !== 1 || !Number.isInteger(id) || id < 1) {
+      fail('revoke needs exactly one key id');
+    }
+    return { command, id };
+  }
+
+  return { command };
+}
+
+function keyStatus(key, now = new Date()) {
+  if (key.revoked_at) {
+    return 'revoked';
+  }
+  if (key.expires_at && new Date(key.expires_at) <= now) {
+    return 'expired';
+  }
+  return 'active';
+}
+
+const grants = values => (values.length > 0 ? values.join(',') : '-');
+const formatDate = value => (value ? new Date(value).toISOString() : '-');
+
+async function run({ command, name, roles, scopes, expiresInDays, id }, { log = console.log } = {}) {
+  const options = repositoryOptions();
+  if (options.kind === 'memory') {
+    throw new Error('QUOTE_REPOSITORY=memory keeps keys in the server process; use postgres or sqlite');
+  }
+
+  const pool = options.kind === 'postgres' ? new Pool(databaseOptions()) : null;
+  const repository = createRepository({ ...options, pool });
+  try {
+    if (command === 'create') {
+      const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null;
+      const { key, record } = await createApiKey(repository.apiKeys, { name, roles, scopes, expiresAt });
+      log(`Created key ${record.id} (${record.name}) with roles ${grants(record.roles)} and scopes ${grants(record.scopes)}`);
+      log(`Expires: ${formatDate(record.expires_at)}`);
+      log('Store this key now, it cannot be shown again:');
+      log(key);
+    } else if (command === 'revoke') {
+      const record = await repository.apiKeys.revoke(id);
+      if (!record) {
+        throw new Error(`No key with id ${id}`);
+      }
+      log(`Revoked key ${record.id} (${record.name})`);
+    } else {
+      const keys = await repository.apiKeys.list();
+      if (keys.length === 0) {
+        log('No keys');
+      }
+      for (const key of keys) {
+        log([
+          String(key.id).padStart(4),
+          keyStatus(key).padEnd(7),
+          `${key.prefix}...`,
+          key.name,
+          `roles ${grants(key.roles)}`,
+          `scopes ${grants(key.scopes)}`,
+          `created ${formatDate(key.created_at)}`,
+          `expires ${formatDate(key.expires_at)}`,
+          `last used ${formatDate(key.last_used_at)}`
+        ].join('  '));
+      }
+    }
+  } catch (error) {
+    // undefined_table: the migration creating api_keys has not run yet
+    if (error.code === '42P01') {
+      throw new Error('The api_keys table does not exist yet, run `npm run migrate` first');
+    }
+    throw error;
+  } finally {
+    await repository.close();
+    if (pool) {
+      await pool.end();
+    }
+  }
+}
+
+if (require.main === module) {
+  run(parseCommand()).catch(error => {
+    console.error(`keys: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseCommand, keyStatus, run };
@@ -0,0 +1,81 @@
+// API keys for the write routes.
+// A key ("qk_" followed by 32 random bytes, base64url) is shown once when it
+// is created; only its SHA-256 hash is stored, next to a short prefix that
+// tells keys apart in listings. Keys carry roles and scopes (lib/rbac.js) and
+// may expire or be revoked. The store is the quote repository's `apiKeys`
+// (see lib/repositories).
+const crypto = require('crypto');
+const { ROLES, SCOPES } = require('./rbac');
+
+const KEY_PREFIX = 'qk_';
+const KEY_PATTERN = /^qk_[A-Za-z0-9_-]{43}$/;
+const DISPLAY_PREFIX_LENGTH = 10;
+const MAX_NAME_LENGTH = 100;
+
+class ApiKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiKeyError';
+  }
+}
+
+function generateApiKey() {
+  return `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// Keys are random, so a plain (unsalted) hash is enough and allows lookups by hash
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+const looksLikeApiKey = value => KEY_PATTERN.test(value);
+
+// Resolves { key, record }; `key` is never stored and cannot be shown again
+async function createApiKey(store, { name, roles = [], scopes = [], expiresAt = null }) {
+  if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH) {
+    throw new ApiKeyError(`Key name must be 1 to ${MAX_NAME_LENGTH} characters`);
+  }
+  if (roles.length === 0 && scopes.length === 0) {
+    throw new ApiKeyError(`Keys need a role (${Object.keys(ROLES).join(', ')}) or a scope`);
+  }
+  const unknownRoles = roles.filter(role => !Object.prototype.hasOwnProperty.call(ROLES, role));
+  if (unknownRoles.length > 0) {
+    throw new ApiKeyError(`Unknown role(s) ${unknownRoles.join(', ')}; expected ${Object.keys(ROLES).join(', ')}`);
+  }
+  const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new ApiKeyError(`Unknown scope(s) ${unknown.join(', ')}; expected ${SCOPES.join(', ')}`);
+  }
+
+  const key = generateApiKey();
+  const record = await store.create({
+    name: name.trim(),
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    keyHash: hashApiKey(key),
+    roles: [...new Set(roles)],
+    scopes: [...new Set(scopes)],
+    expiresAt
+  });
+  return { key, record };
+}
+
+// The key's record, or null when it is unknown, revoked or expired
+async function findActiveApiKey(store, key, now = new Date()) {
+  if (!looksLikeApiKey(key)) {
+    return null;
+  }
+  const record = await store.findByHash(hashApiKey(key));
+  if (!record || record.revoked_at || (record.expires_at && new Date(record.expires_at) <= now)) {
+    return null;
+  }
+  return record;
+}
+
+module.exports = {
+  ApiKeyError,
+  generateApiKey,
+  hashApiKey,
+  looksLikeApiKey,
+  createApiKey,
+  findActiveApiKey
+};
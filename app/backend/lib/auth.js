@@ -0,0 +1,206 @@
+// Authentication and authorization for the quote routes. Each route names the
+// permission it needs (lib/rbac.js); credentials come as
+//   Authorization: Bearer <API key or JWT>, or X-API-Key: <API key>
+// API keys are looked up by hash in the repository; JWTs (lib/jwt.js) carry
+// `roles` (or a single `role`) and scopes in `scope` (space-separated, as in
+// OAuth 2) or a `scopes` array. Reads are public unless AUTH_PUBLIC_READS=false.
+// AUTH_ENABLED=false switches the checks off, for local development only.
+const { findActiveApiKey, looksLikeApiKey } = require('./api-keys');
+const { PERMISSIONS, permissionsFor } = require('./rbac');
+const { JwtError, loadJwks, createJwtVerifier } = require('./jwt');
+const { UnauthorizedError, ForbiddenError } = require('./errors');
+const { logger: defaultLogger } = require('./logger');
+
+const CHALLENGE = 'Bearer realm="quote-api"';
+
+// JWTs are only accepted when JWT_SECRET (HS256) or JWT_JWKS_PATH (RS256) is set
+function authOptions(env = process.env) {
+  const jwtEnabled = Boolean(env.JWT_SECRET || env.JWT_JWKS_PATH);
+  return {
+    enabled: env.AUTH_ENABLED !== 'false',
+    publicReads: env.AUTH_PUBLIC_READS !== 'false',
+    jwt: jwtEnabled
+      ? {
+        secret: env.JWT_SECRET || undefined,
+        jwksPath: env.JWT_JWKS_PATH || undefined,
+        issuer: env.JWT_ISSUER || undefined,
+        audience: env.JWT_AUDIENCE || undefined,
+        clockToleranceSeconds: Number(env.JWT_CLOCK_TOLERANCE_SECONDS || 30)
+      }
+      : null
+  };
+}
+
+function invalidCredentials(message) {
+  return new UnauthorizedError(message, {
+    code: 'INVALID_CREDENTIALS',
+    challenge: `${CHALLENGE}, error="invalid_token"`
+  });
+}
+
+// 403 naming the permission, so clients know what to ask an admin for
+function missingPermission(permission) {
+  return new ForbiddenError(`Missing permission ${permission}`, {
+    code: 'MISSING_PERMISSION',
+    extensions: { permission }
+  });
+}
+
+function credentialFrom(req) {
+  const header = req.get('Authorization');
+  if (header) {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(header);
+    if (!match) {
+      throw invalidCredentials('Authorization header must use the Bearer scheme');
+    }
+    return match[1];
+  }
+  return req.get('X-API-Key') || null;
+}
+
+const stringList = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+
+function grantsFromClaims(claims) {
+  const roles = typeof claims.role === 'string' ? [claims.role] : stringList(claims.roles);
+  const scopes = typeof claims.scope === 'string' ? claims.scope.split(' ').filter(Boolean) : stringList(claims.scopes);
+  return { roles, scopes };
+}
+
+function principal(type, id, name, { roles, scopes }) {
+  return { type, id, name, roles, scopes, permissions: permissionsFor({ roles, scopes }) };
+}
+
+// `apiKeys` is the repository's key store; `jwt` and `publicReads` come from authOptions()
+function createAuthenticator({
+  enabled = true,
+  publicReads = true,
+  apiKeys,
+  jwt = null,
+  logger = defaultLogger
+} = {}) {
+  const verifier = jwt
+    ? createJwtVerifier({ ...jwt, jwks: jwt.jwksPath ? loadJwks(jwt.jwksPath) : undefined })
+    : null;
+
+  // API key ids of the principals authenticate() resolved, for recordUse()
+  const keyIds = new WeakMap();
+
+  // Resolves the principal { type, id, name, roles, scopes, permissions } behind
+  // the request's credential, null without one; rejects credentials that do
+  // not check out
+  async function authenticate(req) {
+    const credential = credentialFrom(req);
+    if (!credential) {
+      return null;
+    }
+
+    if (looksLikeApiKey(credential)) {
+      const record = await findActiveApiKey(apiKeys, credential);
+      if (!record) {
+        throw invalidCredentials('API key is invalid, expired or revoked');
+      }
+      const user = principal('api_key', `key:${record.id}`, record.name, record);
+      keyIds.set(user, record.id);
+      return user;
+    }
+
+    if (!verifier) {
+      throw invalidCredentials('Credential is not a valid API key');
+    }
+    let claims;
+    try {
+      claims = verifier.verify(credential);
+    } catch (error) {
+      if (error instanceof JwtError) {
+        throw invalidCredentials(`Invalid token: ${error.message}`);
+      }
+      throw error;
+    }
+    if (typeof claims.sub !== 'string' || claims.sub === '') {
+      throw invalidCredentials('Invalid token: no subject');
+    }
+    return principal('jwt', `jwt:${claims.sub}`, claims.sub, grantsFromClaims(claims));
+  }
+
+  // Route middleware: 401 without valid credentials, 403 without `permission`.
+  // With `own` (e.g. 'quotes:update:own'), holding only that permission is
+  // enough to go on, but restricted to the principal's own resources:
+  // req.ownedBy is set and requireOwner() has to follow. The principal is kept
+  // on req.principal (and in the access log).
+  function requirePermission(permission, { own } = {}) {
+    for (const name of [permission, own].filter(Boolean)) {
+      if (!PERMISSIONS.includes(name)) {
+        throw new Error(`Unknown permission ${name}`);
+      }
+    }
+    return async function checkPermission(req, res, next) {
+      if (!enabled || (permission === 'quotes:read' && publicReads)) {
+        return next();
+      }
+      try {
+        const user = await authenticate(req);
+        if (!user) {
+          throw new UnauthorizedError('Authentication required', {
+            code: 'AUTHENTICATION_REQUIRED',
+            challenge: CHALLENGE
+          });
+        }
+        req.principal = user;
+        if (!user.permissions.includes(permission)) {
+          if (!own || !user.permissions.includes(own)) {
+            throw missingPermission(permission);
+          }
+          req.ownedBy = user.id;
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  // Follows requirePermission(permission, { own }) once the route params are
+  // validated. `ownerOf(req)` resolves the resource's owner, or undefined when
+  // there is no such resource (the route then answers 404).
+  function requireOwner(permission, ownerOf) {
+    return async function checkOwner(req, res, next) {
+      if (!req.ownedBy) {
+        return next();
+      }
+      try {
+        const owner = await ownerOf(req);
+        if (owner !== undefined && owner !== req.ownedBy) {
+          throw missingPermission(permission);
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  // Route middleware after requirePermission() and the caller's rate limit:
+  // sets the API key's last_used_at, so only requests that get through cost
+  // the write
+  function recordUse(req, res, next) {
+    const keyId = req.principal && keyIds.get(req.principal);
+    if (keyId !== undefined) {
+      apiKeys.touch(keyId).catch(error => logger.debug('Could not record API key use', error));
+    }
+    next();
+  }
+
+  return {
+    enabled,
+    publicReads,
+    authenticate,
+    requirePermission,
+    requireOwner,
+    recordUse
+  };
+}
+
+module.exports = {
+  authOptions,
+  createAuthenticator
+};
@@ -0,0 +1,233 @@
+// Read cache in front of the quote queries, selected with QUERY_CACHE:
+//   memory (default) - in-process LRU (lib/cache/lru.js), per replica
+//   redis            - shared by every replica, REDIS_URL (lib/cache/redis.js)
+//   none             - every read goes to the repository
+//
+// Backends store JSON text (all methods return promises):
+//   get(key)              the text, or undefined
+//   set(key, text, ttlMs) ttlMs 0 keeps it until evicted
+//   close()
+//
+// Each query type has its own TTL (QUERY_CACHE_TTL_<TYPE>_MS, 0 disables it).
+// Keys include a generation id stored in the backend; a write replaces it, so
+// every replica sharing the backend stops seeing older entries at once, and
+// results loaded before the write can never be read back. Served counts are
+// not writes: served_count in cached quotes lags by up to the TTL.
+// Concurrent misses for one key share a single repository call.
+const crypto = require('crypto');
+const { createLruCache } = require('./lru');
+const { logger: defaultLogger } = require('../logger');
+
+const CACHE_BACKENDS = ['memory', 'redis', 'none'];
+
+const DEFAULT_TTLS_MS = {
+  list: 60000,
+  search: 60000,
+  quote: 300000,
+  category: 60000,
+  categories: 300000,
+  stats: 30000,
+  daily: 300000
+};
+
+function cacheOptions(env = process.env) {
+  const backend = env.QUERY_CACHE || 'memory';
+  if (!CACHE_BACKENDS.includes(backend)) {
+    throw new Error(`QUERY_CACHE must be one of: ${CACHE_BACKENDS.join(', ')}`);
+  }
+  const ttls = {};
+  for (const [type, ttlMs] of Object.entries(DEFAULT_TTLS_MS)) {
+    const value = env[`QUERY_CACHE_TTL_${type.toUpperCase()}_MS`];
+    ttls[type] = value === undefined || value === '' ? ttlMs : Number(value);
+    if (!Number.isInteger(ttls[type]) || ttls[type] < 0) {
+      throw new Error(`QUERY_CACHE_TTL_${type.toUpperCase()}_MS must be an integer >= 0`);
+    }
+  }
+  return {
+    backend,
+    ttls,
+    maxEntries: Number(env.QUERY_CACHE_MAX_ENTRIES || 1000),
+    redisUrl: env.REDIS_URL || 'redis://localhost:6379',
+    redisTimeoutMs: Number(env.REDIS_TIMEOUT_MS || 250),
+    keyPrefix: env.QUERY_CACHE_KEY_PREFIX || 'quote-api:'
+  };
+}
+
+function createCacheBackend({ backend = 'memory', maxEntries, redisUrl, redisTimeoutMs, logger } = {}) {
+  if (backend === 'none') {
+    return null;
+  }
+  if (backend === 'redis') {
+    // Required lazily so the redis client is only loaded when it is used
+    const { createRedisCache } = require('./redis');
+    return createRedisCache({ url: redisUrl, timeoutMs: redisTimeoutMs, logger });
+  }
+  return createLruCache({ maxEntries });
+}
+
+// Takes cacheOptions(); `store` replaces the backend they select. `onLookup(type,
+// result)` is told about every read: hit, miss, coalesced (waited for a
+// concurrent miss) or error (backend failed, read through).
+function createQueryCache({
+  ttls = DEFAULT_TTLS_MS,
+  keyPrefix = 'quote-api:',
+  logger = defaultLogger,
+  onLookup = () => {},
+  store,
+  ...backendOptions
+} = {}) {
+  const cache = store === undefined ? createCacheBackend({ ...backendOptions, logger }) : store;
+  const generationKey = `${keyPrefix}generation`;
+  const inFlight = new Map();
+  let creatingGeneration = null;
+
+  // Concurrent first reads share the generation they create
+  async function generation() {
+    const current = await cache.get(generationKey);
+    if (current !== undefined) {
+      return current;
+    }
+    if (!creatingGeneration) {
+      const created = crypto.randomUUID();
+      creatingGeneration = cache.set(generationKey, created)
+        .then(() => created)
+        .finally(() => {
+          creatingGeneration = null;
+        });
+    }
+    return creatingGeneration;
+  }
+
+  async function lookup(type, key, load) {
+    let cached;
+    try {
+      cached = await cache.get(key);
+    } catch (error) {
+      onLookup(type, 'error');
+      logger.debug('Query cache read failed', error);
+      return JSON.stringify((await load()) ?? null);
+    }
+    if (cached !== undefined) {
+      onLookup(type, 'hit');
+      return cached;
+    }
+
+    onLookup(type, 'miss');
+    const value = JSON.stringify((await load()) ?? null);
+    try {
+      await cache.set(key, value, ttls[type]);
+    } catch (error) {
+      logger.debug('Query cache write failed', error);
+    }
+    return value;
+  }
+
+  return {
+    kind: cache ? cache.kind : 'none',
+
+    // Resolves with load()'s result, from the cache when it can. Results that
+    // go through the cache come back as JSON gives them (dates as ISO strings),
+    // whether they were cached already or not.
+    async read(type, params, load) {
+      if (!Object.prototype.hasOwnProperty.call(DEFAULT_TTLS_MS, type)) {
+        throw new Error(`Unknown query type ${type}`);
+      }
+      if (!cache || !ttls[type]) {
+        return load();
+      }
+
+      let key;
+      try {
+        const hash = crypto.createHash('sha1').update(JSON.stringify(params ?? null)).digest('base64url');
+        key = `${keyPrefix}${await generation()}:${type}:${hash}`;
+      } catch (error) {
+        onLookup(type, 'error');
+        logger.debug('Query cache read failed', error);
+        return load();
+      }
+
+      let flight = inFlight.get(key);
+      if (flight) {
+        onLookup(type, 'coalesced');
+      } else {
+        flight = lookup(type, key, load);
+        inFlight.set(key, flight);
+        flight.then(
+          () => inFlight.delete(key),
+          () => inFlight.delete(key)
+        );
+      }
+      return JSON.parse(await flight);
+    },
+
+    // Drops every cached result; a failure is logged, as entries still expire
+    async invalidate() {
+      if (!cache) {
+        return;
+      }
+      try {
+        await cache.set(generationKey, crypto.randomUUID());
+      } catch (error) {
+        logger.warn('Could not invalidate the query cache', error);
+      }
+    },
+
+    async close() {
+      if (cache) {
+        await cache.close();
+      }
+    }
+  };
+}
+
+// The repository with its queries read through `queryCache`, and its writes
+// invalidating it. Everything else (random, export, recordServes, apiKeys, ...)
+// is the repository's own, looked up at call time. Quote of the Day picks are
+// cached too: a day's pick only changes when it is scheduled or its quote is
+// deleted, and both invalidate.
+function withQueryCache(repository, queryCache) {
+  const read = (type, params, load) => queryCache.read(type, params, load);
+  const invalidating = write => async (...args) => {
+    const result = await write(...args);
+    if (result) {
+      await queryCache.invalidate();
+    }
+    return result;
+  };
+
+  return Object.assign(Object.create(repository), {
+    list: options => read('list', options, () => repository.list(options)),
+    search: (terms, limit) => read('search', [terms, limit], () => repository.search(terms, limit)),
+    findById: id => read('quote', id, () => repository.findById(id)),
+    findByCategory: category => read('category', category, () => repository.findByCategory(category)),
+    categories: () => read('categories', null, () => repository.categories()),
+    stats: options => read('stats', options, () => repository.stats(options)),
+
+    seed: invalidating(quotes => repository.seed(quotes)),
+    create: invalidating(quote => repository.create(quote)),
+    replace: invalidating((id, quote) => repository.replace(id, quote)),
+    update: invalidating((id, changes) => repository.update(id, changes)),
+    remove: invalidating(id => repository.remove(id)),
+    dailyQuotes: Object.assign(Object.create(repository.dailyQuotes), {
+      pick: options => read('daily', options, () => repository.dailyQuotes.pick(options)),
+      schedule: invalidating(options => repository.dailyQuotes.schedule(options)),
+      unschedule: invalidating((date, category) => repository.dailyQuotes.unschedule(date, category))
+    }),
+    importQuotes: async (rows, options) => {
+      const report = await repository.importQuotes(rows, options);
+      if (report.committed) {
+        await queryCache.invalidate();
+      }
+      return report;
+    }
+  });
+}
+
+module.exports = {
+  CACHE_BACKENDS,
+  DEFAULT_TTLS_MS,
+  cacheOptions,
+  createCacheBackend,
+  createQueryCache,
+  withQueryCache
+};
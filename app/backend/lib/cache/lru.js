@@ -0,0 +1,40 @@
+// In-process LRU backend for the query cache: a Map kept in recency order
+// (oldest first), bounded by maxEntries. Each replica has its own.
+function createLruCache({ maxEntries = 1000, now = Date.now } = {}) {
+  const entries = new Map();
+
+  return {
+    kind: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      entries.delete(key);
+      if (entry.expires && entry.expires <= now()) {
+        return undefined;
+      }
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs = 0) {
+      entries.delete(key);
+      entries.set(key, { value, expires: ttlMs ? now() + ttlMs : 0 });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    size() {
+      return entries.size;
+    },
+
+    async close() {
+      entries.clear();
+    }
+  };
+}
+
+module.exports = { createLruCache };
@@ -0,0 +1,63 @@
+// Redis backend for the query cache, shared by every replica (REDIS_URL).
+// The cache must never hold up a request: commands fail at once while Redis is
+// unreachable (no offline queue) and give up after timeoutMs, and the query
+// cache then reads through to the repository. The client reconnects in the
+// background.
+const { createClient } = require('redis');
+const { logger: defaultLogger } = require('../logger');
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Redis command timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createRedisCache({ url, timeoutMs = 250, logger = defaultLogger } = {}) {
+  const client = createClient({
+    url,
+    disableOfflineQueue: true,
+    socket: {
+      connectTimeout: 2000,
+      reconnectStrategy: retries => Math.min(100 * 2 ** retries, 5000)
+    }
+  });
+
+  // Log when Redis goes away or comes back, not on every reconnect attempt
+  let available = true;
+  client.on('ready', () => {
+    available = true;
+    logger.info('Redis query cache connected');
+  });
+  client.on('error', error => {
+    if (available) {
+      available = false;
+      logger.warn('Redis query cache unavailable, reading through to the repository', error);
+    }
+  });
+  // Reads go straight to the repository until the first connection is up
+  const connected = client.connect().then(() => true, () => false);
+
+  return {
+    kind: 'redis',
+    connected,
+
+    async get(key) {
+      const value = await withTimeout(client.get(key), timeoutMs);
+      return value === null ? undefined : value;
+    },
+
+    async set(key, value, ttlMs = 0) {
+      await withTimeout(client.set(key, value, ttlMs ? { PX: ttlMs } : {}), timeoutMs);
+    },
+
+    async close() {
+      if (client.isOpen) {
+        await client.quit().catch(() => client.disconnect().catch(() => {}));
+      }
+    }
+  };
+}
+
+module.exports = { createRedisCache };
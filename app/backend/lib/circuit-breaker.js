@@ -0,0 +1,124 @@
+// Circuit breaker for PostgreSQL calls.
+// After failureThreshold consecutive connectivity failures the circuit opens
+// and calls fail fast with CircuitOpenError instead of waiting on a dead
+// database. After resetTimeoutMs one trial call is let through (half-open):
+// success closes the circuit, failure opens it again. Errors that prove the
+// database answered (constraint violations, SQL bugs) count as successes.
+const { isDatabaseUnavailable } = require('./db-errors');
+
+const STATES = ['closed', 'half_open', 'open'];
+
+class CircuitOpenError extends Error {
+  constructor(retryAfterMs) {
+    super('Database circuit breaker is open');
+    this.name = 'CircuitOpenError';
+    this.code = 'ECIRCUITOPEN';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function circuitBreakerOptions(env = process.env) {
+  return {
+    failureThreshold: Number(env.DB_CIRCUIT_FAILURE_THRESHOLD || 5),
+    resetTimeoutMs: Number(env.DB_CIRCUIT_RESET_TIMEOUT_MS || 10000)
+  };
+}
+
+function createCircuitBreaker({
+  failureThreshold = 5,
+  resetTimeoutMs = 10000,
+  isFailure = isDatabaseUnavailable,
+  onStateChange = () => {},
+  now = Date.now
+} = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function transition(next) {
+    if (state !== next) {
+      const previous = state;
+      state = next;
+      onStateChange(next, previous);
+    }
+  }
+
+  function recordSuccess() {
+    failures = 0;
+    transition('closed');
+  }
+
+  function recordFailure() {
+    failures += 1;
+    if (state === 'half_open' || failures >= failureThreshold) {
+      openedAt = now();
+      transition('open');
+    }
+  }
+
+  async function execute(fn) {
+    if (state === 'open') {
+      const remaining = openedAt + resetTimeoutMs - now();
+      if (remaining > 0) {
+        throw new CircuitOpenError(remaining);
+      }
+      transition('half_open');
+    }
+
+    // Only one trial call probes a recovering database
+    const trial = state === 'half_open';
+    if (trial) {
+      if (trialInFlight) {
+        throw new CircuitOpenError(resetTimeoutMs);
+      }
+      trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      recordSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        recordFailure();
+      } else {
+        recordSuccess();
+      }
+      throw error;
+    } finally {
+      if (trial) {
+        trialInFlight = false;
+      }
+    }
+  }
+
+  return {
+    execute,
+
+    state() {
+      return state;
+    },
+
+    status() {
+      return { state, failures, failureThreshold, resetTimeoutMs };
+    }
+  };
+}
+
+// Pool look-alike whose query() and connect() go through the breaker.
+// Queries on a checked-out client are not guarded; acquiring it is.
+function guardPool(pool, breaker) {
+  return {
+    query: (...args) => breaker.execute(() => pool.query(...args)),
+    connect: () => breaker.execute(() => pool.connect())
+  };
+}
+
+module.exports = {
+  STATES,
+  CircuitOpenError,
+  circuitBreakerOptions,
+  createCircuitBreaker,
+  guardPool
+};
@@ -0,0 +1,236 @@
+// Quote of the Day for GET /api/quotes/today: one quote per calendar day, the
+// same for every client and every replica.
+// The day is the date in the client's time zone (?tz=, default QOTD_TIMEZONE),
+// so each zone moves on at its own midnight; all zones share the quote of a
+// given date. Each category (?category=) has a quote of the day of its own,
+// besides the one drawn from every quote.
+// Picks are stored by the repository (daily_quotes), so they survive restarts:
+// the first request of a day chooses, later ones read the pick back, and when
+// replicas race the first stored pick wins. The choice itself is a hash of the
+// date and category over the candidate quote ids, so racing replicas agree
+// anyway. The degraded-mode fallback picks from the sample quotes the same way
+// and keeps its picks in that memory repository, per replica and until restart.
+// A quote is not chosen again within QOTD_REPEAT_WINDOW_DAYS of another day it
+// was picked or scheduled for; when every quote was, the one whose nearest
+// pick is furthest away is chosen. Quotes scheduled for a date
+// (PUT /api/quotes/schedule/:date) replace the automatic pick.
+const crypto = require('crypto');
+const { schema } = require('./request-validation');
+const { ValidationError } = require('./errors');
+const { CATEGORY_RULE, MAX_QUOTE_ID } = require('./quote-validation');
+
+const DEFAULT_REPEAT_WINDOW_DAYS = 30;
+const DEFAULT_SCHEDULE_DAYS = 30;
+const MAX_SCHEDULE_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_RULE = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, format: 'a date in YYYY-MM-DD format' };
+const TIME_ZONE_RULE = { type: 'string', maxLength: 64 };
+
+// Field-level checks, run before parseTodayQuery and parseScheduleQuery
+const TODAY_QUERY_SCHEMA = schema({
+  tz: TIME_ZONE_RULE,
+  category: CATEGORY_RULE
+});
+
+const SCHEDULE_QUERY_SCHEMA = schema({
+  from: DATE_RULE,
+  to: DATE_RULE,
+  category: CATEGORY_RULE
+});
+
+const SCHEDULE_PARAMS = schema({
+  date: { ...DATE_RULE, required: true }
+});
+
+// A missing or empty category schedules the quote drawn from every quote
+const SCHEDULE_SCHEMA = schema({
+  quoteId: { type: 'integer', required: true, min: 1, max: MAX_QUOTE_ID },
+  category: { ...CATEGORY_RULE, empty: true }
+});
+
+const UNSCHEDULE_QUERY_SCHEMA = schema({
+  category: CATEGORY_RULE
+});
+
+class DailyQuoteQueryError extends ValidationError {
+  constructor(message, { location = 'query', field } = {}) {
+    super(message, { errors: [{ location, field, message }] });
+    this.name = 'DailyQuoteQueryError';
+  }
+}
+
+function isTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function dailyQuoteOptions(env = process.env) {
+  const timeZone = env.QOTD_TIMEZONE || 'UTC';
+  if (!isTimeZone(timeZone)) {
+    throw new Error(`QOTD_TIMEZONE must be an IANA time zone, e.g. Europe/Berlin (got ${timeZone})`);
+  }
+  const repeatWindowDays = Number(env.QOTD_REPEAT_WINDOW_DAYS || DEFAULT_REPEAT_WINDOW_DAYS);
+  if (!Number.isInteger(repeatWindowDays) || repeatWindowDays < 0) {
+    throw new Error('QOTD_REPEAT_WINDOW_DAYS must be an integer >= 0');
+  }
+  return { timeZone, repeatWindowDays };
+}
+
+// Date and wall-clock time of `now` in `timeZone`
+function localParts(now, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(now);
+  const part = type => parts.find(candidate => candidate.type === type).value;
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    seconds: Number(part('hour')) * 3600 + Number(part('minute')) * 60 + Number(part('second'))
+  };
+}
+
+// YYYY-MM-DD of `now` in `timeZone`
+function localDate(now, timeZone) {
+  return localParts(now, timeZone).date;
+}
+
+// Until local midnight, by the wall clock (off by an hour on DST change days)
+function secondsUntilNextDay(now, timeZone) {
+  return Math.max(1, 24 * 3600 - localParts(now, timeZone).seconds);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(a, b) {
+  return Math.abs(Date.parse(`${a}T00:00:00Z`) - Date.parse(`${b}T00:00:00Z`)) / DAY_MS;
+}
+
+// DATE_RULE only checks the shape; this rejects dates like 2024-02-30
+function parseDate(raw, name, location = 'query') {
+  const value = String(raw);
+  const date = new Date(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime()) ||
+      date.toISOString().slice(0, 10) !== value) {
+    throw new DailyQuoteQueryError(`"${name}" must be a date in YYYY-MM-DD format`, { location, field: name });
+  }
+  return value;
+}
+
+// { timeZone, category } for GET /api/quotes/today; category null for the quote
+// drawn from every quote
+function parseTodayQuery(query, { timeZone = 'UTC' } = {}) {
+  const tz = query.tz === undefined ? timeZone : String(query.tz);
+  if (!isTimeZone(tz)) {
+    throw new DailyQuoteQueryError('Query parameter "tz" must be an IANA time zone, e.g. Europe/Berlin', { field: 'tz' });
+  }
+  return {
+    timeZone: tz,
+    category: query.category === undefined ? null : query.category
+  };
+}
+
+// { from, to, category } for GET /api/quotes/schedule: DEFAULT_SCHEDULE_DAYS
+// from today unless given; category undefined lists every category
+function parseScheduleQuery(query, { timeZone = 'UTC', now = new Date() } = {}) {
+  const from = query.from === undefined ? localDate(now, timeZone) : parseDate(query.from, 'from');
+  const to = query.to === undefined ? addDays(from, DEFAULT_SCHEDULE_DAYS) : parseDate(query.to, 'to');
+  if (from > to) {
+    throw new DailyQuoteQueryError('Query parameter "from" must not be after "to"', { field: 'from' });
+  }
+  if (daysBetween(from, to) >= MAX_SCHEDULE_RANGE_DAYS) {
+    throw new DailyQuoteQueryError(`The schedule can be listed for at most ${MAX_SCHEDULE_RANGE_DAYS} days at a time`, { field: 'to' });
+  }
+  return { from, to, category: query.category };
+}
+
+// Chooses one of `ids` (sorted) for `date`, avoiding the quotes in `picks`
+// ({ date, quote_id } of the days around it); null when there are no ids
+function chooseQuote(ids, picks, { date, category = null }) {
+  if (ids.length === 0) {
+    return null;
+  }
+  const nearest = new Map();
+  for (const pick of picks) {
+    if (pick.date !== date) {
+      const distance = daysBetween(pick.date, date);
+      nearest.set(pick.quote_id, Math.min(distance, nearest.get(pick.quote_id) ?? Infinity));
+    }
+  }
+  let candidates = ids.filter(id => !nearest.has(id));
+  if (candidates.length === 0) {
+    const furthest = Math.max(...ids.map(id => nearest.get(id)));
+    candidates = ids.filter(id => nearest.get(id) === furthest);
+  }
+  const hash = crypto.createHash('sha256').update(`${date}:${category || ''}`).digest();
+  return candidates[hash.readUIntBE(0, 6) % candidates.length];
+}
+
+// Stored picks use '' for the quote drawn from every quote; records say null
+function dailyRecord(row) {
+  return row ? { ...row, category: row.category || null, scheduled: Boolean(row.scheduled) } : null;
+}
+
+// The quote of the day for the repositories' dailyQuotes.pick(). `store`:
+//   find(date, category)            the stored pick, or null
+//   quoteIds(category)              ids of the quotes in the category ('' for all), sorted
+//   picksBetween(category, from, to) [{ date, quote_id }] stored for those days
+//   claim(date, category, quoteId)  store the pick unless the day has one already
+//   findQuote(id)                   quote or null
+// Resolves with { date, category, scheduled, quote }, or null without quotes.
+async function pickDailyQuote(store, { date, category = null, repeatWindowDays = DEFAULT_REPEAT_WINDOW_DAYS }) {
+  const scope = category || '';
+  let pick = await store.find(date, scope);
+  if (!pick) {
+    const ids = await store.quoteIds(scope);
+    const picks = repeatWindowDays > 0
+      ? await store.picksBetween(scope, addDays(date, -repeatWindowDays), addDays(date, repeatWindowDays))
+      : [];
+    const quoteId = chooseQuote(ids, picks, { date, category: scope });
+    if (quoteId === null) {
+      return null;
+    }
+    await store.claim(date, scope, quoteId);
+    // Another replica may have claimed the day first
+    pick = await store.find(date, scope);
+  }
+  const quote = pick && await store.findQuote(pick.quote_id);
+  if (!quote) {
+    return null;
+  }
+  return { date, category: category || null, scheduled: Boolean(pick.scheduled), quote };
+}
+
+module.exports = {
+  DEFAULT_REPEAT_WINDOW_DAYS,
+  MAX_SCHEDULE_RANGE_DAYS,
+  TODAY_QUERY_SCHEMA,
+  SCHEDULE_QUERY_SCHEMA,
+  SCHEDULE_PARAMS,
+  SCHEDULE_SCHEMA,
+  UNSCHEDULE_QUERY_SCHEMA,
+  DailyQuoteQueryError,
+  isTimeZone,
+  dailyQuoteOptions,
+  localDate,
+  secondsUntilNextDay,
+  addDays,
+  parseDate,
+  parseTodayQuery,
+  parseScheduleQuery,
+  chooseQuote,
+  dailyRecord,
+  pickDailyQuote
+};
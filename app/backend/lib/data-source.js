@@ -0,0 +1,142 @@
+// Degraded-mode policy for read routes.
+// Reads go to PostgreSQL; successful results are remembered per key (a bounded
+// read-through cache of last-known rows). When the database is unreachable,
+// DATA_SOURCE_POLICY decides what clients get:
+//   strict   - 503 Service Unavailable
+//   cache    - the last-known database result for the same request, else 503
+//   fallback - the last-known result, else the built-in sample data (default)
+// Any other error is a bug and propagates as a 500, whatever the policy.
+// Degraded responses carry X-Data-Source and `degraded: true` so clients can
+// tell them from live data.
+const { isDatabaseUnavailable } = require('./db-errors');
+const { UnavailableError } = require('./errors');
+const { logger: defaultLogger } = require('./logger');
+
+const POLICIES = ['strict', 'cache', 'fallback'];
+const DEFAULT_RETRY_AFTER_SECONDS = 5;
+
+class DataUnavailableError extends UnavailableError {
+  constructor(retryAfterSeconds = DEFAULT_RETRY_AFTER_SECONDS) {
+    super('Database not available', { code: 'DATABASE_UNAVAILABLE', retryAfterSeconds });
+    this.name = 'DataUnavailableError';
+  }
+}
+
+function dataSourceOptions(env = process.env) {
+  const policy = env.DATA_SOURCE_POLICY || 'fallback';
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`DATA_SOURCE_POLICY must be one of: ${POLICIES.join(', ')}`);
+  }
+  return {
+    policy,
+    cacheMaxEntries: Number(env.DATA_SOURCE_CACHE_MAX_ENTRIES || 500),
+    cacheMaxAgeMs: Number(env.DATA_SOURCE_CACHE_MAX_AGE_MS || 3600000)
+  };
+}
+
+function createDataSource({
+  policy = 'fallback',
+  cacheMaxEntries = 500,
+  cacheMaxAgeMs = 3600000,
+  now = Date.now,
+  logger = defaultLogger
+} = {}) {
+  // Map iteration order doubles as recency order: hits are re-inserted at the end
+  const lastKnown = new Map();
+
+  function remember(key, value) {
+    lastKnown.delete(key);
+    lastKnown.set(key, { value, storedAt: now() });
+    if (lastKnown.size > cacheMaxEntries) {
+      lastKnown.delete(lastKnown.keys().next().value);
+    }
+  }
+
+  function recall(key) {
+    const entry = lastKnown.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (now() - entry.storedAt > cacheMaxAgeMs) {
+      lastKnown.delete(key);
+      return null;
+    }
+    lastKnown.delete(key);
+    lastKnown.set(key, entry);
+    return entry;
+  }
+
+  // Decides what to serve after `error`; rethrows anything that is not a
+  // connectivity problem and throws DataUnavailableError when nothing may be
+  // served. `sample` may return a promise (a sample-data repository call)
+  async function degrade(error, key, sample) {
+    if (!isDatabaseUnavailable(error)) {
+      throw error;
+    }
+
+    const cached = policy !== 'strict' && key !== undefined ? recall(key) : null;
+    // Debug only: the access log line already carries the data source
+    if (cached) {
+      logger.debug('Database not available, using cached data', { key });
+      return { value: cached.value, source: 'cache', cachedAt: new Date(cached.storedAt).toISOString() };
+    }
+    if (policy === 'fallback' && sample) {
+      logger.debug('Database not available, using sample data', { key });
+      return { value: await sample(), source: 'sample_data' };
+    }
+
+    const retryAfterSeconds = error.retryAfterMs
+      ? Math.ceil(error.retryAfterMs / 1000)
+      : DEFAULT_RETRY_AFTER_SECONDS;
+    throw new DataUnavailableError(retryAfterSeconds);
+  }
+
+  return {
+    policy,
+    degrade,
+
+    // Resolves with { value, source, cachedAt? }; source is 'db', 'cache' or 'sample_data'
+    async read(key, { load, sample }) {
+      let value;
+      try {
+        value = await load();
+      } catch (error) {
+        return degrade(error, key, sample);
+      }
+      remember(key, value);
+      return { value, source: 'db' };
+    },
+
+    clear() {
+      lastKnown.clear();
+    }
+  };
+}
+
+// Tags a response with where its data came from (for clients and metrics)
+function setDataSource(res, { source }) {
+  res.locals.dataSource = source;
+  res.set('X-Data-Source', source);
+}
+
+// Sends a read result; degraded responses also say so in the body
+function sendData(res, result, body, status = 200) {
+  setDataSource(res, result);
+  if (result.source !== 'db') {
+    body.source = result.source;
+    body.degraded = true;
+    if (result.cachedAt) {
+      body.cachedAt = result.cachedAt;
+    }
+  }
+  return res.status(status).json(body);
+}
+
+module.exports = {
+  POLICIES,
+  DataUnavailableError,
+  dataSourceOptions,
+  createDataSource,
+  setDataSource,
+  sendData
+};
@@ -0,0 +1,80 @@
+// Classify pg errors so routes can tell "database is down" from real bugs
+
+// Node socket errors raised while connecting to PostgreSQL
+const CONNECTION_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENOTFOUND',
+  'EHOSTUNREACH',
+  'ETIMEDOUT',
+  'EAI_AGAIN'
+]);
+
+// SQLSTATE classes 08 (connection exception) and 57P (operator intervention,
+// e.g. admin shutdown), plus 53300 too_many_connections
+function isUnavailableSqlState(code) {
+  return typeof code === 'string' &&
+    (code.startsWith('08') || code.startsWith('57P') || code === '53300');
+}
+
+function isDatabaseUnavailable(error) {
+  if (!error) {
+    return false;
+  }
+  if (CONNECTION_ERROR_CODES.has(error.code) || isUnavailableSqlState(error.code)) {
+    return true;
+  }
+  // Raised by lib/circuit-breaker.js while the circuit is open
+  if (error.code === 'ECIRCUITOPEN') {
+    return true;
+  }
+  // pg reports dropped connections and pool timeouts without a code
+  return /Connection terminated|timeout exceeded when trying to connect/i.test(error.message || '');
+}
+
+// Transient conflicts worth retrying: serialization_failure, deadlock_detected,
+// lock_not_available, query_canceled (statement timeout)
+const BUSY_SQLSTATES = new Set(['40001', '40P01', '55P03', '57014']);
+
+// unique_violation, foreign_key_violation, exclusion_violation
+const CONFLICT_SQLSTATES = new Set(['23505', '23503', '23P01']);
+
+// not_null_violation, check_violation, plus class 22 (data exception: bad
+// casts such as invalid integer input, out-of-range numbers, too-long strings)
+const INVALID_SQLSTATES = new Set(['23502', '23514']);
+
+const SQLITE_CODES = {
+  SQLITE_BUSY: 'busy',
+  SQLITE_LOCKED: 'busy',
+  SQLITE_CANTOPEN: 'unavailable',
+  SQLITE_CONSTRAINT_UNIQUE: 'conflict',
+  SQLITE_CONSTRAINT_PRIMARYKEY: 'conflict',
+  SQLITE_CONSTRAINT_FOREIGNKEY: 'conflict',
+  SQLITE_CONSTRAINT_NOTNULL: 'invalid',
+  SQLITE_CONSTRAINT_CHECK: 'invalid',
+  SQLITE_MISMATCH: 'invalid'
+};
+
+// 'unavailable', 'busy', 'conflict', 'invalid', or null for anything else
+// (a bug, e.g. a syntax error or a missing table)
+function classifyDatabaseError(error) {
+  if (isDatabaseUnavailable(error)) {
+    return 'unavailable';
+  }
+  const code = error && typeof error.code === 'string' ? error.code : '';
+  if (BUSY_SQLSTATES.has(code)) {
+    return 'busy';
+  }
+  if (CONFLICT_SQLSTATES.has(code)) {
+    return 'conflict';
+  }
+  if (INVALID_SQLSTATES.has(code) || /^22[0-9A-Z]{3}$/.test(code)) {
+    return 'invalid';
+  }
+  return SQLITE_CODES[code] || null;
+}
+
+module.exports = {
+  isDatabaseUnavailable,
+  classifyDatabaseError
+};
@@ -0,0 +1,12 @@
+// PostgreSQL connection settings shared by the API server and the CLIs
+function databaseOptions(env = process.env) {
+  return {
+    user: env.DB_USER || 'postgres',
+    host: env.DB_HOST || 'localhost',
+    database: env.DB_NAME || 'quotes_db',
+    password: env.DB_PASSWORD || 'password',
+    port: env.DB_PORT || 5432
+  };
+}
+
+module.exports = { databaseOptions };
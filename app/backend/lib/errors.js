@@ -0,0 +1,217 @@
+// Error model for the API.
+// Routes throw (or pass to next) one of the ApiError classes below; the error
+// middleware turns any error into an RFC 7807 problem document
+// (application/problem+json) with a stable `code` and the request ID. Problem
+// documents also carry `success: false` and `message`, the fields of the
+// earlier error format, so existing clients keep working.
+const { classifyDatabaseError } = require('./db-errors');
+const { logger } = require('./logger');
+
+const PROBLEM_TYPE_PREFIX = 'urn:quote-api:problem:';
+const DEFAULT_RETRY_AFTER_SECONDS = 5;
+
+// `extensions` are extra members for the problem document (RFC 7807 section 3.2)
+class ApiError extends Error {
+  constructor(message, {
+    status = 500,
+    code = 'INTERNAL_ERROR',
+    title = 'Internal Server Error',
+    retryAfterSeconds,
+    extensions,
+    cause
+  } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.title = title;
+    if (extensions !== undefined) {
+      this.extensions = extensions;
+    }
+    if (retryAfterSeconds !== undefined) {
+      this.retryAfterSeconds = retryAfterSeconds;
+    }
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
+  }
+}
+
+// `errors` lists individual failures: { location, field?, message }
+class ValidationError extends ApiError {
+  constructor(message, {
+    errors = [],
+    status = 400,
+    code = 'VALIDATION_FAILED',
+    title = 'Validation Failed',
+    cause
+  } = {}) {
+    super(message, { status, code, title, cause });
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+// `challenge` is the WWW-Authenticate header telling the client how to authenticate
+class UnauthorizedError extends ApiError {
+  constructor(message, { code = 'UNAUTHORIZED', challenge = 'Bearer' } = {}) {
+    super(message, { status: 401, code, title: 'Unauthorized' });
+    this.name = 'UnauthorizedError';
+    this.challenge = challenge;
+  }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(message, { code = 'FORBIDDEN', extensions } = {}) {
+    super(message, { status: 403, code, title: 'Forbidden', extensions });
+    this.name = 'ForbiddenError';
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message, { code = 'NOT_FOUND' } = {}) {
+    super(message, { status: 404, code, title: 'Not Found' });
+    this.name = 'NotFoundError';
+  }
+}
+
+class ConflictError extends ApiError {
+  constructor(message, { code = 'CONFLICT', cause } = {}) {
+    super(message, { status: 409, code, title: 'Conflict', cause });
+    this.name = 'ConflictError';
+  }
+}
+
+class UnavailableError extends ApiError {
+  constructor(message, {
+    code = 'SERVICE_UNAVAILABLE',
+    retryAfterSeconds = DEFAULT_RETRY_AFTER_SECONDS,
+    cause
+  } = {}) {
+    super(message, { status: 503, code, title: 'Service Unavailable', retryAfterSeconds, cause });
+    this.name = 'UnavailableError';
+  }
+}
+
+class RateLimitedError extends ApiError {
+  constructor(message, { retryAfterSeconds } = {}) {
+    super(message, { status: 429, code: 'RATE_LIMITED', title: 'Too Many Requests', retryAfterSeconds });
+    this.name = 'RateLimitedError';
+  }
+}
+
+function retryAfterFrom(error, fallback = DEFAULT_RETRY_AFTER_SECONDS) {
+  return error.retryAfterMs ? Math.ceil(error.retryAfterMs / 1000) : fallback;
+}
+
+// Maps a driver error (pg SQLSTATE or SQLite code) to an ApiError, or null
+// when it is not a database error the client can do anything about
+function fromDatabaseError(error) {
+  switch (classifyDatabaseError(error)) {
+    case 'unavailable':
+      return new UnavailableError('Database not available', {
+        code: 'DATABASE_UNAVAILABLE',
+        retryAfterSeconds: retryAfterFrom(error),
+        cause: error
+      });
+    case 'busy':
+      return new UnavailableError('Database is busy, please retry', {
+        code: 'DATABASE_BUSY',
+        retryAfterSeconds: 1,
+        cause: error
+      });
+    // Driver messages name tables and constraints, so they stay in the logs
+    case 'invalid':
+      return new ValidationError('A value is not valid for the database', { code: 'INVALID_VALUE', cause: error });
+    case 'conflict':
+      return new ConflictError('The request conflicts with existing data', { cause: error });
+    default:
+      return null;
+  }
+}
+
+// body-parser errors carry `type`; anything else with `expose` is a client error
+function fromHttpError(error) {
+  if (error.type === 'entity.too.large') {
+    return new ApiError('Request body is too large', {
+      status: 413,
+      code: 'PAYLOAD_TOO_LARGE',
+      title: 'Payload Too Large'
+    });
+  }
+  if (error.type === 'entity.parse.failed') {
+    const message = 'Request body is not valid JSON';
+    return new ValidationError(message, { code: 'MALFORMED_BODY', errors: [{ location: 'body', message }] });
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new ApiError(error.message, { status: error.status, code: 'BAD_REQUEST', title: 'Bad Request' });
+  }
+  return null;
+}
+
+function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  return fromHttpError(error) ||
+    fromDatabaseError(error) ||
+    new ApiError('An unexpected error occurred', { cause: error });
+}
+
+function problemDocument(error, req) {
+  const problem = {
+    type: `${PROBLEM_TYPE_PREFIX}${error.code.toLowerCase().replace(/_/g, '-')}`,
+    title: error.title,
+    status: error.status,
+    detail: error.message,
+    instance: req.originalUrl,
+    code: error.code,
+    requestId: req.id,
+    ...error.extensions,
+    success: false,
+    message: error.message
+  };
+  if (error.errors && error.errors.length > 0) {
+    problem.errors = error.errors;
+  }
+  return problem;
+}
+
+function sendProblem(req, res, error) {
+  if (error.retryAfterSeconds !== undefined) {
+    res.set('Retry-After', String(error.retryAfterSeconds));
+  }
+  if (error.challenge) {
+    res.set('WWW-Authenticate', error.challenge);
+  }
+  return res.status(error.status).type('application/problem+json').json(problemDocument(error, req));
+}
+
+// Last middleware of the app. Only unexpected errors are logged with a stack;
+// the request ID in the response finds them in the logs (req.log stamps it).
+function errorHandler(err, req, res, next) {
+  const error = toApiError(err);
+  if (error.status >= 500 && !(error instanceof UnavailableError)) {
+    (req.log || logger).error('Unhandled error', err instanceof Error ? err : { err });
+  }
+  if (res.headersSent) {
+    return next(err);
+  }
+  return sendProblem(req, res, error);
+}
+
+module.exports = {
+  ApiError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UnavailableError,
+  RateLimitedError,
+  fromDatabaseError,
+  toApiError,
+  problemDocument,
+  sendProblem,
+  errorHandler
+};
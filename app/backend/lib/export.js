@@ -0,0 +1,292 @@
+// Streaming quote export for GET /api/quotes/export.
+// Rows are read from PostgreSQL through a server-side cursor in fixed-size
+// batches and written with backpressure, so memory use does not grow with the table.
+const Cursor = require('pg-cursor');
+const { schema } = require('./request-validation');
+const { ValidationError } = require('./errors');
+const { CATEGORY_RULE } = require('./quote-validation');
+
+const BATCH_SIZE = 500;
+const BASE_FIELDS = ['id', 'text', 'author', 'category', 'created_at'];
+const DETAILED_FIELDS = [...BASE_FIELDS, 'updated_at', 'served_count'];
+
+const DATE_RULE = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, format: 'a date in YYYY-MM-DD format' };
+
+// Field-level checks, run before parseExportQuery
+const EXPORT_QUERY_SCHEMA = schema({
+  format: { type: 'string' },
+  detailed: { type: 'string', enum: ['true', 'false'] },
+  spreadsheetSafe: { type: 'string', enum: ['true', 'false'] },
+  category: CATEGORY_RULE,
+  from: DATE_RULE,
+  to: DATE_RULE
+}, { allowUnknown: true });
+
+class ExportQueryError extends ValidationError {
+  constructor(message) {
+    super(message, { errors: [{ location: 'query', message }] });
+    this.name = 'ExportQueryError';
+  }
+}
+
+function formatValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value === null || value === undefined ? '' : String(value);
+}
+
+// With spreadsheetSafe, cells that a spreadsheet would run as a formula get a
+// leading ' (CSV injection). Off by default: the prefix changes the text, and
+// exports are meant to be imported again unchanged.
+function csvCell(value, { spreadsheetSafe = false } = {}) {
+  let cell = formatValue(value);
+  if (spreadsheetSafe && /^[=+\-@\t\r]/.test(cell)) {
+    cell = `'${cell}`;
+  }
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+function xmlEscape(value) {
+  return formatValue(value)
+    // Characters that are not allowed anywhere in XML 1.0
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function pick(row, fields) {
+  const quote = {};
+  for (const field of fields) {
+    quote[field] = row[field] === undefined ? null : row[field];
+  }
+  return quote;
+}
+
+// Each serializer turns a sequence of rows into begin + row* + end chunks
+const SERIALIZERS = {
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    begin: () => '[',
+    row: (row, fields, index) => `${index === 0 ? '' : ','}\n${JSON.stringify(pick(row, fields))}`,
+    end: count => (count === 0 ? ']\n' : '\n]\n')
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    begin: () => '',
+    row: (row, fields) => `${JSON.stringify(pick(row, fields))}\n`,
+    end: () => ''
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    begin: fields => `${fields.join(',')}\r\n`,
+    row: (row, fields, index, options) => `${fields.map(field => csvCell(row[field], options)).join(',')}\r\n`,
+    end: () => ''
+  },
+  xml: {
+    contentType: 'application/xml; charset=utf-8',
+    extension: 'xml',
+    begin: () => '<?xml version="1.0" encoding="UTF-8"?>\n<quotes>\n',
+    row: (row, fields) => {
+      const children = fields
+        .filter(field => field !== 'id')
+        .map(field => `    <${field}>${xmlEscape(row[field])}</${field}>`)
+        .join('\n');
+      return `  <quote id="${xmlEscape(row.id)}">\n${children}\n  </quote>\n`;
+    },
+    end: () => '</quotes>\n'
+  }
+};
+
+function parseDate(raw, name) {
+  const value = String(raw);
+  const date = new Date(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime()) ||
+      date.toISOString().slice(0, 10) !== value) {
+    throw new ExportQueryError(`Query parameter "${name}" must be a date in YYYY-MM-DD format`);
+  }
+  return value;
+}
+
+function parseExportQuery(query) {
+  const format = query.format === undefined ? 'json' : String(query.format).toLowerCase();
+  if (!SERIALIZERS[format]) {
+    throw new ExportQueryError(`Query parameter "format" must be one of: ${Object.keys(SERIALIZERS).join(', ')}`);
+  }
+
+  const detailed = query.detailed === undefined ? 'false' : String(query.detailed);
+  if (detailed !== 'true' && detailed !== 'false') {
+    throw new ExportQueryError('Query parameter "detailed" must be "true" or "false"');
+  }
+
+  const spreadsheetSafe = query.spreadsheetSafe === undefined ? 'false' : String(query.spreadsheetSafe);
+  if (spreadsheetSafe !== 'true' && spreadsheetSafe !== 'false') {
+    throw new ExportQueryError('Query parameter "spreadsheetSafe" must be "true" or "false"');
+  }
+
+  if (query.category !== undefined && (typeof query.category !== 'string' || query.category === '')) {
+    throw new ExportQueryError('Query parameter "category" must be a non-empty string');
+  }
+
+  const from = query.from === undefined ? null : parseDate(query.from, 'from');
+  const to = query.to === undefined ? null : parseDate(query.to, 'to');
+  if (from && to && from > to) {
+    throw new ExportQueryError('Query parameter "from" must not be after "to"');
+  }
+
+  return {
+    format,
+    fields: detailed === 'true' ? DETAILED_FIELDS : BASE_FIELDS,
+    spreadsheetSafe: spreadsheetSafe === 'true',
+    category: query.category === undefined ? null : query.category,
+    from,
+    to
+  };
+}
+
+function buildExportQuery({ fields, category, from, to }) {
+  const conditions = [];
+  const values = [];
+
+  if (category !== null) {
+    values.push(category);
+    conditions.push(`category = $${values.length}`);
+  }
+  if (from !== null) {
+    values.push(from);
+    conditions.push(`created_at >= $${values.length}::date`);
+  }
+  if (to !== null) {
+    // "to" is inclusive: everything before the start of the following day
+    values.push(to);
+    conditions.push(`created_at < $${values.length}::date + 1`);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  return {
+    text: `SELECT ${fields.join(', ')} FROM quotes ${where} ORDER BY id`,
+    values
+  };
+}
+
+function setExportHeaders(res, { format }) {
+  const serializer = SERIALIZERS[format];
+  const date = new Date().toISOString().slice(0, 10);
+  res.set('Content-Type', serializer.contentType);
+  res.set('Content-Disposition', `attachment; filename="quotes-${date}.${serializer.extension}"`);
+}
+
+// Resolve once the response can take more data, or once the client went away
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.removeListener('drain', done);
+      res.removeListener('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+}
+
+// Write one chunk per batch of rows, pausing while the socket buffer is full
+async function writeRows(res, options, readBatch) {
+  const serializer = SERIALIZERS[options.format];
+  let count = 0;
+
+  res.write(serializer.begin(options.fields));
+  for (;;) {
+    const rows = await readBatch();
+    if (rows.length === 0 || res.destroyed) {
+      break;
+    }
+    let chunk = '';
+    for (const row of rows) {
+      chunk += serializer.row(row, options.fields, count, options);
+      count += 1;
+    }
+    if (!res.write(chunk)) {
+      await waitForDrain(res);
+    }
+  }
+
+  if (!res.destroyed) {
+    res.end(serializer.end(count));
+  }
+  return count;
+}
+
+// Stream the export from PostgreSQL. Connecting happens before any header is
+// sent, so a caller can still fall back to another response if it fails.
+async function streamExport(pool, res, options) {
+  const client = await pool.connect();
+  const query = buildExportQuery(options);
+  const cursor = client.query(new Cursor(query.text, query.values));
+
+  try {
+    // The first batch is read before committing to a 200 so query errors
+    // (rather than connection errors) are still reported normally
+    return await streamRows(res, options, () => cursor.read(BATCH_SIZE));
+  } finally {
+    await cursor.close().catch(() => {});
+    client.release();
+  }
+}
+
+// Stream rows from any source: readBatch resolves with the next rows, or an
+// empty array at the end. Headers are only sent once the first batch is in.
+async function streamRows(res, options, readBatch) {
+  let pending = await readBatch();
+  setExportHeaders(res, options);
+  return writeRows(res, options, async () => {
+    if (pending) {
+      const rows = pending;
+      pending = null;
+      return rows;
+    }
+    return readBatch();
+  });
+}
+
+// Same filters as buildExportQuery, for quotes held in memory. Quotes without
+// a creation date are excluded by any date filter.
+function matchesExport(quote, { category, from, to }) {
+  if (category !== null && quote.category !== category) {
+    return false;
+  }
+  if (from === null && to === null) {
+    return true;
+  }
+  if (!quote.created_at) {
+    return false;
+  }
+  const day = formatValue(quote.created_at).slice(0, 10);
+  return (from === null || day >= from) && (to === null || day <= to);
+}
+
+// Export an in-memory list (memory repository) through the same serializers
+async function writeExport(res, quotes, options) {
+  let pending = quotes.filter(quote => matchesExport(quote, options));
+  return streamRows(res, options, async () => {
+    const rows = pending;
+    pending = [];
+    return rows;
+  });
+}
+
+module.exports = {
+  EXPORT_QUERY_SCHEMA,
+  BATCH_SIZE,
+  ExportQueryError,
+  parseExportQuery,
+  buildExportQuery,
+  streamExport,
+  streamRows,
+  writeExport
+};
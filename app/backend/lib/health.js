@@ -0,0 +1,111 @@
+// Liveness and readiness reporting.
+// Liveness only says the process can answer HTTP. Readiness pings the quote
+// repository (PostgreSQL by default, with a timeout) and reports "degraded" while reads are served by the
+// degraded-mode policy, or "unhealthy" (503) when the replica should not get
+// traffic (database required but down, or shutting down).
+const { createTtlCache } = require('./ttl-cache');
+
+// Probes can be frequent (and are hammered in load tests); one database check
+// per second is shared by every concurrent probe
+const CHECK_CACHE_MS = 1000;
+
+// What read routes serve while the database is down, per DATA_SOURCE_POLICY
+const DEGRADED_SOURCES = {
+  strict: 'unavailable',
+  cache: 'cache',
+  fallback: 'sample_data'
+};
+
+function healthOptions(env = process.env) {
+  return {
+    timeoutMs: Number(env.HEALTH_CHECK_TIMEOUT_MS || 2000),
+    requireDatabase: env.HEALTH_READY_REQUIRE_DATABASE === 'true'
+  };
+}
+
+function withTimeout(promise, timeoutMs, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkDatabase(repository, timeoutMs) {
+  const started = Date.now();
+  try {
+    await withTimeout(repository.ping(), timeoutMs, `Database check timed out after ${timeoutMs}ms`);
+    return { status: 'up', backend: repository.kind, latencyMs: Date.now() - started };
+  } catch (error) {
+    return { status: 'down', backend: repository.kind, latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+function createHealthChecks({
+  repository,
+  admissionController,
+  circuitBreaker,
+  dataSourcePolicy = 'fallback',
+  timeoutMs = 2000,
+  requireDatabase = false,
+  isShuttingDown = () => false,
+  version = process.env.npm_package_version || '1.0.0'
+}) {
+  const cache = createTtlCache(CHECK_CACHE_MS);
+
+  function baseReport(status) {
+    return {
+      status,
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      version
+    };
+  }
+
+  async function readiness() {
+    const database = await cache.get('database', () => checkDatabase(repository, timeoutMs));
+    const load = admissionController ? admissionController.status() : { overloaded: false };
+
+    const checks = {
+      database,
+      load: { status: load.overloaded ? 'overloaded' : 'ok', ...load }
+    };
+    if (circuitBreaker) {
+      const { state, ...breaker } = circuitBreaker.status();
+      checks.circuitBreaker = { status: state, ...breaker };
+    }
+    const dataSource = database.status === 'up' ? 'db' : DEGRADED_SOURCES[dataSourcePolicy];
+
+    let status = 'healthy';
+    if (isShuttingDown()) {
+      // Fail readiness first so traffic moves away before connections close
+      checks.shutdown = { status: 'draining' };
+      status = 'unhealthy';
+    } else if (database.status !== 'up') {
+      status = requireDatabase ? 'unhealthy' : 'degraded';
+    } else if (load.overloaded) {
+      status = 'degraded';
+    }
+
+    return { ...baseReport(status), dataSource, checks };
+  }
+
+  return {
+    readiness,
+
+    live(req, res) {
+      res.status(200).json(baseReport('healthy'));
+    },
+
+    async ready(req, res) {
+      const report = await readiness();
+      res.status(report.status === 'unhealthy' ? 503 : 200).json(report);
+    }
+  };
+}
+
+module.exports = {
+  healthOptions,
+  checkDatabase,
+  createHealthChecks
+};
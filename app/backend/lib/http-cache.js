@@ -0,0 +1,105 @@
+// HTTP caching for the read routes, so browsers, the React app and CDNs can
+// reuse responses and revalidate them cheaply.
+// Every response states a Cache-Control policy:
+//   list      lists, search, categories, stats and the Quote of the Day:
+//             HTTP_CACHE_LIST_MAX_AGE (60s)
+//   item      a single quote: HTTP_CACHE_ITEM_MAX_AGE (300s)
+//   no-store  everything else: the random quote, export, writes, errors, health
+// Cacheable responses carry a strong ETag built from the versions of the quote
+// rows in them (id, updated_at or created_at, served_count) and the rest of the
+// body (pagination, counts), so If-None-Match gets a 304 until one of those
+// rows, or the page itself, changes. Single quotes also get Last-Modified for
+// If-Modified-Since; lists do not, since a deleted row leaves no newer
+// timestamp behind. Responses are "private" when reads need credentials
+// (AUTH_PUBLIC_READS=false), and degraded responses are never stored.
+const crypto = require('crypto');
+const { setDataSource, sendData } = require('./data-source');
+
+const CACHE_POLICIES = ['list', 'item', 'no-store'];
+
+function httpCacheOptions(env = process.env) {
+  const options = {
+    listMaxAgeSeconds: Number(env.HTTP_CACHE_LIST_MAX_AGE || 60),
+    itemMaxAgeSeconds: Number(env.HTTP_CACHE_ITEM_MAX_AGE || 300)
+  };
+  for (const [name, value] of Object.entries(options)) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`HTTP cache option ${name} must be an integer >= 0`);
+    }
+  }
+  return options;
+}
+
+const modifiedAt = row => new Date(row.updated_at || row.created_at);
+
+function rowVersion(row) {
+  return [row.id, modifiedAt(row).getTime(), row.served_count].join(':');
+}
+
+// Strong ETag for a response body. With `rows`, the quote rows in body.data,
+// their versions stand in for them; otherwise the whole body is hashed.
+function entityTag(body, rows) {
+  const content = rows ? [rows.map(rowVersion), { ...body, data: undefined }] : body;
+  const hash = crypto.createHash('sha256').update(JSON.stringify(content));
+  return `"${hash.digest('base64url').slice(0, 27)}"`;
+}
+
+function createHttpCache({ listMaxAgeSeconds = 60, itemMaxAgeSeconds = 300, publicReads = true } = {}) {
+  const visibility = publicReads ? 'public' : 'private';
+
+  // `maxAgeSeconds` lowers the policy's max-age, e.g. for a response that
+  // changes at midnight
+  function cacheControl(policy, maxAgeSeconds = Infinity) {
+    if (!CACHE_POLICIES.includes(policy)) {
+      throw new Error(`Unknown cache policy ${policy}`);
+    }
+    if (policy === 'no-store') {
+      return 'no-store';
+    }
+    const maxAge = Math.min(policy === 'item' ? itemMaxAgeSeconds : listMaxAgeSeconds, maxAgeSeconds);
+    return `${visibility}, max-age=${maxAge}`;
+  }
+
+  return {
+    cacheControl,
+
+    // Default for every route; cacheable reads override it in send()
+    noStore(req, res, next) {
+      res.set('Cache-Control', 'no-store');
+      next();
+    },
+
+    // sendData() with caching headers; `rows` are the quote rows in body.data,
+    // if any. Answers 304 without a body when the request's If-None-Match or
+    // If-Modified-Since still matches (req.fresh).
+    send(req, res, result, body, { policy, rows, maxAgeSeconds } = {}) {
+      if (result.source !== 'db' || policy === 'no-store') {
+        res.set('Cache-Control', 'no-store');
+        return sendData(res, result, body);
+      }
+
+      res.set('Cache-Control', cacheControl(policy, maxAgeSeconds));
+      res.set('ETag', entityTag(body, rows));
+      if (!publicReads) {
+        res.vary('Authorization');
+        res.vary('X-API-Key');
+      }
+      if (policy === 'item' && rows && rows.length === 1) {
+        res.set('Last-Modified', modifiedAt(rows[0]).toUTCString());
+      }
+
+      if (req.fresh) {
+        setDataSource(res, result);
+        return res.status(304).end();
+      }
+      return sendData(res, result, body);
+    }
+  };
+}
+
+module.exports = {
+  CACHE_POLICIES,
+  httpCacheOptions,
+  entityTag,
+  createHttpCache
+};
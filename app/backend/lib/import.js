@@ -0,0 +1,349 @@
+// Bulk quote import for POST /api/quotes/import.
+// Accepts a JSON array, NDJSON or CSV body, validates every row, detects
+// duplicates on (text, author) and inserts in one transaction.
+const { schema } = require('./request-validation');
+const { ValidationError } = require('./errors');
+const { validateImportRow } = require('./quote-validation');
+
+const MAX_IMPORT_ROWS = 10000;
+const IMPORT_CONTENT_TYPES = ['application/json', 'application/x-ndjson', 'text/csv'];
+const IMPORT_MODES = ['atomic', 'best-effort'];
+
+// Field-level checks, run before parseImportOptions
+const IMPORT_QUERY_SCHEMA = schema({
+  mode: { type: 'string', enum: IMPORT_MODES },
+  dryRun: { type: 'string', enum: ['true', 'false'] }
+}, { allowUnknown: true });
+
+const IMPORT_ERROR_CODES = {
+  400: 'INVALID_IMPORT',
+  413: 'IMPORT_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE'
+};
+
+const IMPORT_ERROR_TITLES = {
+  400: 'Validation Failed',
+  413: 'Payload Too Large',
+  415: 'Unsupported Media Type'
+};
+
+// A body that cannot be imported at all (as opposed to invalid rows, which
+// are reported per row)
+class ImportError extends ValidationError {
+  constructor(message, status = 400) {
+    super(message, {
+      status,
+      code: IMPORT_ERROR_CODES[status],
+      title: IMPORT_ERROR_TITLES[status],
+      errors: [{ location: 'body', message }]
+    });
+    this.name = 'ImportError';
+  }
+}
+
+// Minimal RFC 4180 reader: quoted fields, escaped quotes, CRLF or LF line ends
+function parseCsv(input) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ImportError('CSV body has an unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  // Skip blank lines
+  return records.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+function csvToRows(body) {
+  const [header, ...records] = parseCsv(body.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!columns.includes('text') || !columns.includes('author')) {
+    throw new ImportError('CSV header must include "text" and "author" columns');
+  }
+
+  // Other columns (e.g. id or created_at from an export) are ignored
+  return records.map(fields => {
+    const row = {};
+    for (const field of ['text', 'author', 'category']) {
+      const index = columns.indexOf(field);
+      if (index !== -1 && fields[index] !== undefined && fields[index] !== '') {
+        row[field] = fields[index];
+      }
+    }
+    return row;
+  });
+}
+
+// Marks a row that could not be parsed. A symbol, so no imported data can set it.
+const PARSE_ERROR = Symbol('parseError');
+
+// NDJSON lines that are not valid JSON become per-row errors rather than
+// failing the whole upload
+function ndjsonToRows(body) {
+  return body
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return { [PARSE_ERROR]: 'Line is not valid JSON' };
+      }
+    });
+}
+
+function jsonToRows(body) {
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch (error) {
+    throw new ImportError('Body is not valid JSON');
+  }
+  const rows = Array.isArray(parsed) ? parsed : parsed && parsed.quotes;
+  if (!Array.isArray(rows)) {
+    throw new ImportError('JSON body must be an array of quotes or { "quotes": [...] }');
+  }
+  return rows;
+}
+
+// Turn the raw body into candidate rows according to its content type
+function parseImportBody(contentType, body) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (!IMPORT_CONTENT_TYPES.includes(type)) {
+    throw new ImportError(`Content-Type must be one of: ${IMPORT_CONTENT_TYPES.join(', ')}`, 415);
+  }
+  if (typeof body !== 'string' || body.trim() === '') {
+    throw new ImportError('Import body is empty');
+  }
+
+  let rows;
+  if (type === 'text/csv') {
+    rows = csvToRows(body);
+  } else if (type === 'application/x-ndjson') {
+    rows = ndjsonToRows(body);
+  } else {
+    rows = jsonToRows(body);
+  }
+
+  if (rows.length === 0) {
+    throw new ImportError('Import body contains no quotes');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`Import is limited to ${MAX_IMPORT_ROWS} quotes per request`, 413);
+  }
+  return rows;
+}
+
+const queryError = message => new ValidationError(message, { errors: [{ location: 'query', message }] });
+
+function parseImportOptions(query) {
+  const mode = query.mode === undefined ? 'atomic' : String(query.mode);
+  if (!IMPORT_MODES.includes(mode)) {
+    throw queryError(`Query parameter "mode" must be one of: ${IMPORT_MODES.join(', ')}`);
+  }
+
+  const dryRun = query.dryRun === undefined ? 'false' : String(query.dryRun);
+  if (dryRun !== 'true' && dryRun !== 'false') {
+    throw queryError('Query parameter "dryRun" must be "true" or "false"');
+  }
+
+  return { mode, dryRun: dryRun === 'true' };
+}
+
+function duplicateKey(text, author) {
+  return JSON.stringify([text, author]);
+}
+
+// Validate each row with the same rules as POST /api/quotes. Returns one
+// result per row plus the rows that are valid and not repeated in the upload.
+function validateImportRows(rows) {
+  const results = [];
+  const candidates = [];
+  const seen = new Map();
+
+  rows.forEach((raw, index) => {
+    const row = index + 1;
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      results.push({ row, status: 'invalid', errors: ['Row must be an object'] });
+      return;
+    }
+    if (raw[PARSE_ERROR]) {
+      results.push({ row, status: 'invalid', errors: [raw[PARSE_ERROR]] });
+      return;
+    }
+
+    const errors = validateImportRow(raw);
+    if (errors.length > 0) {
+      results.push({ row, status: 'invalid', errors });
+      return;
+    }
+
+    const quote = { text: raw.text, author: raw.author, category: raw.category || 'general' };
+    const key = duplicateKey(quote.text, quote.author);
+    if (seen.has(key)) {
+      results.push({ row, status: 'duplicate', duplicateOf: { row: seen.get(key) } });
+      return;
+    }
+    seen.set(key, row);
+
+    const result = { row, status: 'pending' };
+    results.push(result);
+    candidates.push({ quote, result });
+  });
+
+  return { results, candidates };
+}
+
+function summarize(results) {
+  const summary = { total: results.length, imported: 0, valid: 0, invalid: 0, duplicates: 0 };
+  for (const { status } of results) {
+    if (status === 'imported') summary.imported += 1;
+    if (status === 'valid') summary.valid += 1;
+    if (status === 'invalid') summary.invalid += 1;
+    if (status === 'duplicate') summary.duplicates += 1;
+  }
+  return summary;
+}
+
+// Mark candidates that already exist as duplicates and decide whether the
+// import commits. atomic: any invalid row rejects everything; best-effort:
+// valid rows are kept. `existing` holds stored { id, text, author } rows.
+function resolveImport(results, candidates, existing, { mode, dryRun }) {
+  const existingIds = new Map(existing.map(r => [duplicateKey(r.text, r.author), r.id]));
+
+  const inserts = [];
+  for (const candidate of candidates) {
+    const id = existingIds.get(duplicateKey(candidate.quote.text, candidate.quote.author));
+    if (id !== undefined) {
+      candidate.result.status = 'duplicate';
+      candidate.result.duplicateOf = { id };
+    } else {
+      candidate.result.status = 'valid';
+      inserts.push(candidate);
+    }
+  }
+
+  const failed = results.some(result => result.status === 'invalid');
+  const committed = !dryRun && inserts.length > 0 && !(mode === 'atomic' && failed);
+  return { inserts, committed };
+}
+
+function markImported(inserts, inserted) {
+  const insertedIds = new Map(inserted.map(r => [duplicateKey(r.text, r.author), r.id]));
+  for (const candidate of inserts) {
+    candidate.result.status = 'imported';
+    candidate.result.id = insertedIds.get(duplicateKey(candidate.quote.text, candidate.quote.author));
+  }
+}
+
+// Backend-neutral import for synchronous stores (memory, SQLite), so the whole
+// import can run inside one synchronous transaction. `store.findExisting(quotes)`
+// and `store.insert(quotes)` return { id, text, author } rows; the caller
+// commits only when the report says `committed`.
+function applyImport(rows, options, store) {
+  const { results, candidates } = validateImportRows(rows);
+  const existing = candidates.length > 0 ? store.findExisting(candidates.map(c => c.quote)) : [];
+  const { inserts, committed } = resolveImport(results, candidates, existing, options);
+  if (committed) {
+    markImported(inserts, store.insert(inserts.map(c => c.quote)));
+  }
+  return { mode: options.mode, dryRun: options.dryRun, committed, summary: summarize(results), results };
+}
+
+// PostgreSQL import inside one transaction. An advisory lock serialises
+// concurrent imports so two uploads cannot both insert the same quote.
+async function importQuotes(pool, rows, { mode, dryRun }) {
+  const { results, candidates } = validateImportRows(rows);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('quotes_import'))");
+
+    const existing = await client.query(
+      `SELECT q.id, q.text, q.author
+       FROM quotes q
+       JOIN unnest($1::text[], $2::text[]) AS i(text, author)
+         ON q.text = i.text AND q.author = i.author`,
+      [candidates.map(c => c.quote.text), candidates.map(c => c.quote.author)]
+    );
+    const { inserts, committed } = resolveImport(results, candidates, existing.rows, { mode, dryRun });
+
+    if (committed) {
+      const inserted = await client.query(
+        `INSERT INTO quotes (text, author, category)
+         SELECT * FROM unnest($1::text[], $2::text[], $3::text[])
+         RETURNING id, text, author`,
+        [
+          inserts.map(c => c.quote.text),
+          inserts.map(c => c.quote.author),
+          inserts.map(c => c.quote.category)
+        ]
+      );
+      markImported(inserts, inserted.rows);
+      await client.query('COMMIT');
+    } else {
+      await client.query('ROLLBACK');
+    }
+
+    return { mode, dryRun, committed, summary: summarize(results), results };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  IMPORT_QUERY_SCHEMA,
+  MAX_IMPORT_ROWS,
+  IMPORT_CONTENT_TYPES,
+  ImportError,
+  parseCsv,
+  parseImportBody,
+  parseImportOptions,
+  validateImportRows,
+  applyImport,
+  importQuotes
+};
@@ -0,0 +1,120 @@
+// JSON Web Token verification for lib/auth.js. Tokens are issued elsewhere
+// (an identity provider or a script); this only checks them:
+//   HS256 - HMAC with a shared secret (JWT_SECRET)
+//   RS256 - RSA signatures checked against public keys from a local JWKS file
+//           (JWT_JWKS_PATH), picked by the token's `kid`
+// Any other `alg`, including "none", is rejected. Tokens must carry `exp`;
+// `nbf`, `iss` and `aud` are checked when present or configured.
+const crypto = require('crypto');
+const fs = require('fs');
+
+class JwtError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JwtError';
+  }
+}
+
+// The header and payload must be JSON objects; anything else (null, an array,
+// a number) is malformed rather than a crash further down
+function decodeSegment(segment, what) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new JwtError(`Malformed token ${what}`);
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new JwtError(`Malformed token ${what}`);
+  }
+  return value;
+}
+
+// Public RSA signing keys from a JWKS document, by kid
+function loadJwks(filePath) {
+  const { keys } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(keys)) {
+    throw new Error(`${filePath} is not a JWKS document (no "keys" array)`);
+  }
+  const byKid = new Map();
+  for (const jwk of keys) {
+    if (jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig') || (jwk.alg && jwk.alg !== 'RS256')) {
+      continue;
+    }
+    byKid.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+  }
+  return byKid;
+}
+
+function createJwtVerifier({
+  secret,
+  jwks = new Map(),
+  issuer,
+  audience,
+  clockToleranceSeconds = 30,
+  now = Date.now
+} = {}) {
+  function checkSignature(header, signedPart, signature) {
+    if (header.alg === 'HS256' && secret) {
+      const expected = crypto.createHmac('sha256', secret).update(signedPart).digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+    if (header.alg === 'RS256' && jwks.size > 0) {
+      // A JWKS with a single key may be used by tokens without a kid
+      const key = header.kid !== undefined ? jwks.get(header.kid) : jwks.size === 1 ? [...jwks.values()][0] : null;
+      if (!key) {
+        throw new JwtError('Unknown signing key');
+      }
+      return crypto.verify('RSA-SHA256', Buffer.from(signedPart), key, signature);
+    }
+    throw new JwtError(`Unsupported algorithm ${header.alg}`);
+  }
+
+  // Resolves the token's claims, or throws JwtError
+  function verify(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      throw new JwtError('Malformed token');
+    }
+    const [headerPart, payloadPart, signaturePart] = parts;
+    const header = decodeSegment(headerPart, 'header');
+    if (!checkSignature(header, `${headerPart}.${payloadPart}`, Buffer.from(signaturePart, 'base64url'))) {
+      throw new JwtError('Invalid signature');
+    }
+
+    const claims = decodeSegment(payloadPart, 'payload');
+    const nowSeconds = now() / 1000;
+    if (typeof claims.exp !== 'number') {
+      throw new JwtError('Token has no expiry');
+    }
+    if (nowSeconds > claims.exp + clockToleranceSeconds) {
+      throw new JwtError('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && nowSeconds + clockToleranceSeconds < claims.nbf) {
+      throw new JwtError('Token not valid yet');
+    }
+    if (issuer && claims.iss !== issuer) {
+      throw new JwtError('Unexpected issuer');
+    }
+    if (audience && ![].concat(claims.aud).includes(audience)) {
+      throw new JwtError('Unexpected audience');
+    }
+    return claims;
+  }
+
+  return { verify };
+}
+
+// Signs HS256 tokens, for tests and local development (JWT_SECRET)
+function signHs256(claims, secret) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+module.exports = {
+  JwtError,
+  loadJwks,
+  createJwtVerifier,
+  signHs256
+};
@@ -0,0 +1,96 @@
+// Admission control: reject requests early with 503 while the process is
+// overloaded, instead of queueing them until they time out.
+// Overload means either a high event-loop delay (CPU saturated) or too many
+// requests queued for a pg client (database saturated). Probes and metrics are
+// always admitted so Kubernetes and Prometheus keep seeing the instance.
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { UnavailableError } = require('./errors');
+
+const EXEMPT_PATHS = ['/health', '/health/live', '/health/ready', '/api/health', '/metrics'];
+
+function loadSheddingOptions(env = process.env) {
+  return {
+    enabled: env.LOAD_SHEDDING_ENABLED !== 'false',
+    maxEventLoopDelayMs: Number(env.LOAD_SHEDDING_MAX_EVENT_LOOP_DELAY_MS || 200),
+    maxPoolWaiting: Number(env.LOAD_SHEDDING_MAX_POOL_WAITING || 20),
+    retryAfterSeconds: Number(env.LOAD_SHEDDING_RETRY_AFTER_SECONDS || 5)
+  };
+}
+
+function createAdmissionController({
+  pool,
+  maxEventLoopDelayMs = 200,
+  maxPoolWaiting = 20,
+  retryAfterSeconds = 5,
+  sampleIntervalMs = 500,
+  exemptPaths = EXEMPT_PATHS,
+  onShed = () => {}
+} = {}) {
+  const histogram = monitorEventLoopDelay({ resolution: 10 });
+  let eventLoopDelayMs = 0;
+  let timer = null;
+
+  // p99 delay over the last sampling window, so one slow tick doesn't trip it
+  function sample() {
+    eventLoopDelayMs = histogram.percentile(99) / 1e6;
+    histogram.reset();
+  }
+
+  function overloadReason() {
+    if (eventLoopDelayMs > maxEventLoopDelayMs) {
+      return 'event_loop_delay';
+    }
+    if (pool && pool.waitingCount >= maxPoolWaiting) {
+      return 'db_pool_saturated';
+    }
+    return null;
+  }
+
+  function middleware(req, res, next) {
+    if (exemptPaths.includes(req.path)) {
+      return next();
+    }
+
+    const reason = overloadReason();
+    if (!reason) {
+      return next();
+    }
+
+    onShed(reason);
+    // Hint for clients and load tests that this replica wants to scale out
+    res.set('X-Auto-Scale', `overloaded; reason=${reason}`);
+    next(new UnavailableError('Server is overloaded, please retry later', { code: 'OVERLOADED', retryAfterSeconds }));
+  }
+
+  return {
+    middleware,
+
+    start() {
+      if (!timer) {
+        histogram.enable();
+        timer = setInterval(sample, sampleIntervalMs);
+        timer.unref();
+      }
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      histogram.disable();
+    },
+
+    status() {
+      return {
+        eventLoopDelayMs: Number(eventLoopDelayMs.toFixed(1)),
+        poolWaiting: pool ? pool.waitingCount : 0,
+        overloaded: overloadReason() !== null
+      };
+    }
+  };
+}
+
+module.exports = {
+  EXEMPT_PATHS,
+  loadSheddingOptions,
+  createAdmissionController
+};
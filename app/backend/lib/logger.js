@@ -0,0 +1,134 @@
+// Structured JSON logs: one object per line on stdout, e.g.
+//   {"time":"…","level":"info","msg":"request completed","requestId":"…","route":"/api/quotes/:id",…}
+// Loggers have console's log/error methods too, so they can be passed
+// wherever a module takes `logger = console` (shutdown, migrations).
+// Extra arguments become fields: an object is merged in (but cannot replace
+// time, level or msg), an Error is serialized under `err`, anything else is
+// appended to the message.
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Never written to the logs verbatim; extend with LOG_REDACT_HEADERS
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'];
+const REDACTED = '[REDACTED]';
+
+// LOG_LEVEL defaults to info, and to silent under jest so tests stay quiet
+function loggerOptions(env = process.env) {
+  const level = (env.LOG_LEVEL || (env.NODE_ENV === 'test' ? 'silent' : 'info')).toLowerCase();
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`LOG_LEVEL must be one of: ${LOG_LEVELS.join(', ')}`);
+  }
+  const extra = (env.LOG_REDACT_HEADERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return { level, redactHeaders: [...new Set([...REDACTED_HEADERS, ...extra])] };
+}
+
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message };
+  if (error.code !== undefined) {
+    serialized.code = error.code;
+  }
+  if (error.stack) {
+    serialized.stack = error.stack;
+  }
+  return serialized;
+}
+
+function createLogger({
+  level = 'info',
+  stream = process.stdout,
+  fields = {},
+  now = () => new Date()
+} = {}) {
+  const threshold = LOG_LEVELS.indexOf(level);
+
+  function write(entryLevel, message, args) {
+    if (LOG_LEVELS.indexOf(entryLevel) < threshold) {
+      return;
+    }
+    const time = now().toISOString();
+    const entry = { time, level: entryLevel, ...fields };
+    const words = [message];
+    for (const arg of args) {
+      if (arg instanceof Error) {
+        entry.err = serializeError(arg);
+      } else if (arg && typeof arg === 'object') {
+        Object.assign(entry, arg);
+      } else if (arg !== undefined) {
+        words.push(String(arg));
+      }
+    }
+    // Set again so fields cannot replace them; time and level keep their place
+    entry.time = time;
+    entry.level = entryLevel;
+    entry.msg = words.join(' ');
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  const logger = {
+    level,
+    child(childFields) {
+      return createLogger({ level, stream, now, fields: { ...fields, ...childFields } });
+    }
+  };
+  for (const entryLevel of ['debug', 'info', 'warn', 'error']) {
+    logger[entryLevel] = (message, ...args) => write(entryLevel, message, args);
+  }
+  logger.log = logger.info;
+  return logger;
+}
+
+function redactHeaders(headers, redacted = REDACTED_HEADERS) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    result[name] = redacted.includes(name.toLowerCase()) ? REDACTED : value;
+  }
+  return result;
+}
+
+// Access log: one line per response once it finished, at warn for 4xx and
+// error for 5xx. Also gives each request `req.log`, a child logger that
+// stamps the request ID on everything logged while handling it. Needs
+// req.id, so it runs after lib/request-id.js.
+function requestLogger(logger, { redactHeaders: redacted = REDACTED_HEADERS, routeLabel } = {}) {
+  return function logRequest(req, res, next) {
+    const start = process.hrtime.bigint();
+    req.log = logger.child({ requestId: req.id });
+
+    res.on('finish', () => {
+      const status = res.statusCode;
+      const entryLevel = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+      req.log[entryLevel]('request completed', {
+        method: req.method,
+        path: req.path,
+        route: routeLabel ? routeLabel(req) : undefined,
+        status,
+        latencyMs: Number(process.hrtime.bigint() - start) / 1e6,
+        dataSource: res.locals.dataSource,
+        // Set by lib/auth.js on authenticated routes
+        principal: req.principal ? req.principal.id : undefined,
+        // k6 scenarios tag their virtual users with X-Session-ID
+        sessionId: req.get('X-Session-ID'),
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        headers: redactHeaders(req.headers, redacted)
+      });
+    });
+
+    next();
+  };
+}
+
+// Shared logger for the app and the modules it wires together
+const logger = createLogger(loggerOptions());
+
+module.exports = {
+  LOG_LEVELS,
+  REDACTED_HEADERS,
+  loggerOptions,
+  createLogger,
+  redactHeaders,
+  requestLogger,
+  logger
+};
@@ -0,0 +1,145 @@
+// Prometheus instrumentation for the quote API.
+// Series names and labels match the module-5 Grafana dashboards and alert rules.
+const client = require('prom-client');
+const { STATES: CIRCUIT_STATES } = require('./circuit-breaker');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Total number of HTTP requests',
+  labelNames: ['method', 'route', 'status', 'source'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency in seconds',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const quoteRequestsTotal = new client.Counter({
+  name: 'quote_requests_total',
+  help: 'Total number of quote API requests',
+  labelNames: ['route', 'category', 'status', 'source'],
+  registers: [register]
+});
+
+const businessQuoteRequestsTotal = new client.Counter({
+  name: 'business_quote_requests_total',
+  help: 'Total number of individual quotes served to clients',
+  labelNames: ['category', 'status', 'source'],
+  registers: [register]
+});
+
+const queryCacheLookupsTotal = new client.Counter({
+  name: 'quote_cache_lookups_total',
+  help: 'Quote query cache lookups by query type and result (hit, miss, coalesced, error)',
+  labelNames: ['type', 'result'],
+  registers: [register]
+});
+
+const requestsShedTotal = new client.Counter({
+  name: 'http_requests_shed_total',
+  help: 'Requests rejected with 503 by admission control',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+// Express only knows the matched route once the handler ran, so labels are
+// resolved when the response finishes. Unmatched paths share one label value
+// to keep cardinality bounded (e.g. scanners hitting random URLs).
+function routeLabel(req) {
+  if (req.route && req.route.path) {
+    return `${req.baseUrl || ''}${req.route.path}`;
+  }
+  return 'unmatched';
+}
+
+// Route handlers describe the data they returned through res.locals:
+//   dataSource    - 'db', 'cache' or 'sample_data'
+//   quoteCategory - category of the quote(s) served, when there is a single one
+//   quoteServed   - true when the response delivered a single quote
+function metricsMiddleware(req, res, next) {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const route = routeLabel(req);
+    const status = String(res.statusCode);
+    const source = res.locals.dataSource || 'none';
+
+    endTimer({ method: req.method, route, status });
+    httpRequestsTotal.inc({ method: req.method, route, status, source });
+
+    if (route.startsWith('/api/quotes')) {
+      const outcome = res.statusCode < 400 ? 'success' : 'error';
+      const category = res.locals.quoteCategory || 'all';
+
+      quoteRequestsTotal.inc({ route, category, status: outcome, source });
+      if (res.locals.quoteServed || outcome === 'error') {
+        businessQuoteRequestsTotal.inc({ category, status: outcome, source });
+      }
+    }
+  });
+
+  next();
+}
+
+// Expose pg Pool connection counts, sampled on every scrape
+function registerPoolMetrics(pool) {
+  const gauges = [
+    ['pg_pool_total_clients', 'Total number of clients in the pg pool', () => pool.totalCount],
+    ['pg_pool_idle_clients', 'Number of idle clients in the pg pool', () => pool.idleCount],
+    ['pg_pool_waiting_clients', 'Number of queued requests waiting for a pg client', () => pool.waitingCount]
+  ];
+
+  for (const [name, help, read] of gauges) {
+    new client.Gauge({
+      name,
+      help,
+      registers: [register],
+      collect() {
+        this.set(read());
+      }
+    });
+  }
+}
+
+// 0 = closed, 1 = half-open, 2 = open
+function registerCircuitBreakerMetrics(breaker) {
+  new client.Gauge({
+    name: 'db_circuit_breaker_state',
+    help: 'State of the database circuit breaker (0 closed, 1 half-open, 2 open)',
+    registers: [register],
+    collect() {
+      this.set(CIRCUIT_STATES.indexOf(breaker.state()));
+    }
+  });
+}
+
+function recordShedRequest(reason) {
+  requestsShedTotal.inc({ reason });
+}
+
+function recordCacheLookup(type, result) {
+  queryCacheLookupsTotal.inc({ type, result });
+}
+
+async function metricsHandler(req, res) {
+  res.set('Content-Type', register.contentType);
+  res.end(await register.metrics());
+}
+
+module.exports = {
+  register,
+  routeLabel,
+  metricsMiddleware,
+  metricsHandler,
+  registerPoolMetrics,
+  registerCircuitBreakerMetrics,
+  recordShedRequest,
+  recordCacheLookup
+};
@@ -0,0 +1,208 @@
+// Versioned schema migrations.
+// Migrations live in migrations/<version>_<name>.js and export `up` and `down`,
+// each either a SQL string or an async function receiving a pg client. Every
+// migration runs in its own transaction and is recorded in schema_migrations.
+// A session advisory lock serialises runners, so replicas starting together
+// apply each migration exactly once.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+const LOCK_SQL = "SELECT pg_advisory_lock(hashtext('schema_migrations'))";
+const UNLOCK_SQL = "SELECT pg_advisory_unlock(hashtext('schema_migrations'))";
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  const seen = new Map();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      continue;
+    }
+
+    const version = Number(match[1]);
+    if (seen.has(version)) {
+      throw new MigrationError(`Duplicate migration version ${version}: ${seen.get(version)} and ${file}`);
+    }
+    seen.set(version, file);
+
+    const { up, down } = require(path.join(dir, file));
+    for (const [direction, step] of [['up', up], ['down', down]]) {
+      if (typeof step !== 'string' && typeof step !== 'function') {
+        throw new MigrationError(`Migration ${file} must export "${direction}" as SQL or a function`);
+      }
+    }
+    migrations.push({ version, name: match[2], up, down });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+const label = migration => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  let released = false;
+  try {
+    await client.query(LOCK_SQL);
+    try {
+      return await fn(client);
+    } finally {
+      await client.query(UNLOCK_SQL);
+    }
+  } catch (error) {
+    // Closing the connection also drops the lock if unlocking failed
+    client.release(error);
+    released = true;
+    throw error;
+  } finally {
+    if (!released) {
+      client.release();
+    }
+  }
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function appliedVersions(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+async function runStep(client, migration, direction) {
+  const step = migration[direction];
+  try {
+    await client.query('BEGIN');
+    if (typeof step === 'function') {
+      await step(client);
+    } else {
+      await client.query(step);
+    }
+
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [
+        migration.version,
+        migration.name
+      ]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw new MigrationError(`Migration ${label(migration)} (${direction}) failed: ${error.message}`);
+  }
+}
+
+// Applies pending migrations up to and including `to` (all by default).
+// Resolves with the migrations that were applied.
+async function migrate(pool, { migrations = loadMigrations(), to, logger = console } = {}) {
+  return withLock(pool, async client => {
+    await ensureMigrationsTable(client);
+    const applied = new Set((await appliedVersions(client)).map(row => row.version));
+
+    // A replica of an older release can start against a newer schema during a
+    // rolling update; it keeps running on the columns it knows about
+    const known = new Set(migrations.map(migration => migration.version));
+    const unknown = [...applied].filter(version => !known.has(version));
+    if (unknown.length > 0) {
+      logger.log(`Database has migrations this release does not know about: ${unknown.join(', ')}`);
+    }
+
+    const pending = migrations.filter(
+      migration => !applied.has(migration.version) && (to === undefined || migration.version <= to)
+    );
+    for (const migration of pending) {
+      logger.log(`Applying migration ${label(migration)}`);
+      await runStep(client, migration, 'up');
+    }
+    return pending;
+  });
+}
+
+// Reverts the last `steps` applied migrations, or every migration above `to`.
+// Resolves with the migrations that were reverted.
+async function rollback(pool, { migrations = loadMigrations(), steps = 1, to, logger = console } = {}) {
+  return withLock(pool, async client => {
+    await ensureMigrationsTable(client);
+    const applied = (await appliedVersions(client)).map(row => row.version).reverse();
+    const targets = to === undefined ? applied.slice(0, steps) : applied.filter(version => version > to);
+
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    const missing = targets.filter(version => !byVersion.has(version));
+    if (missing.length > 0) {
+      throw new MigrationError(`Cannot roll back migrations without a file: ${missing.join(', ')}`);
+    }
+
+    const reverted = [];
+    for (const version of targets) {
+      const migration = byVersion.get(version);
+      logger.log(`Reverting migration ${label(migration)}`);
+      await runStep(client, migration, 'down');
+      reverted.push(migration);
+    }
+    return reverted;
+  });
+}
+
+// Lists every known migration with whether it is applied, plus applied
+// versions that have no file (state "missing"). Read-only.
+async function migrationStatus(pool, { migrations = loadMigrations() } = {}) {
+  const table = await pool.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+  const rows = table.rows[0].exists ? await appliedVersions(pool) : [];
+  const applied = new Map(rows.map(row => [row.version, row]));
+
+  const status = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    state: applied.has(migration.version) ? 'applied' : 'pending',
+    appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+  }));
+  for (const row of rows) {
+    if (!migrations.some(migration => migration.version === row.version)) {
+      status.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+    }
+  }
+  return status.sort((a, b) => a.version - b.version);
+}
+
+// Writes an empty migration with the next version number and returns its path
+function createMigration(name, dir = MIGRATIONS_DIR) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) {
+    throw new MigrationError('Migration name must contain letters or digits');
+  }
+
+  const versions = loadMigrations(dir).map(migration => migration.version);
+  const version = (versions.length > 0 ? Math.max(...versions) : 0) + 1;
+  const file = path.join(dir, `${String(version).padStart(3, '0')}_${slug}.js`);
+  fs.writeFileSync(file, "module.exports = {\n  up: `\n  `,\n  down: `\n  `\n};\n");
+  return file;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MigrationError,
+  loadMigrations,
+  migrate,
+  rollback,
+  migrationStatus,
+  createMigration
+};
@@ -0,0 +1,244 @@
+// Pagination, sorting and filtering for GET /api/quotes.
+// Supports offset pagination (offset or page) and keyset pagination through an
+// opaque `cursor`; both return a `next` cursor so clients can switch to keyset paging.
+const { schema } = require('./request-validation');
+const { ValidationError } = require('./errors');
+const { MAX_AUTHOR_LENGTH, CATEGORY_RULE } = require('./quote-validation');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const SORT_FIELDS = ['id', 'author', 'created_at'];
+const FILTER_FIELDS = ['author', 'category'];
+
+// Field-level checks, run before parseListQuery; unknown parameters are ignored
+const LIST_QUERY_SCHEMA = schema({
+  sort: { type: 'string', enum: SORT_FIELDS },
+  order: { type: 'string' },
+  limit: { type: 'integer', min: 1 },
+  offset: { type: 'integer', min: 0 },
+  page: { type: 'integer', min: 1 },
+  cursor: { type: 'string', maxLength: 1024 },
+  author: { type: 'string', maxLength: MAX_AUTHOR_LENGTH },
+  category: CATEGORY_RULE
+}, { allowUnknown: true });
+
+class ListQueryError extends ValidationError {
+  constructor(message) {
+    super(message, { errors: [{ location: 'query', message }] });
+    this.name = 'ListQueryError';
+  }
+}
+
+function parseNonNegativeInteger(raw, name) {
+  if (!/^\d+$/.test(String(raw))) {
+    throw new ListQueryError(`Query parameter "${name}" must be a non-negative integer`);
+  }
+  return Number(raw);
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(raw, sortField, sortDirection) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ListQueryError('Query parameter "cursor" is malformed');
+  }
+  if (!cursor || !Number.isInteger(cursor.id) || typeof cursor.v !== 'string') {
+    throw new ListQueryError('Query parameter "cursor" is malformed');
+  }
+  // A cursor only makes sense for the ordering it was issued for
+  if (cursor.s !== sortField || cursor.d !== sortDirection) {
+    throw new ListQueryError('Query parameter "cursor" does not match the requested sort order');
+  }
+  return cursor;
+}
+
+// Turn the raw query string into validated list options
+function parseListQuery(query) {
+  const sortField = query.sort === undefined ? 'id' : query.sort;
+  if (!SORT_FIELDS.includes(sortField)) {
+    throw new ListQueryError(`Query parameter "sort" must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+
+  const order = query.order === undefined ? 'asc' : String(query.order).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw new ListQueryError('Query parameter "order" must be "asc" or "desc"');
+  }
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = parseNonNegativeInteger(query.limit, 'limit');
+    if (limit === 0) {
+      throw new ListQueryError('Query parameter "limit" must be at least 1');
+    }
+    limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  const positional = ['cursor', 'offset', 'page'].filter(name => query[name] !== undefined);
+  if (positional.length > 1) {
+    throw new ListQueryError(`Query parameters ${positional.join(' and ')} cannot be combined`);
+  }
+
+  let offset = 0;
+  if (query.offset !== undefined) {
+    offset = parseNonNegativeInteger(query.offset, 'offset');
+  } else if (query.page !== undefined) {
+    const page = parseNonNegativeInteger(query.page, 'page');
+    if (page === 0) {
+      throw new ListQueryError('Query parameter "page" must be at least 1');
+    }
+    offset = (page - 1) * limit;
+  }
+
+  const cursor = query.cursor === undefined ? null : decodeCursor(query.cursor, sortField, order);
+
+  const filters = {};
+  for (const field of FILTER_FIELDS) {
+    if (query[field] !== undefined) {
+      if (typeof query[field] !== 'string' || query[field] === '') {
+        throw new ListQueryError(`Query parameter "${field}" must be a non-empty string`);
+      }
+      filters[field] = query[field];
+    }
+  }
+
+  return { limit, offset, cursor, sortField, sortDirection: order, filters };
+}
+
+// Placeholder and text-cast syntax of the SQL repositories
+const DIALECTS = {
+  postgres: { param: index => `$${index}`, asText: column => `${column}::text` },
+  sqlite: { param: () => '?', asText: column => `CAST(${column} AS TEXT)` }
+};
+
+// Build the page and count queries. Column names only ever come from the
+// SORT_FIELDS/FILTER_FIELDS whitelists; all values are bound parameters,
+// each used once and in order (so positional "?" placeholders work too).
+function buildListQuery({ limit, offset, cursor, sortField, sortDirection, filters }, dialect = DIALECTS.postgres) {
+  const conditions = [];
+  const values = [];
+  const param = () => dialect.param(values.length);
+
+  for (const field of FILTER_FIELDS) {
+    if (filters[field] !== undefined) {
+      values.push(filters[field]);
+      conditions.push(`${field} = ${param()}`);
+    }
+  }
+
+  const countConditions = [...conditions];
+  const countValues = [...values];
+  const comparator = sortDirection === 'desc' ? '<' : '>';
+
+  if (cursor) {
+    if (sortField === 'id') {
+      values.push(cursor.id);
+      conditions.push(`id ${comparator} ${param()}`);
+    } else {
+      values.push(cursor.v);
+      const value = param();
+      values.push(cursor.id);
+      conditions.push(`(${sortField}, id) ${comparator} (${value}, ${param()})`);
+    }
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countWhere = countConditions.length ? `WHERE ${countConditions.join(' AND ')}` : '';
+  const direction = sortDirection.toUpperCase();
+  const orderBy = sortField === 'id'
+    ? `ORDER BY id ${direction}`
+    : `ORDER BY ${sortField} ${direction}, id ${direction}`;
+
+  // Fetch one extra row to know whether there is a next page.
+  // sort_key is the sort column rendered by the database so cursors keep full precision.
+  values.push(limit + 1);
+  const limitParam = param();
+  values.push(offset);
+  return {
+    text: `SELECT *, ${dialect.asText(sortField)} AS sort_key FROM quotes ${where} ${orderBy} ` +
+      `LIMIT ${limitParam} OFFSET ${param()}`,
+    values,
+    countText: `SELECT COUNT(*) AS count FROM quotes ${countWhere}`,
+    countValues
+  };
+}
+
+// Trim the look-ahead row, strip sort keys and build the pagination metadata
+function buildPage(rows, total, { limit, offset, cursor, sortField, sortDirection }) {
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+  const last = pageRows[pageRows.length - 1];
+
+  return {
+    data: pageRows.map(({ sort_key, ...quote }) => quote),
+    pagination: {
+      limit,
+      offset: cursor ? null : offset,
+      total,
+      hasMore,
+      next: hasMore
+        ? encodeCursor({ s: sortField, d: sortDirection, v: last.sort_key, id: last.id })
+        : null
+    }
+  };
+}
+
+function compareKeys(a, b) {
+  if (a.key !== b.key) {
+    return a.key < b.key ? -1 : 1;
+  }
+  return a.id - b.id;
+}
+
+function sortKey(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value === undefined || value === null ? '' : String(value);
+}
+
+// In-memory equivalent of buildListQuery + buildPage (memory repository)
+function paginateQuotes(quotes, options) {
+  const { limit, offset, cursor, sortField, sortDirection, filters } = options;
+  const sign = sortDirection === 'desc' ? -1 : 1;
+
+  const matching = quotes
+    .filter(quote => FILTER_FIELDS.every(field => (
+      filters[field] === undefined || quote[field] === filters[field]
+    )))
+    .map(quote => ({
+      ...quote,
+      sort_key: sortKey(quote[sortField])
+    }));
+
+  // Numeric ids must not be compared as strings
+  const keyOf = quote => ({ key: sortField === 'id' ? quote.id : quote.sort_key, id: quote.id });
+  matching.sort((a, b) => sign * compareKeys(keyOf(a), keyOf(b)));
+
+  let remaining = matching;
+  if (cursor) {
+    const after = { key: sortField === 'id' ? cursor.id : cursor.v, id: cursor.id };
+    remaining = matching.filter(quote => sign * compareKeys(keyOf(quote), after) > 0);
+  }
+
+  const rows = remaining.slice(offset, offset + limit + 1);
+  return buildPage(rows, matching.length, options);
+}
+
+module.exports = {
+  LIST_QUERY_SCHEMA,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORT_FIELDS,
+  FILTER_FIELDS,
+  DIALECTS,
+  ListQueryError,
+  parseListQuery,
+  buildListQuery,
+  buildPage,
+  paginateQuotes
+};
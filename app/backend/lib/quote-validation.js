@@ -0,0 +1,66 @@
+// Schemas for quote routes and imported rows (see lib/request-validation.js)
+const { schema, validate } = require('./request-validation');
+
+const QUOTE_FIELDS = ['text', 'author', 'category'];
+
+// author and category match the column sizes; text is TEXT in the database
+// but anything longer than this is not a quote
+const MAX_TEXT_LENGTH = 1000;
+const MAX_AUTHOR_LENGTH = 255;
+const MAX_CATEGORY_LENGTH = 100;
+const MAX_QUOTE_ID = 2147483647;
+
+const CATEGORY_RULE = {
+  type: 'string',
+  maxLength: MAX_CATEGORY_LENGTH,
+  pattern: /^[\p{L}\p{N} _-]+$/u,
+  format: 'made of letters, digits, spaces, hyphens and underscores'
+};
+
+// A missing or empty category means "general"
+const QUOTE_RULES = {
+  text: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH },
+  author: { type: 'string', required: true, maxLength: MAX_AUTHOR_LENGTH },
+  category: { ...CATEGORY_RULE, empty: true }
+};
+
+// POST and PUT
+const QUOTE_SCHEMA = schema(QUOTE_RULES);
+
+// PATCH: any subset of the fields, but at least one
+const QUOTE_PATCH_SCHEMA = schema({
+  text: { ...QUOTE_RULES.text, required: false },
+  author: { ...QUOTE_RULES.author, required: false },
+  category: QUOTE_RULES.category
+}, { minFields: 1 });
+
+// Imported rows may carry other columns (e.g. id or created_at from an export)
+const IMPORT_ROW_SCHEMA = schema(QUOTE_RULES, { allowUnknown: true });
+
+// Quote ids are SERIAL primary keys; anything else must not reach the database
+const QUOTE_ID_PARAMS = schema({
+  id: { type: 'integer', required: true, min: 1, max: MAX_QUOTE_ID }
+});
+
+const CATEGORY_PARAMS = schema({
+  category: { ...CATEGORY_RULE, required: true }
+});
+
+// Error messages for one imported row, empty when it is valid
+function validateImportRow(row) {
+  return validate(IMPORT_ROW_SCHEMA, row).errors.map(error => error.message);
+}
+
+module.exports = {
+  QUOTE_FIELDS,
+  MAX_TEXT_LENGTH,
+  MAX_AUTHOR_LENGTH,
+  MAX_CATEGORY_LENGTH,
+  MAX_QUOTE_ID,
+  CATEGORY_RULE,
+  QUOTE_SCHEMA,
+  QUOTE_PATCH_SCHEMA,
+  QUOTE_ID_PARAMS,
+  CATEGORY_PARAMS,
+  validateImportRow
+};
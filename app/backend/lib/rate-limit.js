@@ -0,0 +1,191 @@
+// Per-client rate limiting with token buckets.
+// Each request is matched to a budget (e.g. "expensive" for search/export) and
+// takes one token from the client's bucket for that budget. Buckets live in a
+// store; the in-memory store works for a single replica, and anything that
+// implements the same take() contract (e.g. a Redis-backed store) can replace it.
+const { RateLimitedError } = require('./errors');
+const { logger } = require('./logger');
+
+// Checked in order, the first matching budget applies.
+// perMinute is the sustained rate, burst is the bucket capacity.
+const DEFAULT_BUDGETS = [
+  {
+    name: 'health',
+    match: req => req.path === '/health' || req.path.startsWith('/health/') || req.path === '/api/health',
+    perMinute: 600,
+    burst: 100
+  },
+  {
+    name: 'expensive',
+    match: req => /^\/api\/quotes\/(search|export|stats|import)\/?$/.test(req.path),
+    perMinute: 20,
+    burst: 10
+  },
+  {
+    name: 'write',
+    match: req => !['GET', 'HEAD', 'OPTIONS'].includes(req.method),
+    perMinute: 30,
+    burst: 10
+  },
+  {
+    name: 'default',
+    match: () => true,
+    perMinute: 120,
+    burst: 60
+  }
+];
+
+// Paths that are never limited (Prometheus must always be able to scrape)
+const EXEMPT_PATHS = ['/metrics'];
+
+// Override budgets from the environment, e.g. RATE_LIMIT_EXPENSIVE_PER_MINUTE=10
+// and RATE_LIMIT_EXPENSIVE_BURST=5
+function loadBudgets(env = process.env, budgets = DEFAULT_BUDGETS) {
+  return budgets.map(budget => {
+    const prefix = `RATE_LIMIT_${budget.name.toUpperCase()}`;
+    const perMinute = Number(env[`${prefix}_PER_MINUTE`] || budget.perMinute);
+    const burst = Number(env[`${prefix}_BURST`] || budget.burst);
+    if (!(perMinute > 0) || !(burst >= 1)) {
+      throw new Error(`Invalid rate limit configuration for budget "${budget.name}"`);
+    }
+    return { ...budget, perMinute, burst };
+  });
+}
+
+// In-memory token bucket store.
+// take(key, { burst, perMinute }) resolves to
+//   { allowed, remaining, retryAfterMs, resetMs }
+// where resetMs is the time until the bucket is full again.
+function createMemoryStore({ maxKeys = 100000, sweepIntervalMs = 60000 } = {}) {
+  const buckets = new Map();
+
+  function refill(bucket, { burst, perMinute }, now) {
+    const ratePerMs = perMinute / 60000;
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+    bucket.updatedAt = now;
+  }
+
+  // Drop buckets that have refilled completely: they carry no state
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      refill(bucket, bucket.policy, now);
+      if (bucket.tokens >= bucket.policy.burst) {
+        buckets.delete(key);
+      }
+    }
+  }, sweepIntervalMs);
+  sweeper.unref();
+
+  return {
+    async take(key, policy, now = Date.now()) {
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        // Bound memory under floods of distinct clients: evict the oldest bucket
+        if (buckets.size >= maxKeys) {
+          buckets.delete(buckets.keys().next().value);
+        }
+        bucket = { tokens: policy.burst, updatedAt: now, policy };
+        buckets.set(key, bucket);
+      }
+
+      refill(bucket, policy, now);
+      const ratePerMs = policy.perMinute / 60000;
+      const allowed = bucket.tokens >= 1;
+      if (allowed) {
+        bucket.tokens -= 1;
+      }
+
+      return {
+        allowed,
+        remaining: Math.floor(bucket.tokens),
+        retryAfterMs: allowed ? 0 : Math.ceil((1 - bucket.tokens) / ratePerMs),
+        resetMs: Math.ceil((policy.burst - bucket.tokens) / ratePerMs)
+      };
+    },
+
+    reset() {
+      buckets.clear();
+    },
+
+    close() {
+      clearInterval(sweeper);
+    }
+  };
+}
+
+// Ahead of the routes, clients are limited per IP (set TRUST_PROXY behind a
+// load balancer so req.ip is the real client). Credentials are not looked at
+// here: checking them costs a database lookup, and a made-up key must not buy
+// a fresh bucket. See createPrincipalRateLimiter() for authenticated callers.
+function defaultKeyGenerator(req) {
+  return `ip:${req.ip}`;
+}
+
+// With more than one limiter on a route, the headers describe the bucket with
+// the fewest tokens left
+function setRateLimitHeaders(res, budget, result) {
+  const remaining = res.get('RateLimit-Remaining');
+  if (remaining !== undefined && Number(remaining) < result.remaining) {
+    return;
+  }
+  const windowSeconds = Math.ceil((budget.burst / budget.perMinute) * 60);
+  res.set('RateLimit-Policy', `${budget.burst};w=${windowSeconds}`);
+  res.set('RateLimit-Limit', String(budget.burst));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+}
+
+function createRateLimiter({
+  store = createMemoryStore(),
+  budgets = loadBudgets(),
+  keyGenerator = defaultKeyGenerator,
+  exemptPaths = EXEMPT_PATHS,
+  skip = () => false
+} = {}) {
+  return async function rateLimit(req, res, next) {
+    if (exemptPaths.includes(req.path) || skip(req)) {
+      return next();
+    }
+
+    const budget = budgets.find(candidate => candidate.match(req));
+    let result;
+    try {
+      result = await store.take(`${budget.name}:${keyGenerator(req)}`, budget);
+    } catch (error) {
+      // A broken store must not take the API down with it: fail open
+      (req.log || logger).error('Rate limit store error, allowing request', error);
+      return next();
+    }
+
+    setRateLimitHeaders(res, budget, result);
+    if (result.allowed) {
+      return next();
+    }
+
+    next(new RateLimitedError('Too many requests, please try again later', {
+      retryAfterSeconds: Math.max(1, Math.ceil(result.retryAfterMs / 1000))
+    }));
+  };
+}
+
+// Route middleware for after authentication: a second bucket per principal
+// (API key or JWT subject, req.principal), shared across every IP the caller
+// connects from. Requests without a principal (public reads) are left to the
+// per-IP limiter.
+function createPrincipalRateLimiter(options = {}) {
+  return createRateLimiter({
+    ...options,
+    keyGenerator: req => `principal:${req.principal.id}`,
+    skip: req => !req.principal
+  });
+}
+
+module.exports = {
+  DEFAULT_BUDGETS,
+  loadBudgets,
+  createMemoryStore,
+  createRateLimiter,
+  createPrincipalRateLimiter,
+  defaultKeyGenerator
+};
@@ -0,0 +1,65 @@
+// Roles and permissions for the quote routes.
+// Credentials (API keys, JWTs) carry roles, and may also carry single
+// permissions as scopes; a principal holds the union of both.
+//   viewer       read quotes (only matters with AUTH_PUBLIC_READS=false)
+//   contributor  submit quotes, and change or delete the ones it submitted
+//   editor       change, delete and import any quote, and schedule the
+//                Quote of the Day
+//   admin        everything
+// The ":own" permissions only cover quotes whose created_by is the principal.
+const PERMISSIONS = [
+  'quotes:read',
+  'quotes:create',
+  'quotes:update',
+  'quotes:update:own',
+  'quotes:delete',
+  'quotes:delete:own',
+  'quotes:import',
+  'quotes:schedule'
+];
+
+const CONTRIBUTOR = ['quotes:read', 'quotes:create', 'quotes:update:own', 'quotes:delete:own'];
+
+const ROLES = {
+  viewer: ['quotes:read'],
+  contributor: CONTRIBUTOR,
+  editor: [...CONTRIBUTOR, 'quotes:update', 'quotes:delete', 'quotes:import', 'quotes:schedule'],
+  admin: PERMISSIONS
+};
+
+// Scopes issued before roles existed
+const SCOPE_ALIASES = {
+  'quotes:write': ['quotes:create', 'quotes:update'],
+  admin: PERMISSIONS
+};
+
+const SCOPES = [...PERMISSIONS, ...Object.keys(SCOPE_ALIASES)];
+
+const own = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+function scopePermissions(scope) {
+  if (own(SCOPE_ALIASES, scope)) {
+    return SCOPE_ALIASES[scope];
+  }
+  return PERMISSIONS.includes(scope) ? [scope] : [];
+}
+
+// Permissions for the given roles and scopes, in PERMISSIONS order; unknown
+// names grant nothing
+function permissionsFor({ roles = [], scopes = [] } = {}) {
+  const granted = new Set();
+  for (const role of roles) {
+    (own(ROLES, role) ? ROLES[role] : []).forEach(permission => granted.add(permission));
+  }
+  for (const scope of scopes) {
+    scopePermissions(scope).forEach(permission => granted.add(permission));
+  }
+  return PERMISSIONS.filter(permission => granted.has(permission));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  SCOPES,
+  permissionsFor
+};
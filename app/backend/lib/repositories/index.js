@@ -0,0 +1,74 @@
+// Quote storage behind one interface, selected with QUOTE_REPOSITORY:
+//   postgres (default) - lib/repositories/postgres.js
+//   sqlite             - a local file, SQLITE_PATH (default data/quotes.sqlite)
+//   memory             - process memory, nothing persisted
+//
+// Every repository implements (all methods return promises):
+//   initialize()                   prepare the schema (migrations for PostgreSQL)
+//   seed(quotes)                   insert quotes when the store is empty; true if it did
+//   ping()                         rejects when the store is unreachable
+//   list(options)                  { data, pagination } for parseListQuery() options
+//   search(terms, limit)           ranked quotes, each with a `rank`
+//   random()                       one quote, or null when there are none
+//   categories()                   [{ category, count }] ordered by category
+//   stats(options)                 aggregates for parseStatsQuery() options
+//   findById(id)                   quote or null
+//   findByCategory(category)       quotes
+//   create(quote)                  the stored quote; quote.createdBy (a principal id) becomes created_by
+//   replace(id, quote)             the updated quote, or null if there is none
+//   update(id, changes)            same, changing only the given QUOTE_FIELDS
+//   remove(id)                     the deleted quote, or null
+//   importQuotes(rows, options)    import report (see lib/import.js)
+//   exportQuotes(res, options)     stream an export to the response (see lib/export.js)
+//   recordServes(counts)           add a Map of id -> count to served_count
+//   close()
+//   dailyQuotes                    Quote of the Day picks (see lib/daily-quote.js):
+//     pick({ date, category, repeatWindowDays })  { date, category, scheduled, quote },
+//                                  choosing and storing the day's quote if needed; null without quotes
+//     schedule({ date, category, quoteId, createdBy })  the stored record, replacing the day's pick
+//     unschedule(date, category)   the removed scheduled record, or null
+//     list({ from, to, category }) records for those days by date; every category when undefined
+//   apiKeys                        the API key store (see lib/api-keys.js):
+//     create({ name, prefix, keyHash, roles, scopes, expiresAt })  the stored key record
+//     findByHash(keyHash)          key record or null
+//     list()                       key records, oldest first
+//     revoke(id)                   the revoked record, or null
+//     touch(id)                    set last_used_at
+// Key records never include the hash. Daily quote records are { date, category,
+// quote_id, scheduled, created_by, created_at }, category null for the quote
+// drawn from every quote.
+const { createPostgresRepository } = require('./postgres');
+const { createMemoryRepository } = require('./memory');
+
+const REPOSITORY_KINDS = ['postgres', 'sqlite', 'memory'];
+
+function repositoryOptions(env = process.env) {
+  const kind = env.QUOTE_REPOSITORY || 'postgres';
+  if (!REPOSITORY_KINDS.includes(kind)) {
+    throw new Error(`QUOTE_REPOSITORY must be one of: ${REPOSITORY_KINDS.join(', ')}`);
+  }
+  return {
+    kind,
+    sqlitePath: env.SQLITE_PATH || 'data/quotes.sqlite',
+    migrateOnStart: env.MIGRATE_ON_START !== 'false'
+  };
+}
+
+function createRepository({ kind = 'postgres', pool, sqlitePath, migrateOnStart, logger } = {}) {
+  if (kind === 'memory') {
+    return createMemoryRepository();
+  }
+  if (kind === 'sqlite') {
+    // Required lazily: better-sqlite3 is an optional, native dependency
+    const { createSqliteRepository } = require('./sqlite');
+    return createSqliteRepository({ filename: sqlitePath });
+  }
+  return createPostgresRepository(pool, { migrateOnStart, logger });
+}
+
+module.exports = {
+  REPOSITORY_KINDS,
+  repositoryOptions,
+  createRepository,
+  createMemoryRepository
+};
@@ -0,0 +1,260 @@
+// QuoteRepository held in process memory. Used for offline development and
+// tests (QUOTE_REPOSITORY=memory) and, seeded with the sample quotes, as the
+// degraded-mode fallback. Rows have the same shape as PostgreSQL rows; data is
+// lost on restart.
+const { QUOTE_FIELDS } = require('../quote-validation');
+const { searchQuotes } = require('../search');
+const { paginateQuotes } = require('../pagination');
+const { computeStats } = require('../stats');
+const { writeExport } = require('../export');
+const { applyImport } = require('../import');
+const { dailyRecord, pickDailyQuote } = require('../daily-quote');
+
+function createMemoryRepository({ quotes = [] } = {}) {
+  const rows = new Map();
+  let nextId = 1;
+  const apiKeys = new Map();
+  let nextKeyId = 1;
+  // Quote of the Day picks by `${category}|${date}`; categories cannot contain "|"
+  const dailyQuotes = new Map();
+  const dailyKey = (date, category) => `${category}|${date}`;
+
+  function insert({ id, text, author, category, createdBy = null }) {
+    const now = new Date();
+    const row = {
+      id: id === undefined ? nextId : id,
+      text,
+      author,
+      category: category || 'general',
+      created_at: now,
+      updated_at: now,
+      served_count: 0,
+      created_by: createdBy
+    };
+    rows.set(row.id, row);
+    nextId = Math.max(nextId, row.id + 1);
+    return { ...row };
+  }
+
+  // Callers get copies so they cannot change stored rows by accident
+  const all = () => [...rows.values()].map(row => ({ ...row }));
+  const copy = row => (row ? { ...row } : null);
+
+  function update(id, changes) {
+    const row = rows.get(id);
+    if (!row) {
+      return null;
+    }
+    for (const field of QUOTE_FIELDS) {
+      if (changes[field] !== undefined) {
+        row[field] = changes[field];
+      }
+    }
+    row.updated_at = new Date();
+    return copy(row);
+  }
+
+  for (const quote of quotes) {
+    insert(quote);
+  }
+
+  function dailyPick({ date, category, quoteId, scheduled = false, createdBy = null }) {
+    return { date, category, quote_id: quoteId, scheduled, created_by: createdBy, created_at: new Date() };
+  }
+
+  // Hooks for pickDailyQuote(); category '' is the quote drawn from every quote
+  const dailyQuoteStore = {
+    find: async (date, category) => copy(dailyQuotes.get(dailyKey(date, category))),
+    quoteIds: async category => [...rows.values()]
+      .filter(row => category === '' || row.category === category)
+      .map(row => row.id)
+      .sort((a, b) => a - b),
+    picksBetween: async (category, from, to) => [...dailyQuotes.values()]
+      .filter(pick => pick.category === category && pick.date >= from && pick.date <= to),
+    claim: async (date, category, quoteId) => {
+      const key = dailyKey(date, category);
+      if (!dailyQuotes.has(key)) {
+        dailyQuotes.set(key, dailyPick({ date, category, quoteId }));
+      }
+    },
+    findQuote: async id => copy(rows.get(id))
+  };
+
+  // Key records without the hash, as the other repositories return them
+  const withoutHash = ({ key_hash: keyHash, ...record }) => ({ ...record, roles: [...record.roles], scopes: [...record.scopes] });
+
+  return {
+    kind: 'memory',
+
+    async initialize() {},
+
+    async seed(seedQuotes) {
+      if (rows.size > 0) {
+        return false;
+      }
+      seedQuotes.forEach(({ text, author, category }) => insert({ text, author, category }));
+      return true;
+    },
+
+    async ping() {},
+
+    async list(options) {
+      return paginateQuotes(all(), options);
+    },
+
+    async search(terms, limit) {
+      return searchQuotes(all(), terms, limit);
+    },
+
+    async random() {
+      const quotes = [...rows.values()];
+      return quotes.length > 0 ? copy(quotes[Math.floor(Math.random() * quotes.length)]) : null;
+    },
+
+    async categories() {
+      const counts = new Map();
+      for (const { category } of rows.values()) {
+        counts.set(category, (counts.get(category) || 0) + 1);
+      }
+      return [...counts.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : 1))
+        .map(([category, count]) => ({ category, count }));
+    },
+
+    async stats(options) {
+      return computeStats(all(), options);
+    },
+
+    async findById(id) {
+      return copy(rows.get(id));
+    },
+
+    async findByCategory(category) {
+      return all().filter(quote => quote.category === category);
+    },
+
+    async create(quote) {
+      return insert(quote);
+    },
+
+    async replace(id, { text, author, category }) {
+      return update(id, { text, author, category });
+    },
+
+    async update(id, changes) {
+      return update(id, changes);
+    },
+
+    async remove(id) {
+      const row = rows.get(id);
+      rows.delete(id);
+      for (const [key, pick] of dailyQuotes) {
+        if (pick.quote_id === id) {
+          dailyQuotes.delete(key);
+        }
+      }
+      return copy(row);
+    },
+
+    async importQuotes(importRows, options) {
+      return applyImport(importRows, options, {
+        findExisting: quotes => {
+          const wanted = new Set(quotes.map(q => JSON.stringify([q.text, q.author])));
+          return [...rows.values()].filter(row => wanted.has(JSON.stringify([row.text, row.author])));
+        },
+        insert: quotes => quotes.map(insert)
+      });
+    },
+
+    async exportQuotes(res, options) {
+      return writeExport(res, all(), options);
+    },
+
+    async recordServes(counts) {
+      for (const [id, count] of counts) {
+        const row = rows.get(id);
+        if (row) {
+          row.served_count += count;
+        }
+      }
+    },
+
+    async close() {},
+
+    dailyQuotes: {
+      async pick(options) {
+        return pickDailyQuote(dailyQuoteStore, options);
+      },
+
+      async schedule({ date, category, quoteId, createdBy = null }) {
+        const pick = dailyPick({ date, category: category || '', quoteId, scheduled: true, createdBy });
+        dailyQuotes.set(dailyKey(date, pick.category), pick);
+        return dailyRecord(pick);
+      },
+
+      async unschedule(date, category) {
+        const key = dailyKey(date, category || '');
+        const pick = dailyQuotes.get(key);
+        if (!pick || !pick.scheduled) {
+          return null;
+        }
+        dailyQuotes.delete(key);
+        return dailyRecord(pick);
+      },
+
+      async list({ from, to, category }) {
+        return [...dailyQuotes.values()]
+          .filter(pick => pick.date >= from && pick.date <= to)
+          .filter(pick => category === undefined || pick.category === (category || ''))
+          .sort((a, b) => (`${a.date}|${a.category}` < `${b.date}|${b.category}` ? -1 : 1))
+          .map(dailyRecord);
+      }
+    },
+
+    apiKeys: {
+      async create({ name, prefix, keyHash, roles, scopes, expiresAt }) {
+        const key = {
+          id: nextKeyId++,
+          name,
+          prefix,
+          key_hash: keyHash,
+          roles: [...roles],
+          scopes: [...scopes],
+          created_at: new Date(),
+          expires_at: expiresAt || null,
+          last_used_at: null,
+          revoked_at: null
+        };
+        apiKeys.set(key.id, key);
+        return withoutHash(key);
+      },
+
+      async findByHash(keyHash) {
+        const key = [...apiKeys.values()].find(candidate => candidate.key_hash === keyHash);
+        return key ? withoutHash(key) : null;
+      },
+
+      async list() {
+        return [...apiKeys.values()].map(withoutHash);
+      },
+
+      async revoke(id) {
+        const key = apiKeys.get(id);
+        if (!key) {
+          return null;
+        }
+        key.revoked_at = key.revoked_at || new Date();
+        return withoutHash(key);
+      },
+
+      async touch(id) {
+        const key = apiKeys.get(id);
+        if (key) {
+          key.last_used_at = new Date();
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createMemoryRepository };
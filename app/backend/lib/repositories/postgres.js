@@ -0,0 +1,257 @@
+// QuoteRepository backed by PostgreSQL (the production store).
+// `pool` is anything with pg's query()/connect(), normally the circuit-breaker
+// guarded pool from server.js.
+const { QUOTE_FIELDS } = require('../quote-validation');
+const { SEARCH_VECTOR_SQL, toTsQuery } = require('../search');
+const { buildListQuery, buildPage } = require('../pagination');
+const { queryStats } = require('../stats');
+const { streamExport } = require('../export');
+const { importQuotes } = require('../import');
+const { migrate } = require('../migrations');
+const { dailyRecord, pickDailyQuote } = require('../daily-quote');
+
+const API_KEY_COLUMNS = 'id, name, prefix, roles, scopes, created_at, expires_at, last_used_at, revoked_at';
+const DAILY_QUOTE_COLUMNS = "to_char(day, 'YYYY-MM-DD') AS date, category, quote_id, scheduled, created_by, created_at";
+
+function createPostgresRepository(pool, { migrateOnStart = true, logger = console } = {}) {
+  async function first(text, values) {
+    const { rows } = await pool.query(text, values);
+    return rows[0] || null;
+  }
+
+  // Hooks for pickDailyQuote(); category '' is the quote drawn from every quote
+  const dailyQuoteStore = {
+    find: (date, category) => first(
+      `SELECT ${DAILY_QUOTE_COLUMNS} FROM daily_quotes WHERE category = $1 AND day = $2`,
+      [category, date]
+    ),
+
+    async quoteIds(category) {
+      const { rows } = await pool.query(
+        "SELECT id FROM quotes WHERE $1::text = '' OR category = $1 ORDER BY id",
+        [category]
+      );
+      return rows.map(row => row.id);
+    },
+
+    async picksBetween(category, from, to) {
+      const { rows } = await pool.query(
+        `SELECT to_char(day, 'YYYY-MM-DD') AS date, quote_id FROM daily_quotes
+         WHERE category = $1 AND day BETWEEN $2 AND $3`,
+        [category, from, to]
+      );
+      return rows;
+    },
+
+    async claim(date, category, quoteId) {
+      await pool.query(
+        `INSERT INTO daily_quotes (category, day, quote_id) VALUES ($1, $2, $3)
+         ON CONFLICT (category, day) DO NOTHING`,
+        [category, date, quoteId]
+      );
+    },
+
+    findQuote: id => first('SELECT * FROM quotes WHERE id = $1', [id])
+  };
+
+  return {
+    kind: 'postgres',
+
+    async initialize() {
+      // Replicas race to migrate on start; the advisory lock in lib/migrations
+      // makes the others wait
+      if (migrateOnStart) {
+        await migrate(pool, { logger });
+      }
+    },
+
+    async seed(quotes) {
+      const { rows } = await pool.query('SELECT COUNT(*) AS count FROM quotes');
+      if (parseInt(rows[0].count) > 0) {
+        return false;
+      }
+      await pool.query(
+        `INSERT INTO quotes (text, author, category)
+         SELECT * FROM unnest($1::text[], $2::text[], $3::text[])`,
+        [quotes.map(q => q.text), quotes.map(q => q.author), quotes.map(q => q.category)]
+      );
+      return true;
+    },
+
+    async ping() {
+      await pool.query('SELECT 1');
+    },
+
+    async list(options) {
+      const query = buildListQuery(options);
+      const [result, countResult] = await Promise.all([
+        pool.query(query.text, query.values),
+        pool.query(query.countText, query.countValues)
+      ]);
+      return buildPage(result.rows, parseInt(countResult.rows[0].count), options);
+    },
+
+    async search(terms, limit) {
+      const { rows } = await pool.query(
+        `SELECT q.*, ts_rank(${SEARCH_VECTOR_SQL}, query) AS rank
+         FROM quotes q,
+              (SELECT to_tsquery('english', $1) || to_tsquery('simple', $1) AS query) AS search
+         WHERE ${SEARCH_VECTOR_SQL} @@ query
+         ORDER BY rank DESC, q.id
+         LIMIT $2`,
+        [toTsQuery(terms), limit]
+      );
+      return rows;
+    },
+
+    random() {
+      return first('SELECT * FROM quotes ORDER BY RANDOM() LIMIT 1');
+    },
+
+    async categories() {
+      const { rows } = await pool.query(
+        'SELECT category, COUNT(*)::int AS count FROM quotes GROUP BY category ORDER BY category'
+      );
+      return rows;
+    },
+
+    stats(options) {
+      return queryStats(pool, options);
+    },
+
+    findById(id) {
+      return first('SELECT * FROM quotes WHERE id = $1', [id]);
+    },
+
+    async findByCategory(category) {
+      const { rows } = await pool.query('SELECT * FROM quotes WHERE category = $1', [category]);
+      return rows;
+    },
+
+    create({ text, author, category, createdBy = null }) {
+      return first(
+        'INSERT INTO quotes (text, author, category, created_by) VALUES ($1, $2, $3, $4) RETURNING *',
+        [text, author, category, createdBy]
+      );
+    },
+
+    replace(id, { text, author, category }) {
+      return first(
+        `UPDATE quotes
+         SET text = $1, author = $2, category = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4
+         RETURNING *`,
+        [text, author, category, id]
+      );
+    },
+
+    update(id, changes) {
+      // Column names come from the fixed QUOTE_FIELDS list, never from the request
+      const fields = QUOTE_FIELDS.filter(field => changes[field] !== undefined);
+      const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+      return first(
+        `UPDATE quotes
+         SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+         WHERE id = $${fields.length + 1}
+         RETURNING *`,
+        [...fields.map(field => changes[field]), id]
+      );
+    },
+
+    remove(id) {
+      return first('DELETE FROM quotes WHERE id = $1 RETURNING *', [id]);
+    },
+
+    importQuotes(rows, options) {
+      return importQuotes(pool, rows, options);
+    },
+
+    exportQuotes(res, options) {
+      return streamExport(pool, res, options);
+    },
+
+    async recordServes(counts) {
+      await pool.query(
+        `UPDATE quotes AS q
+         SET served_count = q.served_count + v.n
+         FROM unnest($1::int[], $2::int[]) AS v(id, n)
+         WHERE q.id = v.id`,
+        [[...counts.keys()], [...counts.values()]]
+      );
+    },
+
+    // The pool belongs to the server, which ends it on shutdown
+    async close() {},
+
+    dailyQuotes: {
+      pick(options) {
+        return pickDailyQuote(dailyQuoteStore, options);
+      },
+
+      async schedule({ date, category, quoteId, createdBy = null }) {
+        return dailyRecord(await first(
+          `INSERT INTO daily_quotes (category, day, quote_id, scheduled, created_by)
+           VALUES ($1, $2, $3, TRUE, $4)
+           ON CONFLICT (category, day) DO UPDATE
+           SET quote_id = EXCLUDED.quote_id, scheduled = TRUE,
+               created_by = EXCLUDED.created_by, created_at = CURRENT_TIMESTAMP
+           RETURNING ${DAILY_QUOTE_COLUMNS}`,
+          [category || '', date, quoteId, createdBy]
+        ));
+      },
+
+      async unschedule(date, category) {
+        return dailyRecord(await first(
+          `DELETE FROM daily_quotes WHERE category = $1 AND day = $2 AND scheduled
+           RETURNING ${DAILY_QUOTE_COLUMNS}`,
+          [category || '', date]
+        ));
+      },
+
+      async list({ from, to, category }) {
+        const { rows } = await pool.query(
+          `SELECT ${DAILY_QUOTE_COLUMNS} FROM daily_quotes
+           WHERE day BETWEEN $1 AND $2 AND ($3::text IS NULL OR category = $3)
+           ORDER BY day, category`,
+          [from, to, category === undefined ? null : category || '']
+        );
+        return rows.map(dailyRecord);
+      }
+    },
+
+    apiKeys: {
+      create({ name, prefix, keyHash, roles, scopes, expiresAt }) {
+        return first(
+          `INSERT INTO api_keys (name, prefix, key_hash, roles, scopes, expires_at)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING ${API_KEY_COLUMNS}`,
+          [name, prefix, keyHash, roles, scopes, expiresAt]
+        );
+      },
+
+      findByHash(keyHash) {
+        return first(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE key_hash = $1`, [keyHash]);
+      },
+
+      async list() {
+        const { rows } = await pool.query(`SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY id`);
+        return rows;
+      },
+
+      revoke(id) {
+        return first(
+          `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+           WHERE id = $1
+           RETURNING ${API_KEY_COLUMNS}`,
+          [id]
+        );
+      },
+
+      async touch(id) {
+        await pool.query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+      }
+    }
+  };
+}
+
+module.exports = { createPostgresRepository };
@@ -0,0 +1,387 @@
+// QuoteRepository backed by a SQLite file (QUOTE_REPOSITORY=sqlite), for
+// running the API offline with data that survives restarts. Needs the optional
+// better-sqlite3 dependency. The schema is created here rather than by the
+// PostgreSQL migrations; full-text search matches in memory after a LIKE prefilter.
+const fs = require('fs');
+const path = require('path');
+const { QUOTE_FIELDS } = require('../quote-validation');
+const { DEFAULT_LIMIT, searchQuotes } = require('../search');
+const { DIALECTS, buildListQuery, buildPage } = require('../pagination');
+const { BATCH_SIZE, streamRows } = require('../export');
+const { applyImport } = require('../import');
+const { MAX_RANGE_DAYS, TOP_LIMIT, MOST_SERVED_LIMIT } = require('../stats');
+const { dailyRecord, pickDailyQuote } = require('../daily-quote');
+
+const NOW_SQL = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS quotes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    text TEXT NOT NULL,
+    author TEXT NOT NULL,
+    category TEXT DEFAULT 'general',
+    created_at TEXT DEFAULT (${NOW_SQL}),
+    updated_at TEXT DEFAULT (${NOW_SQL}),
+    served_count INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS idx_quotes_category ON quotes (category);
+  CREATE INDEX IF NOT EXISTS idx_quotes_author_id ON quotes (author, id);
+  CREATE INDEX IF NOT EXISTS idx_quotes_created_at_id ON quotes (created_at, id);
+  CREATE INDEX IF NOT EXISTS idx_quotes_text_author ON quotes (text, author);
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    scopes TEXT NOT NULL,
+    created_at TEXT DEFAULT (${NOW_SQL}),
+    expires_at TEXT,
+    last_used_at TEXT,
+    revoked_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS daily_quotes (
+    category TEXT NOT NULL DEFAULT '',
+    day TEXT NOT NULL,
+    quote_id INTEGER NOT NULL REFERENCES quotes (id) ON DELETE CASCADE,
+    scheduled INTEGER NOT NULL DEFAULT 0,
+    created_by TEXT,
+    created_at TEXT DEFAULT (${NOW_SQL}),
+    PRIMARY KEY (category, day)
+  );
+  CREATE INDEX IF NOT EXISTS idx_daily_quotes_quote_id ON daily_quotes (quote_id);
+`;
+
+// Columns added after the tables above were first created, added to older files on open
+const ADDED_COLUMNS = [
+  ['api_keys', 'roles', "TEXT NOT NULL DEFAULT '[]'"],
+  ['quotes', 'created_by', 'TEXT']
+];
+
+// Roles and scopes are stored as JSON arrays
+const API_KEY_COLUMNS = 'id, name, prefix, roles, scopes, created_at, expires_at, last_used_at, revoked_at';
+const keyRecord = row => (row ? { ...row, roles: JSON.parse(row.roles), scopes: JSON.parse(row.scopes) } : null);
+
+const DAILY_QUOTE_COLUMNS = 'day AS date, category, quote_id, scheduled, created_by, created_at';
+
+function upgradeSchema(db) {
+  for (const [table, column, definition] of ADDED_COLUMNS) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(info => info.name);
+    if (!columns.includes(column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_quotes_created_by ON quotes (created_by)');
+}
+
+function openDatabase(filename) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('QUOTE_REPOSITORY=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  // Deleting a quote drops its Quote of the Day picks
+  db.pragma('foreign_keys = ON');
+  return db;
+}
+
+function createSqliteRepository({ filename = 'data/quotes.sqlite' } = {}) {
+  const db = openDatabase(filename);
+  db.exec(SCHEMA);
+  upgradeSchema(db);
+
+  const insertQuote = db.prepare(
+    'INSERT INTO quotes (text, author, category) VALUES (@text, @author, @category) RETURNING *'
+  );
+  const createQuote = db.prepare(
+    `INSERT INTO quotes (text, author, category, created_by)
+     VALUES (@text, @author, @category, @createdBy) RETURNING *`
+  );
+  const findExisting = db.prepare('SELECT id, text, author FROM quotes WHERE text = ? AND author = ?');
+
+  const first = (sql, ...params) => db.prepare(sql).get(...params) || null;
+
+  // Hooks for pickDailyQuote(); category '' is the quote drawn from every quote
+  const dailyQuoteStore = {
+    find: async (date, category) => first(
+      `SELECT ${DAILY_QUOTE_COLUMNS} FROM daily_quotes WHERE category = ? AND day = ?`,
+      category, date
+    ),
+    quoteIds: async category => db.prepare(
+      "SELECT id FROM quotes WHERE ? = '' OR category = ? ORDER BY id"
+    ).pluck().all(category, category),
+    picksBetween: async (category, from, to) => db.prepare(
+      'SELECT day AS date, quote_id FROM daily_quotes WHERE category = ? AND day BETWEEN ? AND ?'
+    ).all(category, from, to),
+    claim: async (date, category, quoteId) => {
+      db.prepare(
+        'INSERT INTO daily_quotes (category, day, quote_id) VALUES (?, ?, ?) ON CONFLICT (category, day) DO NOTHING'
+      ).run(category, date, quoteId);
+    },
+    findQuote: async id => first('SELECT * FROM quotes WHERE id = ?', id)
+  };
+
+  return {
+    kind: 'sqlite',
+
+    async initialize() {},
+
+    async seed(quotes) {
+      if (first('SELECT COUNT(*) AS count FROM quotes').count > 0) {
+        return false;
+      }
+      db.transaction(() => {
+        for (const { text, author, category } of quotes) {
+          insertQuote.run({ text, author, category });
+        }
+      })();
+      return true;
+    },
+
+    async ping() {
+      db.prepare('SELECT 1').get();
+    },
+
+    async list(options) {
+      const query = buildListQuery(options, DIALECTS.sqlite);
+      const rows = db.prepare(query.text).all(...query.values);
+      const { count } = db.prepare(query.countText).get(...query.countValues);
+      return buildPage(rows, count, options);
+    },
+
+    async search(terms, limit = DEFAULT_LIMIT) {
+      // Terms are letters and digits only (see tokenize), so they are safe in LIKE
+      const conditions = terms.map(() => '(text LIKE ? OR author LIKE ? OR category LIKE ?)');
+      const params = terms.flatMap(term => Array(3).fill(`%${term}%`));
+      const candidates = db.prepare(`SELECT * FROM quotes WHERE ${conditions.join(' AND ')}`).all(...params);
+      return searchQuotes(candidates, terms, limit);
+    },
+
+    async random() {
+      return first('SELECT * FROM quotes ORDER BY RANDOM() LIMIT 1');
+    },
+
+    async categories() {
+      return db.prepare(
+        'SELECT category, COUNT(*) AS count FROM quotes GROUP BY category ORDER BY category'
+      ).all();
+    },
+
+    async stats({ range, days, detailed }) {
+      // @days is the range in days, NULL for "all"
+      const rangeCondition = "(@days IS NULL OR created_at >= date('now', '-' || (@days - 1) || ' days'))";
+      const totals = db.prepare(
+        `SELECT COUNT(*) AS quotes,
+                COUNT(DISTINCT category) AS categories,
+                COUNT(DISTINCT author) AS authors,
+                COUNT(*) FILTER (WHERE ${rangeCondition}) AS createdInRange
+         FROM quotes`
+      ).get({ days });
+
+      const stats = {
+        range,
+        generatedAt: new Date().toISOString(),
+        totals,
+        byCategory: db.prepare(
+          `SELECT category, COUNT(*) AS count FROM quotes
+           GROUP BY category ORDER BY count DESC, category LIMIT ?`
+        ).all(TOP_LIMIT)
+      };
+
+      if (detailed) {
+        stats.byAuthor = db.prepare(
+          `SELECT author, COUNT(*) AS count FROM quotes
+           GROUP BY author ORDER BY count DESC, author LIMIT ?`
+        ).all(TOP_LIMIT);
+        stats.createdPerDay = db.prepare(
+          `SELECT substr(created_at, 1, 10) AS date, COUNT(*) AS count
+           FROM quotes WHERE created_at IS NOT NULL AND ${rangeCondition}
+           GROUP BY 1 ORDER BY 1 DESC LIMIT @limit`
+        ).all({ days, limit: MAX_RANGE_DAYS }).reverse();
+        stats.mostServed = db.prepare(
+          `SELECT id, text, author, category, served_count AS served FROM quotes
+           WHERE served_count > 0 ORDER BY served_count DESC, id LIMIT ?`
+        ).all(MOST_SERVED_LIMIT);
+      }
+
+      return stats;
+    },
+
+    async findById(id) {
+      return first('SELECT * FROM quotes WHERE id = ?', id);
+    },
+
+    async findByCategory(category) {
+      return db.prepare('SELECT * FROM quotes WHERE category = ?').all(category);
+    },
+
+    async create({ text, author, category, createdBy = null }) {
+      return createQuote.get({ text, author, category, createdBy });
+    },
+
+    async replace(id, { text, author, category }) {
+      return first(
+        `UPDATE quotes SET text = ?, author = ?, category = ?, updated_at = ${NOW_SQL}
+         WHERE id = ? RETURNING *`,
+        text, author, category, id
+      );
+    },
+
+    async update(id, changes) {
+      // Column names come from the fixed QUOTE_FIELDS list, never from the request
+      const fields = QUOTE_FIELDS.filter(field => changes[field] !== undefined);
+      const assignments = [...fields.map(field => `${field} = ?`), `updated_at = ${NOW_SQL}`];
+      return first(
+        `UPDATE quotes SET ${assignments.join(', ')} WHERE id = ? RETURNING *`,
+        ...fields.map(field => changes[field]), id
+      );
+    },
+
+    async remove(id) {
+      return first('DELETE FROM quotes WHERE id = ? RETURNING *', id);
+    },
+
+    async importQuotes(rows, options) {
+      // Synchronous from BEGIN to COMMIT, so no other request's statements can
+      // end up inside this transaction; IMMEDIATE locks out other processes
+      db.exec('BEGIN IMMEDIATE');
+      try {
+        const report = applyImport(rows, options, {
+          findExisting: quotes => quotes.map(q => findExisting.get(q.text, q.author)).filter(Boolean),
+          insert: quotes => quotes.map(quote => insertQuote.get(quote))
+        });
+        db.exec(report.committed ? 'COMMIT' : 'ROLLBACK');
+        return report;
+      } catch (error) {
+        if (db.inTransaction) {
+          db.exec('ROLLBACK');
+        }
+        throw error;
+      }
+    },
+
+    async exportQuotes(res, options) {
+      const conditions = [];
+      const params = {};
+      if (options.category !== null) {
+        conditions.push('category = @category');
+        params.category = options.category;
+      }
+      if (options.from !== null) {
+        conditions.push('created_at >= @from');
+        params.from = options.from;
+      }
+      if (options.to !== null) {
+        // "to" is inclusive: everything before the start of the following day
+        conditions.push("created_at < date(@to, '+1 day')");
+        params.to = options.to;
+      }
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      // Keyset batches instead of one long-lived iterator, so other requests
+      // can use the connection between batches
+      const batch = db.prepare(
+        `SELECT ${options.fields.join(', ')} FROM quotes
+         ${where ? `${where} AND` : 'WHERE'} id > @after ORDER BY id LIMIT @limit`
+      );
+      let after = 0;
+      return streamRows(res, options, async () => {
+        const rows = batch.all({ ...params, after, limit: BATCH_SIZE });
+        if (rows.length > 0) {
+          after = rows[rows.length - 1].id;
+        }
+        return rows;
+      });
+    },
+
+    async recordServes(counts) {
+      const increment = db.prepare('UPDATE quotes SET served_count = served_count + ? WHERE id = ?');
+      db.transaction(() => {
+        for (const [id, count] of counts) {
+          increment.run(count, id);
+        }
+      })();
+    },
+
+    async close() {
+      db.close();
+    },
+
+    dailyQuotes: {
+      async pick(options) {
+        return pickDailyQuote(dailyQuoteStore, options);
+      },
+
+      async schedule({ date, category, quoteId, createdBy = null }) {
+        return dailyRecord(first(
+          `INSERT INTO daily_quotes (category, day, quote_id, scheduled, created_by)
+           VALUES (?, ?, ?, 1, ?)
+           ON CONFLICT (category, day) DO UPDATE
+           SET quote_id = excluded.quote_id, scheduled = 1,
+               created_by = excluded.created_by, created_at = ${NOW_SQL}
+           RETURNING ${DAILY_QUOTE_COLUMNS}`,
+          category || '', date, quoteId, createdBy
+        ));
+      },
+
+      async unschedule(date, category) {
+        return dailyRecord(first(
+          `DELETE FROM daily_quotes WHERE category = ? AND day = ? AND scheduled = 1
+           RETURNING ${DAILY_QUOTE_COLUMNS}`,
+          category || '', date
+        ));
+      },
+
+      async list({ from, to, category }) {
+        return db.prepare(
+          `SELECT ${DAILY_QUOTE_COLUMNS} FROM daily_quotes
+           WHERE day BETWEEN @from AND @to AND (@category IS NULL OR category = @category)
+           ORDER BY day, category`
+        ).all({ from, to, category: category === undefined ? null : category || '' }).map(dailyRecord);
+      }
+    },
+
+    apiKeys: {
+      async create({ name, prefix, keyHash, roles, scopes, expiresAt }) {
+        return keyRecord(db.prepare(
+          `INSERT INTO api_keys (name, prefix, key_hash, roles, scopes, expires_at)
+           VALUES (?, ?, ?, ?, ?, ?) RETURNING ${API_KEY_COLUMNS}`
+        ).get(
+          name,
+          prefix,
+          keyHash,
+          JSON.stringify(roles),
+          JSON.stringify(scopes),
+          expiresAt ? new Date(expiresAt).toISOString() : null
+        ));
+      },
+
+      async findByHash(keyHash) {
+        return keyRecord(first(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE key_hash = ?`, keyHash));
+      },
+
+      async list() {
+        return db.prepare(`SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY id`).all().map(keyRecord);
+      },
+
+      async revoke(id) {
+        return keyRecord(first(
+          `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, ${NOW_SQL})
+           WHERE id = ? RETURNING ${API_KEY_COLUMNS}`,
+          id
+        ));
+      },
+
+      async touch(id) {
+        db.prepare(`UPDATE api_keys SET last_used_at = ${NOW_SQL} WHERE id = ?`).run(id);
+      }
+    }
+  };
+}
+
+module.exports = { createSqliteRepository };
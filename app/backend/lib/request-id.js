@@ -0,0 +1,18 @@
+// Request IDs correlate a response with its log lines. A well-formed
+// X-Request-ID from the caller (e.g. set by the ingress) is kept, otherwise a
+// new one is generated; either way it is echoed in the X-Request-ID header.
+const crypto = require('crypto');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-ID');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-ID', req.id);
+  next();
+}
+
+module.exports = {
+  REQUEST_ID_PATTERN,
+  requestId
+};
@@ -0,0 +1,143 @@
+// Declarative validation for request bodies, route params and query strings.
+// A schema maps field names to rules and validate() reports every failing
+// field at once, so clients can fix a request in one round trip. Rules:
+//   type        'string' or 'integer'; params and query values arrive as
+//               strings, so integers may also be given as digits
+//   required    the field must be present
+//   empty       '' and null count as "not given" (otherwise a given string must
+//               contain more than whitespace)
+//   minLength, maxLength, pattern (+ format, e.g. 'a date in YYYY-MM-DD
+//   format'), enum, min, max
+// Fields a schema does not list are rejected unless it allows unknown fields.
+const { ValidationError } = require('./errors');
+
+const DEFAULT_JSON_LIMIT = '100kb';
+const DEFAULT_IMPORT_LIMIT = '5mb';
+
+function schema(fields, { allowUnknown = false, minFields = 0 } = {}) {
+  return { fields, allowUnknown, minFields };
+}
+
+// Returns the value the rule accepts (integers parsed), or an error message
+function checkField(name, raw, rule) {
+  if (rule.type === 'integer') {
+    const value = typeof raw === 'string' && /^-?\d+$/.test(raw) ? Number(raw) : raw;
+    if (!Number.isSafeInteger(value)) {
+      return { error: `${name} must be an integer` };
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return { error: `${name} must be at least ${rule.min}` };
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return { error: `${name} must be at most ${rule.max}` };
+    }
+    return { value };
+  }
+
+  if (typeof raw !== 'string') {
+    return { error: `${name} must be a string` };
+  }
+  if (raw.trim() === '') {
+    return { error: `${name} must not be empty` };
+  }
+  if (rule.minLength !== undefined && raw.length < rule.minLength) {
+    return { error: `${name} must be at least ${rule.minLength} characters` };
+  }
+  if (rule.maxLength !== undefined && raw.length > rule.maxLength) {
+    return { error: `${name} must be at most ${rule.maxLength} characters` };
+  }
+  if (rule.pattern && !rule.pattern.test(raw)) {
+    return { error: `${name} must be ${rule.format || `text matching ${rule.pattern}`}` };
+  }
+  if (rule.enum && !rule.enum.includes(raw)) {
+    return { error: `${name} must be one of: ${rule.enum.join(', ')}` };
+  }
+  return { value: raw };
+}
+
+// Returns { value, errors }: `value` holds the known, given fields (integers
+// parsed); each error is { field, message }
+function validate({ fields, allowUnknown, minFields }, input) {
+  const source = input && typeof input === 'object' && !Array.isArray(input) ? input : null;
+  if (!source) {
+    return { value: {}, errors: [{ message: 'must be an object' }] };
+  }
+
+  const value = {};
+  const errors = [];
+  let given = 0;
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const raw = source[name];
+    const missing = raw === undefined || (rule.empty && (raw === null || raw === ''));
+    if (missing) {
+      if (rule.required) {
+        errors.push({ field: name, message: `${name} is required` });
+      } else if (raw !== undefined) {
+        value[name] = raw;
+        given += 1;
+      }
+      continue;
+    }
+
+    given += 1;
+    const result = checkField(name, raw, rule);
+    if (result.error) {
+      errors.push({ field: name, message: result.error });
+    } else {
+      value[name] = result.value;
+    }
+  }
+
+  if (!allowUnknown) {
+    for (const name of Object.keys(source)) {
+      if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+        errors.push({ field: name, message: `${name} is not allowed` });
+      }
+    }
+  }
+  if (errors.length === 0 && given < minFields) {
+    errors.push({ message: `At least one of ${Object.keys(fields).join(', ')} is required` });
+  }
+
+  return { value, errors };
+}
+
+// Route middleware checking any of { params, query, body } against a schema.
+// Validated params and bodies replace the raw ones (only known fields, ids as
+// numbers); query strings are left to the route's own parser. Failures become
+// one ValidationError listing each of them with where it was found.
+function validateRequest(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    for (const location of ['params', 'query', 'body']) {
+      if (!schemas[location]) {
+        continue;
+      }
+      const result = validate(schemas[location], req[location]);
+      errors.push(...result.errors.map(error => ({ location, ...error })));
+      if (result.errors.length === 0 && location !== 'query') {
+        req[location] = result.value;
+      }
+    }
+    if (errors.length > 0) {
+      return next(new ValidationError(errors.map(error => error.message).join('; '), { errors }));
+    }
+    next();
+  };
+}
+
+// Body size limits, e.g. JSON_BODY_LIMIT=50kb (any value express.json accepts)
+function bodyLimitOptions(env = process.env) {
+  return {
+    jsonLimit: env.JSON_BODY_LIMIT || DEFAULT_JSON_LIMIT,
+    importLimit: env.IMPORT_BODY_LIMIT || DEFAULT_IMPORT_LIMIT
+  };
+}
+
+module.exports = {
+  schema,
+  validate,
+  validateRequest,
+  bodyLimitOptions
+};
@@ -0,0 +1,35 @@
+// Built-in quotes: seed data for empty stores and the degraded-mode fallback
+const SAMPLE_QUOTES = [
+  {
+    id: 1,
+    text: "The only way to do great work is to love what you do.",
+    author: "Steve Jobs",
+    category: "motivation"
+  },
+  {
+    id: 2,
+    text: "Innovation distinguishes between a leader and a follower.",
+    author: "Steve Jobs",
+    category: "innovation"
+  },
+  {
+    id: 3,
+    text: "Life is what happens to you while you're busy making other plans.",
+    author: "John Lennon",
+    category: "life"
+  },
+  {
+    id: 4,
+    text: "The future belongs to those who believe in the beauty of their dreams.",
+    author: "Eleanor Roosevelt",
+    category: "dreams"
+  },
+  {
+    id: 5,
+    text: "It is during our darkest moments that we must focus to see the light.",
+    author: "Aristotle",
+    category: "inspiration"
+  }
+];
+
+module.exports = { SAMPLE_QUOTES };
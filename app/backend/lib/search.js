@@ -0,0 +1,136 @@
+// Quote search helpers shared by the PostgreSQL and sample-data code paths
+const { schema } = require('./request-validation');
+const { ValidationError } = require('./errors');
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 8;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Field-level checks, run before parseSearchQuery/parseSearchLimit
+const SEARCH_QUERY_SCHEMA = schema({
+  q: { type: 'string', required: true },
+  limit: { type: 'integer', min: 1 }
+}, { allowUnknown: true });
+
+// Weighted document used for both the GIN index (migrations/004_add_search_index.js)
+// and the ranking query. Keep this expression identical in both places or
+// PostgreSQL will not use the index.
+const SEARCH_VECTOR_SQL =
+  "setweight(to_tsvector('english', coalesce(text, '')), 'A') || " +
+  "setweight(to_tsvector('simple', coalesce(author, '')), 'B') || " +
+  "setweight(to_tsvector('simple', coalesce(category, '')), 'C')";
+
+// Same relative weights ts_rank applies to A/B/C labels
+const FIELD_WEIGHTS = {
+  text: 1.0,
+  author: 0.4,
+  category: 0.2
+};
+
+class SearchQueryError extends ValidationError {
+  constructor(message) {
+    super(message, { errors: [{ location: 'query', message }] });
+    this.name = 'SearchQueryError';
+  }
+}
+
+// Split free text into lowercase word terms. Anything that is not a letter or
+// digit (%, _, regex metacharacters, HTML brackets, tsquery operators) is a separator,
+// so the terms are always safe to embed in a tsquery or compare in memory.
+function tokenize(value) {
+  return String(value)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Validate the raw `q` parameter and turn it into a list of unique search terms
+function parseSearchQuery(raw) {
+  if (typeof raw !== 'string') {
+    throw new SearchQueryError('Query parameter "q" is required');
+  }
+
+  const query = raw.replace(/\s+/g, ' ').trim();
+  if (!query) {
+    throw new SearchQueryError('Query parameter "q" is required');
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new SearchQueryError(`Search query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) {
+    throw new SearchQueryError('Search query must contain at least one letter or digit');
+  }
+  if (terms.length > MAX_TERMS) {
+    throw new SearchQueryError(`Search query must contain at most ${MAX_TERMS} terms`);
+  }
+
+  return { query, terms };
+}
+
+function parseSearchLimit(raw) {
+  if (raw === undefined) {
+    return DEFAULT_LIMIT;
+  }
+  const limit = Number(raw);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new SearchQueryError('Query parameter "limit" must be a positive integer');
+  }
+  return Math.min(limit, MAX_LIMIT);
+}
+
+// Prefix-matching tsquery, e.g. ['steve', 'job'] -> "steve:* & job:*"
+function toTsQuery(terms) {
+  return terms.map(term => `${term}:*`).join(' & ');
+}
+
+// In-memory equivalent of the full-text query for the sample data fallback:
+// every term must prefix-match a word in some field, ranked by field weight.
+function searchQuotes(quotes, terms, limit = DEFAULT_LIMIT) {
+  const results = [];
+
+  for (const quote of quotes) {
+    const fields = Object.keys(FIELD_WEIGHTS).map(field => ({
+      weight: FIELD_WEIGHTS[field],
+      words: tokenize(quote[field] || '')
+    }));
+
+    let rank = 0;
+    const matchesAll = terms.every(term => {
+      let matched = false;
+      for (const { weight, words } of fields) {
+        const hits = words.filter(word => word.startsWith(term)).length;
+        if (hits > 0) {
+          matched = true;
+          rank += hits * weight;
+        }
+      }
+      return matched;
+    });
+
+    if (matchesAll) {
+      results.push({ ...quote, rank: Number(rank.toFixed(4)) });
+    }
+  }
+
+  return results
+    .sort((a, b) => b.rank - a.rank || a.id - b.id)
+    .slice(0, limit);
+}
+
+module.exports = {
+  SEARCH_QUERY_SCHEMA,
+  MAX_QUERY_LENGTH,
+  MAX_TERMS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SEARCH_VECTOR_SQL,
+  SearchQueryError,
+  tokenize,
+  parseSearchQuery,
+  parseSearchLimit,
+  toTsQuery,
+  searchQuotes
+};
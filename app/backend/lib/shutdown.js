@@ -0,0 +1,158 @@
+// Graceful shutdown for rolling updates.
+// On SIGTERM/SIGINT the coordinator:
+//   1. flips readiness to failing so the load balancer stops sending traffic,
+//   2. waits drainDelayMs (5 s by default) for that to propagate, so load
+//      balancers stop routing here before connections are refused,
+//   3. stops accepting connections and closes idle keep-alive sockets,
+//   4. lets in-flight requests finish, up to timeoutMs, then cuts the rest,
+//   5. runs cleanup hooks (flush counters, stop timers) and ends the pg pool,
+//   6. exits 0 when everything drained cleanly, 1 otherwise.
+// A second signal while draining exits immediately.
+
+const SIGNALS = ['SIGTERM', 'SIGINT'];
+
+function shutdownOptions(env = process.env) {
+  return {
+    timeoutMs: Number(env.SHUTDOWN_TIMEOUT_MS || 10000),
+    drainDelayMs: Number(env.SHUTDOWN_DRAIN_DELAY_MS || 5000)
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createShutdownCoordinator({
+  pool,
+  timeoutMs = 10000,
+  drainDelayMs = 0,
+  cleanup = [],
+  exit = code => process.exit(code),
+  logger = console
+} = {}) {
+  let server = null;
+  let draining = false;
+  let shutdownPromise = null;
+  const active = new Set();
+
+  // Tracks in-flight responses and asks keep-alive clients to reconnect
+  // (to another replica) once draining has started
+  function middleware(req, res, next) {
+    active.add(res);
+    const finish = () => active.delete(res);
+    res.on('finish', finish);
+    res.on('close', finish);
+
+    if (draining) {
+      res.set('Connection', 'close');
+    }
+    next();
+  }
+
+  function closeActiveKeepAlive() {
+    for (const res of active) {
+      if (!res.headersSent) {
+        res.set('Connection', 'close');
+      }
+    }
+  }
+
+  function closeServer() {
+    return new Promise(resolve => {
+      if (!server || !server.listening) {
+        return resolve(true);
+      }
+
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        logger.error(`Shutdown timeout after ${timeoutMs}ms, closing ${active.size} in-flight request(s)`);
+        server.closeAllConnections();
+      }, timeoutMs);
+
+      server.close(() => {
+        clearTimeout(timer);
+        resolve(!timedOut);
+      });
+      server.closeIdleConnections();
+    });
+  }
+
+  async function run(signal) {
+    draining = true;
+    closeActiveKeepAlive();
+    logger.log(`${signal} received, draining ${active.size} in-flight request(s)`);
+
+    if (drainDelayMs > 0) {
+      await sleep(drainDelayMs);
+    }
+
+    let clean = await closeServer();
+
+    for (const hook of cleanup) {
+      try {
+        await hook();
+      } catch (error) {
+        clean = false;
+        logger.error('Shutdown cleanup failed:', error.message);
+      }
+    }
+
+    if (pool) {
+      try {
+        await pool.end();
+      } catch (error) {
+        clean = false;
+        logger.error('Error closing database pool:', error.message);
+      }
+    }
+
+    const code = clean ? 0 : 1;
+    logger.log(`Shutdown complete (exit code ${code})`);
+    exit(code);
+    return code;
+  }
+
+  function shutdown(signal = 'shutdown') {
+    if (shutdownPromise) {
+      return shutdownPromise;
+    }
+    shutdownPromise = run(signal);
+    return shutdownPromise;
+  }
+
+  function onSignal(signal) {
+    if (draining) {
+      logger.error(`${signal} received again, exiting immediately`);
+      exit(1);
+      return;
+    }
+    shutdown(signal);
+  }
+
+  return {
+    middleware,
+    shutdown,
+
+    attach(httpServer) {
+      server = httpServer;
+    },
+
+    register(signalSource = process) {
+      for (const signal of SIGNALS) {
+        signalSource.on(signal, onSignal);
+      }
+    },
+
+    isShuttingDown() {
+      return draining;
+    },
+
+    inFlight() {
+      return active.size;
+    }
+  };
+}
+
+module.exports = {
+  shutdownOptions,
+  createShutdownCoordinator
+};
@@ -0,0 +1,213 @@
+// Aggregate quote statistics for GET /api/quotes/stats.
+// Every query is bounded (range filter or LIMIT), and results go through the
+// query cache (lib/cache, 30s by default), so the endpoint is cheap under load.
+const { schema } = require('./request-validation');
+const { ValidationError } = require('./errors');
+
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE = '30d';
+const TOP_LIMIT = 50;
+const MOST_SERVED_LIMIT = 10;
+const DEFAULT_FLUSH_INTERVAL_MS = 10000;
+
+// Field-level checks, run before parseStatsQuery
+const STATS_QUERY_SCHEMA = schema({
+  range: { type: 'string', pattern: /^(\d+d|all)$/, format: '"all" or a number of days such as "30d"' },
+  detailed: { type: 'string', enum: ['true', 'false'] }
+}, { allowUnknown: true });
+
+class StatsQueryError extends ValidationError {
+  constructor(message) {
+    super(message, { errors: [{ location: 'query', message }] });
+    this.name = 'StatsQueryError';
+  }
+}
+
+// range is "<n>d" (1-366) or "all"; detailed adds per-author, per-day and most-served sections
+function parseStatsQuery(query) {
+  const range = query.range === undefined ? DEFAULT_RANGE : String(query.range);
+  let days = null;
+  if (range !== 'all') {
+    const match = /^(\d{1,3})d$/.exec(range);
+    days = match ? Number(match[1]) : 0;
+    if (days < 1 || days > MAX_RANGE_DAYS) {
+      throw new StatsQueryError(`Query parameter "range" must be "all" or between 1d and ${MAX_RANGE_DAYS}d`);
+    }
+  }
+
+  const detailed = query.detailed === undefined ? 'false' : String(query.detailed);
+  if (detailed !== 'true' && detailed !== 'false') {
+    throw new StatsQueryError('Query parameter "detailed" must be "true" or "false"');
+  }
+
+  return { range, days, detailed: detailed === 'true' };
+}
+
+// Counts how often each quote is served and hands the counts to
+// store.recordServes(Map of id -> count) once per interval instead of one
+// write per read. Counts that fail to flush (database down) are kept in memory.
+function createServeCounter(store, { flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS } = {}) {
+  let pending = new Map();
+  let timer = null;
+
+  async function flush() {
+    if (pending.size === 0) {
+      return;
+    }
+    const batch = pending;
+    pending = new Map();
+
+    try {
+      await store.recordServes(batch);
+    } catch (error) {
+      for (const [id, count] of batch) {
+        pending.set(id, (pending.get(id) || 0) + count);
+      }
+    }
+  }
+
+  return {
+    record(id) {
+      pending.set(id, (pending.get(id) || 0) + 1);
+    },
+
+    // Counts not yet written to the store
+    snapshot() {
+      return new Map(pending);
+    },
+
+    start() {
+      if (!timer) {
+        timer = setInterval(flush, flushIntervalMs);
+        timer.unref();
+      }
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    flush
+  };
+}
+
+async function queryStats(pool, { range, days, detailed }) {
+  // $1 is the range in days, NULL for "all"
+  const rangeCondition = '($1::int IS NULL OR created_at >= CURRENT_DATE - ($1::int - 1))';
+
+  const totals = await pool.query(
+    `SELECT COUNT(*)::int AS quotes,
+            COUNT(DISTINCT category)::int AS categories,
+            COUNT(DISTINCT author)::int AS authors,
+            (COUNT(*) FILTER (WHERE ${rangeCondition}))::int AS created_in_range
+     FROM quotes`,
+    [days]
+  );
+  const byCategory = await pool.query(
+    `SELECT category, COUNT(*)::int AS count FROM quotes
+     GROUP BY category ORDER BY count DESC, category LIMIT $1`,
+    [TOP_LIMIT]
+  );
+
+  const { quotes, categories, authors, created_in_range: createdInRange } = totals.rows[0];
+  const stats = {
+    range,
+    generatedAt: new Date().toISOString(),
+    totals: { quotes, categories, authors, createdInRange },
+    byCategory: byCategory.rows
+  };
+
+  if (detailed) {
+    const byAuthor = await pool.query(
+      `SELECT author, COUNT(*)::int AS count FROM quotes
+       GROUP BY author ORDER BY count DESC, author LIMIT $1`,
+      [TOP_LIMIT]
+    );
+    const perDay = await pool.query(
+      `SELECT to_char(date_trunc('day', created_at), 'YYYY-MM-DD') AS date, COUNT(*)::int AS count
+       FROM quotes WHERE created_at IS NOT NULL AND ${rangeCondition}
+       GROUP BY 1 ORDER BY 1 DESC LIMIT $2`,
+      [days, MAX_RANGE_DAYS]
+    );
+    const mostServed = await pool.query(
+      `SELECT id, text, author, category, served_count AS served FROM quotes
+       WHERE served_count > 0 ORDER BY served_count DESC, id LIMIT $1`,
+      [MOST_SERVED_LIMIT]
+    );
+
+    stats.byAuthor = byAuthor.rows;
+    stats.createdPerDay = perDay.rows.reverse();
+    stats.mostServed = mostServed.rows;
+  }
+
+  return stats;
+}
+
+function countBy(quotes, field) {
+  const counts = new Map();
+  for (const quote of quotes) {
+    counts.set(quote[field], (counts.get(quote[field]) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([value, count]) => ({ [field]: value, count }))
+    .sort((a, b) => b.count - a.count || (a[field] < b[field] ? -1 : 1))
+    .slice(0, TOP_LIMIT);
+}
+
+const dayOf = value => new Date(value).toISOString().slice(0, 10);
+
+// In-memory equivalent of queryStats (memory repository). Like the SQL version,
+// range "all" counts every quote, and quotes without a creation date never
+// count towards a day range.
+function computeStats(quotes, { range, days, detailed }, now = new Date()) {
+  const firstDay = days === null ? null : dayOf(now.getTime() - (days - 1) * 86400000);
+  const inRange = quote => firstDay === null || (Boolean(quote.created_at) && dayOf(quote.created_at) >= firstDay);
+
+  const stats = {
+    range,
+    generatedAt: now.toISOString(),
+    totals: {
+      quotes: quotes.length,
+      categories: new Set(quotes.map(q => q.category)).size,
+      authors: new Set(quotes.map(q => q.author)).size,
+      createdInRange: quotes.filter(inRange).length
+    },
+    byCategory: countBy(quotes, 'category')
+  };
+
+  if (detailed) {
+    const perDay = new Map();
+    for (const quote of quotes) {
+      if (quote.created_at && inRange(quote)) {
+        const day = dayOf(quote.created_at);
+        perDay.set(day, (perDay.get(day) || 0) + 1);
+      }
+    }
+
+    stats.byAuthor = countBy(quotes, 'author');
+    stats.createdPerDay = [...perDay.entries()]
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .slice(-MAX_RANGE_DAYS)
+      .map(([date, count]) => ({ date, count }));
+    stats.mostServed = quotes
+      .filter(quote => quote.served_count > 0)
+      .map(({ id, text, author, category, served_count: served }) => ({ id, text, author, category, served }))
+      .sort((a, b) => b.served - a.served || a.id - b.id)
+      .slice(0, MOST_SERVED_LIMIT);
+  }
+
+  return stats;
+}
+
+module.exports = {
+  STATS_QUERY_SCHEMA,
+  MAX_RANGE_DAYS,
+  TOP_LIMIT,
+  MOST_SERVED_LIMIT,
+  StatsQueryError,
+  parseStatsQuery,
+  createServeCounter,
+  queryStats,
+  computeStats
+};
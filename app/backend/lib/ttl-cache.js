@@ -0,0 +1,34 @@
+// Small promise cache for expensive, briefly-stale-tolerant lookups
+// (aggregate stats, dependency health checks).
+
+// Caches loader results per key for ttlMs; concurrent callers share one promise
+// and failed loads are not cached.
+function createTtlCache(ttlMs) {
+  const entries = new Map();
+
+  return {
+    get(key, loader) {
+      const entry = entries.get(key);
+      if (entry && entry.expires > Date.now()) {
+        return entry.promise;
+      }
+
+      const promise = Promise.resolve().then(loader);
+      entries.set(key, { promise, expires: Date.now() + ttlMs });
+      promise.catch(() => {
+        if (entries.get(key) && entries.get(key).promise === promise) {
+          entries.delete(key);
+        }
+      });
+      return promise;
+    },
+
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+module.exports = {
+  createTtlCache
+};
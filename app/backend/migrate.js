@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+// Database migration CLI.
+//
+//   node migrate.js up [--to=VERSION]          # apply pending migrations
+//   node migrate.js down [--steps=N|--to=VERSION]  # revert (default: the last one)
+//   node migrate.js status                     # list applied and pending migrations
+//   node migrate.js create add_quote_tags      # scaffold migrations/NNN_add_quote_tags.js
+//
+// Connection settings come from the same DB_* variables as the server (.env is read).
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+require('dotenv').config();
+const { databaseOptions } = require('./lib/db');
+const { migrate, rollback, migrationStatus, createMigration } = require('./lib/migrations');
+
+const USAGE = `Usage: node migrate.js <command> [options]
+
+Commands:
+  up                 Apply pending migrations
+  down               Revert applied migrations (default: the most recent one)
+  status             Show applied, pending and missing migrations
+  create NAME        Create an empty migration with the next version number
+
+Options:
+  --to=VERSION       up: stop after VERSION; down: revert everything above VERSION (0 for all)
+  --steps=N          down: number of migrations to revert (default: 1)
+  --help             Show this help`;
+
+function fail(message) {
+  console.error(`migrate: ${message}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+function toInteger(value, name, min) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    fail(`--${name} must be an integer >= ${min}`);
+  }
+  return number;
+}
+
+function parseCommand(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        to: { type: 'string' },
+        steps: { type: 'string' },
+        help: { type: 'boolean' }
+      }
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const [command, ...args] = positionals;
+  if (!['up', 'down', 'status', 'create'].includes(command)) {
+    fail(command ? `Unknown command "${command}"` : 'Missing command');
+  }
+  if (command === 'create' && args.length !== 1) {
+    fail('create needs exactly one migration name');
+  }
+  if (values.to !== undefined && values.steps !== undefined) {
+    fail('--to and --steps cannot be combined');
+  }
+
+  return {
+    command,
+    name: args[0],
+    to: toInteger(values.to, 'to', 0),
+    steps: toInteger(values.steps, 'steps', 1)
+  };
+}
+
+async function run({ command, name, to, steps }) {
+  if (command === 'create') {
+    console.log(`Created ${createMigration(name)}`);
+    return;
+  }
+
+  const pool = new Pool(databaseOptions());
+  try {
+    if (command === 'up') {
+      const applied = await migrate(pool, { to });
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } else if (command === 'down') {
+      const reverted = await rollback(pool, { to, steps });
+      console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+    } else {
+      for (const migration of await migrationStatus(pool)) {
+        const appliedAt = migration.appliedAt ? new Date(migration.appliedAt).toISOString() : '';
+        const version = String(migration.version).padStart(3, '0');
+        console.log(`${migration.state.padEnd(8)} ${version}_${migration.name} ${appliedAt}`.trimEnd());
+      }
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  run(parseCommand()).catch(error => {
+    console.error(`migrate: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseCommand, run };
@@ -0,0 +1,16 @@
+// Baseline schema, as created by database/init.sql and earlier releases.
+// IF NOT EXISTS makes it a no-op on databases that already have the table.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS quotes (
+      id SERIAL PRIMARY KEY,
+      text TEXT NOT NULL,
+      author VARCHAR(255) NOT NULL,
+      category VARCHAR(100) DEFAULT 'general',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_quotes_category ON quotes (category);
+    CREATE INDEX IF NOT EXISTS idx_quotes_author ON quotes (author);
+  `,
+  down: 'DROP TABLE IF EXISTS quotes'
+};
@@ -0,0 +1,10 @@
+module.exports = {
+  up: `
+    ALTER TABLE quotes ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+    ALTER TABLE quotes ADD COLUMN IF NOT EXISTS served_count INTEGER NOT NULL DEFAULT 0;
+  `,
+  down: `
+    ALTER TABLE quotes DROP COLUMN IF EXISTS served_count;
+    ALTER TABLE quotes DROP COLUMN IF EXISTS updated_at;
+  `
+};
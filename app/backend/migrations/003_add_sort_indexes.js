@@ -0,0 +1,13 @@
+// Keyset pagination indexes for GET /api/quotes and most-served for stats
+module.exports = {
+  up: `
+    CREATE INDEX IF NOT EXISTS idx_quotes_author_id ON quotes (author, id);
+    CREATE INDEX IF NOT EXISTS idx_quotes_created_at_id ON quotes (created_at, id);
+    CREATE INDEX IF NOT EXISTS idx_quotes_served_count ON quotes (served_count DESC);
+  `,
+  down: `
+    DROP INDEX IF EXISTS idx_quotes_served_count;
+    DROP INDEX IF EXISTS idx_quotes_created_at_id;
+    DROP INDEX IF EXISTS idx_quotes_author_id;
+  `
+};
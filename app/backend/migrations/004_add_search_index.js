@@ -0,0 +1,12 @@
+// Full-text index for /api/quotes/search. The expression must match
+// SEARCH_VECTOR_SQL in lib/search.js; change both through a new migration.
+module.exports = {
+  up: `
+    CREATE INDEX IF NOT EXISTS idx_quotes_search ON quotes USING GIN ((
+      setweight(to_tsvector('english', coalesce(text, '')), 'A') ||
+      setweight(to_tsvector('simple', coalesce(author, '')), 'B') ||
+      setweight(to_tsvector('simple', coalesce(category, '')), 'C')
+    ))
+  `,
+  down: 'DROP INDEX IF EXISTS idx_quotes_search'
+};
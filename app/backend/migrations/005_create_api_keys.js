@@ -0,0 +1,18 @@
+// API keys for write routes (lib/api-keys.js). Only the SHA-256 hash of a key
+// is stored; `prefix` is its first characters, to tell keys apart in listings.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      prefix VARCHAR(16) NOT NULL,
+      key_hash CHAR(64) NOT NULL UNIQUE,
+      scopes TEXT[] NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP,
+      last_used_at TIMESTAMP,
+      revoked_at TIMESTAMP
+    )
+  `,
+  down: 'DROP TABLE IF EXISTS api_keys'
+};
@@ -0,0 +1,15 @@
+// Roles for API keys (lib/rbac.js), and who created each quote, so
+// contributors can be limited to their own submissions. created_by holds the
+// principal id ("key:<id>" or "jwt:<sub>"); older quotes have none.
+module.exports = {
+  up: `
+    ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS roles TEXT[] NOT NULL DEFAULT '{}';
+    ALTER TABLE quotes ADD COLUMN IF NOT EXISTS created_by VARCHAR(255);
+    CREATE INDEX IF NOT EXISTS idx_quotes_created_by ON quotes (created_by);
+  `,
+  down: `
+    DROP INDEX IF EXISTS idx_quotes_created_by;
+    ALTER TABLE quotes DROP COLUMN IF EXISTS created_by;
+    ALTER TABLE api_keys DROP COLUMN IF EXISTS roles;
+  `
+};
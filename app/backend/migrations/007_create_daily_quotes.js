@@ -0,0 +1,19 @@
+// Quote of the Day picks (lib/daily-quote.js), one per category and day;
+// category '' is the quote drawn from every quote. Automatic picks are stored
+// by the first request of the day, scheduled ones by editors ahead of time.
+// Deleting a quote drops its picks, and that day's quote is chosen again.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS daily_quotes (
+      category VARCHAR(100) NOT NULL DEFAULT '',
+      day DATE NOT NULL,
+      quote_id INTEGER NOT NULL REFERENCES quotes (id) ON DELETE CASCADE,
+      scheduled BOOLEAN NOT NULL DEFAULT FALSE,
+      created_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (category, day)
+    );
+    CREATE INDEX IF NOT EXISTS idx_daily_quotes_quote_id ON daily_quotes (quote_id);
+  `,
+  down: 'DROP TABLE IF EXISTS daily_quotes'
+};
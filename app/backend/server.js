@@ -1,259 +1,721 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const { Pool } = require('pg');
 require('dotenv').config();
+const {
+  SEARCH_QUERY_SCHEMA,
+  parseSearchQuery,
+  parseSearchLimit
+} = require('./lib/search');
+const { LIST_QUERY_SCHEMA, parseListQuery } = require('./lib/pagination');
+const {
+  STATS_QUERY_SCHEMA,
+  parseStatsQuery,
+  createServeCounter
+} = require('./lib/stats');
+const { EXPORT_QUERY_SCHEMA, parseExportQuery } = require('./lib/export');
+const {
+  TODAY_QUERY_SCHEMA,
+  SCHEDULE_QUERY_SCHEMA,
+  SCHEDULE_PARAMS,
+  SCHEDULE_SCHEMA,
+  UNSCHEDULE_QUERY_SCHEMA,
+  dailyQuoteOptions,
+  localDate,
+  secondsUntilNextDay,
+  parseDate,
+  parseTodayQuery,
+  parseScheduleQuery
+} = require('./lib/daily-quote');
+const {
+  IMPORT_QUERY_SCHEMA,
+  IMPORT_CONTENT_TYPES,
+  parseImportBody,
+  parseImportOptions
+} = require('./lib/import');
+const {
+  QUOTE_SCHEMA,
+  QUOTE_PATCH_SCHEMA,
+  QUOTE_ID_PARAMS,
+  CATEGORY_PARAMS
+} = require('./lib/quote-validation');
+const { validateRequest, bodyLimitOptions } = require('./lib/request-validation');
+const { NotFoundError, UnavailableError, ValidationError, errorHandler } = require('./lib/errors');
+const { requestId } = require('./lib/request-id');
+const { logger, loggerOptions, requestLogger } = require('./lib/logger');
+const { authOptions, createAuthenticator } = require('./lib/auth');
+const { httpCacheOptions, createHttpCache } = require('./lib/http-cache');
+const { databaseOptions } = require('./lib/db');
+const { isDatabaseUnavailable } = require('./lib/db-errors');
+const { repositoryOptions, createRepository, createMemoryRepository } = require('./lib/repositories');
+const { cacheOptions, createQueryCache, withQueryCache } = require('./lib/cache');
+const { SAMPLE_QUOTES } = require('./lib/sample-quotes');
+const { circuitBreakerOptions, createCircuitBreaker, guardPool } = require('./lib/circuit-breaker');
+const {
+  dataSourceOptions,
+  createDataSource,
+  setDataSource
+} = require('./lib/data-source');
+const { createRateLimiter, createPrincipalRateLimiter } = require('./lib/rate-limit');
+const { healthOptions, createHealthChecks } = require('./lib/health');
+const { shutdownOptions, createShutdownCoordinator } = require('./lib/shutdown');
+const { loadSheddingOptions, createAdmissionController } = require('./lib/load-shedding');
+const {
+  routeLabel,
+  metricsMiddleware,
+  metricsHandler,
+  registerPoolMetrics,
+  registerCircuitBreakerMetrics,
+  recordShedRequest,
+  recordCacheLookup
+} = require('./lib/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a load balancer or ingress, req.ip must come from X-Forwarded-For
+// for per-client rate limiting (e.g. TRUST_PROXY=1 for one proxy hop)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// Database connection
+const pool = new Pool(databaseOptions());
+registerPoolMetrics(pool);
+// Idle clients emit 'error' when the server goes away; without a listener
+// that would crash the process instead of degrading
+pool.on('error', error => {
+  logger.error('Idle database client error', error);
+});
+
+// Routes query through `db`, which fails fast while PostgreSQL is down instead
+// of waiting on a dead connection for every request
+const circuitBreaker = createCircuitBreaker({
+  ...circuitBreakerOptions(),
+  onStateChange: state => logger.warn(`Database circuit breaker ${state}`, { circuitState: state })
+});
+registerCircuitBreakerMetrics(circuitBreaker);
+const db = guardPool(pool, circuitBreaker);
+
+// Where quotes are stored (QUOTE_REPOSITORY, see lib/repositories). Routes only
+// talk to `quotes`, the repository behind the query cache (QUERY_CACHE, see
+// lib/cache); the PostgreSQL pool above stays idle for the other backends.
+const repository = createRepository({ ...repositoryOptions(), pool: db, logger });
+const queryCache = createQueryCache({ ...cacheOptions(), logger, onLookup: recordCacheLookup });
+const quotes = withQueryCache(repository, queryCache);
+// For tests, which seed and stub the repository of the app they require
+app.locals.quotes = repository;
+app.locals.queryCache = queryCache;
+
+// What read routes serve while the database is unreachable (DATA_SOURCE_POLICY);
+// the fallback answers from the built-in sample quotes
+const dataSource = createDataSource(dataSourceOptions());
+const sampleQuotes = createMemoryRepository({ quotes: SAMPLE_QUOTES });
+
+// Quote of the Day time zone and repeat window (QOTD_*, see lib/daily-quote.js)
+const dailyQuotes = dailyQuoteOptions();
+
+// Serve counts for /api/quotes/stats, flushed to the repository in batches.
+// Only quotes read from the database count: sample and cached quotes may not
+// match the stored rows with the same ids.
+const serveCounter = createServeCounter(quotes);
+app.locals.serveCounter = serveCounter;
+
+function recordServe(result, id) {
+  if (result.source === 'db') {
+    serveCounter.record(id);
+  }
+}
+
+// Rejects requests with 503 while the event loop or the pg pool is saturated
+const sheddingOptions = loadSheddingOptions();
+const admissionController = createAdmissionController({
+  pool,
+  ...sheddingOptions,
+  onShed: recordShedRequest
+});
+
+// Drains in-flight requests and closes the pool on SIGTERM/SIGINT
+const shutdownCoordinator = createShutdownCoordinator({
+  pool,
+  ...shutdownOptions(),
+  logger,
+  cleanup: [
+    () => admissionController.stop(),
+    () => serveCounter.stop(),
+    () => serveCounter.flush(),
+    () => quotes.close(),
+    () => queryCache.close()
+  ]
+});
+
 // Middleware
+app.use(shutdownCoordinator.middleware);
+app.use(requestId);
+// JSON access log with the request ID, route, status, latency and data source
+// (LOG_LEVEL, LOG_REDACT_HEADERS; silent under jest)
+app.use(requestLogger(logger, { ...loggerOptions(), routeLabel }));
 app.use(helmet());
 app.use(cors());
-app.use(morgan('combined'));
-app.use(express.json());
+app.use(metricsMiddleware);
+if (sheddingOptions.enabled) {
+  app.use(admissionController.middleware);
+}
+// Per IP, ahead of authentication, so floods are turned away before they cost
+// a credential check
+const rateLimitEnabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+if (rateLimitEnabled) {
+  app.use(createRateLimiter());
+}
+// Body parsers, attached to the routes that take a body, after their permission
+// check: JSON for quote writes, text (JSON, NDJSON or CSV) with a larger limit
+// for POST /api/quotes/import. Both limits are configurable (JSON_BODY_LIMIT,
+// IMPORT_BODY_LIMIT).
+const bodyLimits = bodyLimitOptions();
+const jsonBody = express.json({ limit: bodyLimits.jsonLimit });
+const importBody = express.text({ type: IMPORT_CONTENT_TYPES, limit: bodyLimits.importLimit });
 
-// Database connection
-const pool = new Pool({
-  user: process.env.DB_USER || 'postgres',
-  host: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'quotes_db',
-  password: process.env.DB_PASSWORD || 'password',
-  port: process.env.DB_PORT || 5432,
+// Each quote route needs a permission, granted by the roles and scopes of an
+// API key or JWT (AUTH_ENABLED, AUTH_PUBLIC_READS, JWT_*; see lib/auth.js and
+// lib/rbac.js). Keys are managed with `npm run keys`. Contributors may only
+// change or delete the quotes they submitted (created_by).
+const auth = createAuthenticator({ ...authOptions(), apiKeys: quotes.apiKeys, logger });
+if (!auth.enabled) {
+  logger.warn('AUTH_ENABLED=false: write routes accept unauthenticated requests');
+}
+// Once authenticated, callers also take from a bucket of their own; API key
+// use is recorded for the requests that get through both
+const limitPrincipal = rateLimitEnabled ? createPrincipalRateLimiter() : (req, res, next) => next();
+const guard = check => [check, limitPrincipal, auth.recordUse];
+const canRead = guard(auth.requirePermission('quotes:read'));
+const canCreate = guard(auth.requirePermission('quotes:create'));
+const canUpdate = guard(auth.requirePermission('quotes:update', { own: 'quotes:update:own' }));
+const canDelete = guard(auth.requirePermission('quotes:delete', { own: 'quotes:delete:own' }));
+const canImport = guard(auth.requirePermission('quotes:import'));
+const canSchedule = guard(auth.requirePermission('quotes:schedule'));
+
+async function ownerOfQuote(req) {
+  try {
+    const quote = await quotes.findById(req.params.id);
+    return quote ? quote.created_by : undefined;
+  } catch (error) {
+    throw writeError(error);
+  }
+}
+const ownsUpdatedQuote = auth.requireOwner('quotes:update', ownerOfQuote);
+const ownsDeletedQuote = auth.requireOwner('quotes:delete', ownerOfQuote);
+
+// Cache-Control per route (no-store unless a read route says otherwise), and
+// strong ETags from quote row versions for conditional GETs; see
+// lib/http-cache.js. Express's own weak ETags on every body are turned off.
+const httpCache = createHttpCache({ ...httpCacheOptions(), publicReads: auth.publicReads });
+app.set('etag', false);
+app.use(httpCache.noStore);
+
+// Health check endpoints
+// /health/live: the process is up (liveness probe)
+// /health/ready: dependencies checked, 503 when the replica should not get traffic (readiness probe)
+// /health and /api/health: same report as /health/ready
+const health = createHealthChecks({
+  repository: quotes,
+  admissionController,
+  circuitBreaker,
+  dataSourcePolicy: dataSource.policy,
+  isShuttingDown: shutdownCoordinator.isShuttingDown,
+  ...healthOptions()
 });
+app.get('/health/live', health.live);
+app.get(['/health', '/health/ready', '/api/health'], health.ready);
 
-// Sample quotes data (fallback if database is not available)
-const sampleQuotes = [
-  {
-    id: 1,
-    text: "The only way to do great work is to love what you do.",
-    author: "Steve Jobs",
-    category: "motivation"
-  },
-  {
-    id: 2,
-    text: "Innovation distinguishes between a leader and a follower.",
-    author: "Steve Jobs",
-    category: "innovation"
-  },
-  {
-    id: 3,
-    text: "Life is what happens to you while you're busy making other plans.",
-    author: "John Lennon",
-    category: "life"
-  },
-  {
-    id: 4,
-    text: "The future belongs to those who believe in the beauty of their dreams.",
-    author: "Eleanor Roosevelt",
-    category: "dreams"
-  },
-  {
-    id: 5,
-    text: "It is during our darkest moments that we must focus to see the light.",
-    author: "Aristotle",
-    category: "inspiration"
+// A failed write: 503 when the database is unreachable (sample data is
+// read-only); anything else goes to the error handler as is
+function writeError(error) {
+  if (isDatabaseUnavailable(error)) {
+    return new UnavailableError('Database not available, quotes are read-only', {
+      code: 'DATABASE_UNAVAILABLE',
+      cause: error
+    });
+  }
+  return error;
+}
+
+function quoteNotFound() {
+  return new NotFoundError('Quote not found', { code: 'QUOTE_NOT_FOUND' });
+}
+
+// Prometheus metrics endpoint
+app.get('/metrics', metricsHandler);
+
+// Get quotes, paginated (limit/offset/page or cursor), sorted and filtered
+app.get('/api/quotes', canRead, validateRequest({ query: LIST_QUERY_SCHEMA }), async (req, res, next) => {
+  try {
+    const options = parseListQuery(req.query);
+    // Keyed by the parsed options, so unknown parameters (e.g. a cache-buster
+    // like ?_=123) cannot fill the last-known cache with copies
+    const result = await dataSource.read(`list:${JSON.stringify(options)}`, {
+      load: () => quotes.list(options),
+      sample: () => sampleQuotes.list(options)
+    });
+    const page = result.value;
+    httpCache.send(req, res, result, {
+      success: true,
+      data: page.data,
+      count: page.data.length,
+      pagination: page.pagination
+    }, { policy: 'list', rows: page.data });
+  } catch (error) {
+    next(error);
   }
-];
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    version: process.env.npm_package_version || '1.0.0'
-  });
 });
 
-// Get all quotes
-app.get('/api/quotes', async (req, res) => {
+// Full-text search across text, author and category
+app.get('/api/quotes/search', canRead, validateRequest({ query: SEARCH_QUERY_SCHEMA }), async (req, res, next) => {
   try {
-    const result = await pool.query('SELECT * FROM quotes ORDER BY id');
-    res.json({
+    const search = parseSearchQuery(req.query.q);
+    const limit = parseSearchLimit(req.query.limit);
+    const result = await dataSource.read(`search:${limit}:${search.terms.join(' ')}`, {
+      load: () => quotes.search(search.terms, limit),
+      sample: () => sampleQuotes.search(search.terms, limit)
+    });
+    httpCache.send(req, res, result, {
       success: true,
-      data: result.rows,
-      count: result.rows.length
+      data: result.value,
+      count: result.value.length,
+      query: search.query
+    }, { policy: 'list', rows: result.value });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a random quote, a different one on every call (see /api/quotes/today)
+app.get('/api/quotes/random', canRead, async (req, res, next) => {
+  try {
+    const result = await dataSource.read('random', {
+      load: () => quotes.random(),
+      sample: () => sampleQuotes.random()
     });
+    const quote = result.value;
+    if (!quote) {
+      setDataSource(res, result);
+      return next(new NotFoundError('No quotes found', { code: 'NO_QUOTES' }));
+    }
+
+    res.locals.quoteCategory = quote.category;
+    res.locals.quoteServed = true;
+    recordServe(result, quote.id);
+    // A different quote every time: never cached
+    httpCache.send(req, res, result, {
+      success: true,
+      data: quote
+    }, { policy: 'no-store' });
   } catch (error) {
-    console.log('Database not available, using sample data');
+    next(error);
+  }
+});
+
+// Quote of the Day: the same quote for everyone on a given date, in the
+// client's time zone (?tz=) and optionally from one category (?category=)
+app.get('/api/quotes/today', canRead, validateRequest({ query: TODAY_QUERY_SCHEMA }), async (req, res, next) => {
+  try {
+    const { timeZone, category } = parseTodayQuery(req.query, dailyQuotes);
+    const now = new Date();
+    const date = localDate(now, timeZone);
+    const options = { date, category, repeatWindowDays: dailyQuotes.repeatWindowDays };
+    const result = await dataSource.read(`today:${date}:${category || ''}`, {
+      load: () => quotes.dailyQuotes.pick(options),
+      sample: () => sampleQuotes.dailyQuotes.pick(options)
+    });
+    const daily = result.value;
+    if (!daily) {
+      setDataSource(res, result);
+      return next(new NotFoundError('No quotes found', { code: 'NO_QUOTES' }));
+    }
+
+    res.locals.quoteCategory = daily.quote.category;
+    res.locals.quoteServed = true;
+    recordServe(result, daily.quote.id);
+    // Cached no later than the local midnight, when the quote changes
+    httpCache.send(req, res, result, {
+      success: true,
+      data: daily.quote,
+      date,
+      timeZone,
+      scheduled: daily.scheduled
+    }, { policy: 'list', rows: [daily.quote], maxAgeSeconds: secondsUntilNextDay(now, timeZone) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Quote of the Day picks, scheduled and automatic, from today (QOTD_TIMEZONE)
+// for 30 days unless ?from= and ?to= say otherwise
+app.get('/api/quotes/schedule', canSchedule, validateRequest({ query: SCHEDULE_QUERY_SCHEMA }), async (req, res, next) => {
+  try {
+    const options = parseScheduleQuery(req.query, dailyQuotes);
+    const picks = await quotes.dailyQuotes.list(options);
+    res.locals.dataSource = 'db';
     res.json({
       success: true,
-      data: sampleQuotes,
-      count: sampleQuotes.length,
-      source: 'sample_data'
+      data: picks,
+      count: picks.length,
+      from: options.from,
+      to: options.to
     });
+  } catch (error) {
+    next(error);
   }
 });
 
-// Get random quote (Quote of the Day)
-app.get('/api/quotes/random', async (req, res) => {
+// Schedule a quote as the Quote of the Day for a date, for every quote or one
+// category, replacing that day's pick
+app.put('/api/quotes/schedule/:date', canSchedule, jsonBody, validateRequest({ params: SCHEDULE_PARAMS, body: SCHEDULE_SCHEMA }), async (req, res, next) => {
+  const { quoteId } = req.body;
+  const category = req.body.category || null;
+  const createdBy = req.principal ? req.principal.id : null;
+
   try {
-    const result = await pool.query('SELECT * FROM quotes ORDER BY RANDOM() LIMIT 1');
-    if (result.rows.length > 0) {
-      res.json({
-        success: true,
-        data: result.rows[0]
-      });
-    } else {
-      throw new Error('No quotes found in database');
+    const date = parseDate(req.params.date, 'date', 'params');
+    const quote = await quotes.findById(quoteId);
+    if (!quote) {
+      return next(quoteNotFound());
+    }
+    if (category && quote.category !== category) {
+      const message = `Quote ${quoteId} is not in category "${category}"`;
+      return next(new ValidationError(message, { errors: [{ location: 'body', field: 'category', message }] }));
     }
+
+    const pick = await quotes.dailyQuotes.schedule({ date, category, quoteId, createdBy });
+    res.locals.dataSource = 'db';
+    res.json({
+      success: true,
+      data: pick,
+      message: 'Quote scheduled successfully'
+    });
   } catch (error) {
-    console.log('Database not available, using sample data');
-    const randomIndex = Math.floor(Math.random() * sampleQuotes.length);
+    next(writeError(error));
+  }
+});
+
+// Remove a scheduled Quote of the Day (?category= for a category's); the day
+// gets an automatic pick again
+app.delete('/api/quotes/schedule/:date', canSchedule, validateRequest({ params: SCHEDULE_PARAMS, query: UNSCHEDULE_QUERY_SCHEMA }), async (req, res, next) => {
+  try {
+    const date = parseDate(req.params.date, 'date', 'params');
+    const pick = await quotes.dailyQuotes.unschedule(date, req.query.category || null);
+    res.locals.dataSource = 'db';
+
+    if (!pick) {
+      return next(new NotFoundError('No quote is scheduled for this date', { code: 'SCHEDULE_NOT_FOUND' }));
+    }
+
     res.json({
       success: true,
-      data: sampleQuotes[randomIndex],
-      source: 'sample_data'
+      data: pick,
+      message: 'Scheduled quote removed successfully'
     });
+  } catch (error) {
+    next(writeError(error));
+  }
+});
+
+// List categories with the number of quotes in each
+app.get('/api/quotes/categories', canRead, async (req, res, next) => {
+  try {
+    const result = await dataSource.read('categories', {
+      load: () => quotes.categories(),
+      sample: () => sampleQuotes.categories()
+    });
+    httpCache.send(req, res, result, {
+      success: true,
+      data: result.value,
+      count: result.value.length
+    }, { policy: 'list' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Aggregate statistics (cached briefly, see lib/cache)
+app.get('/api/quotes/stats', canRead, validateRequest({ query: STATS_QUERY_SCHEMA }), async (req, res, next) => {
+  try {
+    const options = parseStatsQuery(req.query);
+    const key = `stats:${options.range}:${options.detailed}`;
+    const result = await dataSource.read(key, {
+      load: () => quotes.stats(options),
+      sample: () => sampleQuotes.stats(options)
+    });
+    httpCache.send(req, res, result, {
+      success: true,
+      data: result.value
+    }, { policy: 'list' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Bulk export as json, ndjson, csv or xml, streamed in batches from the repository.
+// Exports are not cached, so the "cache" policy answers 503 like "strict".
+app.get('/api/quotes/export', canRead, validateRequest({ query: EXPORT_QUERY_SCHEMA }), async (req, res, next) => {
+  let options;
+  try {
+    options = parseExportQuery(req.query);
+  } catch (error) {
+    return next(error);
+  }
+
+  try {
+    setDataSource(res, { source: 'db' });
+    await quotes.exportQuotes(res, options);
+  } catch (error) {
+    if (res.headersSent) {
+      // Too late for a status code: cut the transfer so the client sees it is incomplete
+      req.log.error('Export failed mid-stream', error);
+      res.destroy(error);
+      return;
+    }
+
+    try {
+      const result = await dataSource.degrade(error, undefined, () => true);
+      setDataSource(res, result);
+      await sampleQuotes.exportQuotes(res, options);
+    } catch (degradeError) {
+      res.removeHeader('X-Data-Source');
+      next(degradeError);
+    }
   }
 });
 
 // Get quote by ID
-app.get('/api/quotes/:id', async (req, res) => {
+// Fixed paths under /api/quotes (random, today, search, categories, ...) must be
+// registered above this route, otherwise Express treats them as ids.
+app.get('/api/quotes/:id', canRead, validateRequest({ params: QUOTE_ID_PARAMS }), async (req, res, next) => {
   const { id } = req.params;
-  
+
   try {
-    const result = await pool.query('SELECT * FROM quotes WHERE id = $1', [id]);
-    if (result.rows.length > 0) {
-      res.json({
-        success: true,
-        data: result.rows[0]
-      });
-    } else {
-      res.status(404).json({
-        success: false,
-        message: 'Quote not found'
-      });
+    const result = await dataSource.read(`quote:${id}`, {
+      load: () => quotes.findById(id),
+      sample: () => sampleQuotes.findById(id)
+    });
+    const quote = result.value;
+    if (!quote) {
+      setDataSource(res, result);
+      return next(quoteNotFound());
     }
+
+    res.locals.quoteCategory = quote.category;
+    res.locals.quoteServed = true;
+    recordServe(result, id);
+    httpCache.send(req, res, result, {
+      success: true,
+      data: quote
+    }, { policy: 'item', rows: [quote] });
   } catch (error) {
-    console.log('Database not available, using sample data');
-    const quote = sampleQuotes.find(q => q.id === parseInt(id));
-    if (quote) {
-      res.json({
-        success: true,
-        data: quote,
-        source: 'sample_data'
-      });
-    } else {
-      res.status(404).json({
-        success: false,
-        message: 'Quote not found'
-      });
-    }
+    next(error);
   }
 });
 
 // Get quotes by category
-app.get('/api/quotes/category/:category', async (req, res) => {
+app.get('/api/quotes/category/:category', canRead, validateRequest({ params: CATEGORY_PARAMS }), async (req, res, next) => {
   const { category } = req.params;
-  
+
   try {
-    const result = await pool.query('SELECT * FROM quotes WHERE category = $1', [category]);
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows.length
+    const result = await dataSource.read(`category:${category}`, {
+      load: () => quotes.findByCategory(category),
+      sample: () => sampleQuotes.findByCategory(category)
     });
-  } catch (error) {
-    console.log('Database not available, using sample data');
-    const filteredQuotes = sampleQuotes.filter(q => q.category === category);
-    res.json({
+    // Only label known categories so arbitrary URLs can't inflate metric cardinality
+    if (result.value.length > 0) {
+      res.locals.quoteCategory = category;
+    }
+    httpCache.send(req, res, result, {
       success: true,
-      data: filteredQuotes,
-      count: filteredQuotes.length,
-      source: 'sample_data'
-    });
+      data: result.value,
+      count: result.value.length
+    }, { policy: 'list', rows: result.value });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Add new quote (POST)
-app.post('/api/quotes', async (req, res) => {
+app.post('/api/quotes', canCreate, jsonBody, validateRequest({ body: QUOTE_SCHEMA }), async (req, res, next) => {
   const { text, author, category } = req.body;
-  
-  if (!text || !author) {
-    return res.status(400).json({
-      success: false,
-      message: 'Text and author are required'
-    });
-  }
-  
+  const createdBy = req.principal ? req.principal.id : null;
+
   try {
-    const result = await pool.query(
-      'INSERT INTO quotes (text, author, category) VALUES ($1, $2, $3) RETURNING *',
-      [text, author, category || 'general']
-    );
+    const quote = await quotes.create({ text, author, category: category || 'general', createdBy });
     
+    res.locals.dataSource = 'db';
+    res.locals.quoteCategory = quote.category;
     res.status(201).json({
       success: true,
-      data: result.rows[0],
+      data: quote,
       message: 'Quote added successfully'
     });
   } catch (error) {
-    console.error('Error adding quote:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error adding quote to database'
+    next(writeError(error));
+  }
+});
+
+// Bulk import quotes from a JSON array, NDJSON or CSV body.
+// ?mode=atomic (default) rolls back everything if any row is invalid,
+// ?mode=best-effort keeps the valid rows; ?dryRun=true only reports what would happen.
+app.post(
+  '/api/quotes/import',
+  canImport,
+  validateRequest({ query: IMPORT_QUERY_SCHEMA }),
+  importBody,
+  async (req, res, next) => {
+    let rows;
+    let options;
+    try {
+      options = parseImportOptions(req.query);
+      rows = parseImportBody(req.get('Content-Type'), req.body);
+    } catch (error) {
+      return next(error);
+    }
+
+    try {
+      const report = await quotes.importQuotes(rows, options);
+      res.locals.dataSource = 'db';
+
+      const rejected = options.mode === 'atomic' && report.summary.invalid > 0;
+      let status = 200;
+      let message = 'Dry run completed, no quotes were imported';
+      if (rejected) {
+        status = 422;
+        message = options.dryRun
+          ? 'Dry run: import would be rejected because some rows are invalid'
+          : 'Import rejected: some rows are invalid, no quotes were imported';
+      } else if (report.committed) {
+        status = 201;
+        message = `${report.summary.imported} quotes imported successfully`;
+      } else if (!options.dryRun) {
+        message = 'No new quotes to import';
+      }
+
+      res.status(status).json({
+        success: !rejected,
+        data: report,
+        message
+      });
+    } catch (error) {
+      next(writeError(error));
+    }
+  }
+);
+
+// Replace a quote (PUT)
+app.put('/api/quotes/:id', canUpdate, jsonBody, validateRequest({ params: QUOTE_ID_PARAMS, body: QUOTE_SCHEMA }), ownsUpdatedQuote, async (req, res, next) => {
+  const { id } = req.params;
+  const { text, author, category } = req.body;
+
+  try {
+    const quote = await quotes.replace(id, { text, author, category: category || 'general' });
+    res.locals.dataSource = 'db';
+
+    if (!quote) {
+      return next(quoteNotFound());
+    }
+
+    res.locals.quoteCategory = quote.category;
+    res.json({
+      success: true,
+      data: quote,
+      message: 'Quote updated successfully'
+    });
+  } catch (error) {
+    next(writeError(error));
+  }
+});
+
+// Partially update a quote (PATCH)
+app.patch('/api/quotes/:id', canUpdate, jsonBody, validateRequest({ params: QUOTE_ID_PARAMS, body: QUOTE_PATCH_SCHEMA }), ownsUpdatedQuote, async (req, res, next) => {
+  const { id } = req.params;
+  const changes = { ...req.body };
+  if (changes.category !== undefined) {
+    changes.category = changes.category || 'general';
+  }
+
+  try {
+    const quote = await quotes.update(id, changes);
+    res.locals.dataSource = 'db';
+
+    if (!quote) {
+      return next(quoteNotFound());
+    }
+
+    res.locals.quoteCategory = quote.category;
+    res.json({
+      success: true,
+      data: quote,
+      message: 'Quote updated successfully'
+    });
+  } catch (error) {
+    next(writeError(error));
+  }
+});
+
+// Delete a quote
+app.delete('/api/quotes/:id', canDelete, validateRequest({ params: QUOTE_ID_PARAMS }), ownsDeletedQuote, async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const quote = await quotes.remove(id);
+    res.locals.dataSource = 'db';
+
+    if (!quote) {
+      return next(quoteNotFound());
+    }
+
+    res.json({
+      success: true,
+      data: quote,
+      message: 'Quote deleted successfully'
     });
+  } catch (error) {
+    next(writeError(error));
   }
 });
 
-// Initialize database tables
+// Prepare the repository (PostgreSQL migrations unless MIGRATE_ON_START=false,
+// in which case `npm run migrate` runs as a separate deploy step) and seed the
+// sample quotes into an empty store
 async function initializeDatabase() {
   try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS quotes (
-        id SERIAL PRIMARY KEY,
-        text TEXT NOT NULL,
-        author VARCHAR(255) NOT NULL,
-        category VARCHAR(100) DEFAULT 'general',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Check if we have any quotes, if not, insert sample data
-    const result = await pool.query('SELECT COUNT(*) FROM quotes');
-    if (parseInt(result.rows[0].count) === 0) {
-      console.log('Inserting sample quotes into database...');
-      for (const quote of sampleQuotes) {
-        await pool.query(
-          'INSERT INTO quotes (text, author, category) VALUES ($1, $2, $3)',
-          [quote.text, quote.author, quote.category]
-        );
-      }
-      console.log('Sample quotes inserted successfully');
+    await quotes.initialize();
+    if (await quotes.seed(SAMPLE_QUOTES)) {
+      logger.info('Sample quotes inserted successfully');
     }
   } catch (error) {
-    console.log('Database initialization failed, will use sample data:', error.message);
+    logger.warn('Database initialization failed, will use sample data', error);
   }
 }
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    message: 'Something went wrong!'
-  });
+// 404 handler
+app.use('*', (req, res, next) => {
+  next(new NotFoundError('Route not found', { code: 'ROUTE_NOT_FOUND' }));
 });
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Route not found'
+// Error handling middleware: every error becomes an application/problem+json response
+app.use(errorHandler);
+
+// Start server (only when run directly, so tests can require the app)
+if (require.main === module) {
+  const server = app.listen(PORT, async () => {
+    logger.info(`Quote API server running on port ${PORT}`, { port: Number(PORT), logLevel: logger.level });
+
+    // Initialize database
+    await initializeDatabase();
+    serveCounter.start();
+    admissionController.start();
   });
-});
 
-// Start server
-app.listen(PORT, async () => {
-  console.log(`🚀 Quote API server running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-  console.log(`💬 Random quote: http://localhost:${PORT}/api/quotes/random`);
-  
-  // Initialize database
-  await initializeDatabase();
-});
+  shutdownCoordinator.attach(server);
+  shutdownCoordinator.register();
+}
 
 module.exports = app;
\ No newline at end of file
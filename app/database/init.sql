@@ -1,3 +1,7 @@
+-- Bootstrap script for a fresh PostgreSQL container or local install.
+-- The schema is versioned in app/backend/migrations; make schema changes
+-- there, and the backend brings databases created by this script up to date.
+
 -- Create the quotes database
 CREATE DATABASE quotes_db;
 
@@ -10,7 +14,9 @@ CREATE TABLE IF NOT EXISTS quotes (
     text TEXT NOT NULL,
     author VARCHAR(255) NOT NULL,
     category VARCHAR(100) DEFAULT 'general',
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    served_count INTEGER NOT NULL DEFAULT 0
 );
 
 -- Insert sample quotes
@@ -47,6 +53,20 @@ CREATE INDEX idx_quotes_category ON quotes(category);
 -- Create an index on author for faster queries
 CREATE INDEX idx_quotes_author ON quotes(author);
 
+-- Create keyset pagination indexes for sorting GET /api/quotes
+CREATE INDEX idx_quotes_author_id ON quotes(author, id);
+CREATE INDEX idx_quotes_created_at_id ON quotes(created_at, id);
+
+-- Create an index for the most-served quotes in /api/quotes/stats
+CREATE INDEX idx_quotes_served_count ON quotes(served_count DESC);
+
+-- Create a full-text index for /api/quotes/search (expression must match lib/search.js)
+CREATE INDEX idx_quotes_search ON quotes USING GIN ((
+    setweight(to_tsvector('english', coalesce(text, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(author, '')), 'B') ||
+    setweight(to_tsvector('simple', coalesce(category, '')), 'C')
+));
+
 -- Display the inserted data
 SELECT COUNT(*) as total_quotes FROM quotes;
 SELECT DISTINCT category FROM quotes ORDER BY category;
\ No newline at end of file
@@ -12,13 +12,13 @@ function App() {
   const [allQuotes, setAllQuotes] = useState([]);
   const [showAllQuotes, setShowAllQuotes] = useState(false);
 
-  // Fetch random quote
-  const fetchRandomQuote = async () => {
+  // Fetch a quote: today's (the same for everyone) or a random one
+  const fetchQuote = async (path) => {
     setLoading(true);
     setError(null);
     
     try {
-      const response = await axios.get(`${API_BASE_URL}/api/quotes/random`);
+      const response = await axios.get(`${API_BASE_URL}${path}`);
       setQuote(response.data.data);
     } catch (err) {
       setError('Failed to fetch quote. Please try again.');
@@ -28,14 +28,30 @@ function App() {
     }
   };
 
-  // Fetch all quotes
+  // Today's quote for the browser's time zone
+  const fetchTodayQuote = () => {
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return fetchQuote(`/api/quotes/today${timeZone ? `?tz=${encodeURIComponent(timeZone)}` : ''}`);
+  };
+
+  const fetchRandomQuote = () => fetchQuote('/api/quotes/random');
+
+  // Fetch all quotes: the list is paginated, so follow the `next` cursor to the last page
   const fetchAllQuotes = async () => {
     setLoading(true);
     setError(null);
     
     try {
-      const response = await axios.get(`${API_BASE_URL}/api/quotes`);
-      setAllQuotes(response.data.data);
+      const quotes = [];
+      let cursor = null;
+      do {
+        const response = await axios.get(`${API_BASE_URL}/api/quotes`, {
+          params: cursor ? { limit: 100, cursor } : { limit: 100 }
+        });
+        quotes.push(...response.data.data);
+        cursor = response.data.pagination.next;
+      } while (cursor);
+      setAllQuotes(quotes);
       setShowAllQuotes(true);
     } catch (err) {
       setError('Failed to fetch quotes. Please try again.');
@@ -45,9 +61,9 @@ function App() {
     }
   };
 
-  // Load initial quote on component mount
+  // Load today's quote on component mount
   useEffect(() => {
-    fetchRandomQuote();
+    fetchTodayQuote();
   }, []);
 
   return (
@@ -1,28 +1,172 @@
+#!/usr/bin/env node
+// Health probe for the Quote API.
+//
+// Usable as a Docker HEALTHCHECK, a Compose healthcheck or a CI smoke test:
+//   node healthcheck.js                       # liveness on localhost:3001
+//   node healthcheck.js --mode=ready          # readiness (database checked)
+//   node healthcheck.js --host=backend --retries=10 --backoff=1000
+//
+// Every option can also be set through the environment (HEALTHCHECK_HOST,
+// HEALTHCHECK_PORT, HEALTHCHECK_PATH, HEALTHCHECK_MODE, HEALTHCHECK_TIMEOUT_MS,
+// HEALTHCHECK_RETRIES, HEALTHCHECK_BACKOFF_MS, HEALTHCHECK_ACCEPT); arguments win.
+//
+// Prints one JSON line describing the result and exits 0 when healthy, 1 otherwise.
 const http = require('http');
+const { parseArgs } = require('util');
 
-const options = {
-  hostname: 'localhost',
-  port: 3001,
-  path: '/health',
-  method: 'GET',
-  timeout: 2000
+const MODES = {
+  live: { path: '/health/live', accept: ['healthy'] },
+  ready: { path: '/health/ready', accept: ['healthy', 'degraded'] }
 };
+const MAX_BACKOFF_MS = 10000;
 
-const req = http.request(options, (res) => {
-  if (res.statusCode === 200) {
+const USAGE = `Usage: node healthcheck.js [options]
+
+  --host=HOST        Host to probe (default: localhost)
+  --port=PORT        Port to probe (default: $PORT or 3001)
+  --mode=MODE        live or ready (default: live)
+  --path=PATH        Override the path derived from --mode
+  --timeout=MS       Timeout per attempt in milliseconds (default: 2000)
+  --retries=N        Extra attempts after a failure (default: 0)
+  --backoff=MS       Delay before the first retry, doubled each time (default: 500)
+  --accept=LIST      Comma-separated body statuses that count as healthy
+                     (default: healthy for live, healthy,degraded for ready)
+  --help             Show this help`;
+
+function fail(message) {
+  console.error(`healthcheck: ${message}`);
+  console.error(USAGE);
+  // Docker reserves exit code 2 for HEALTHCHECK, so configuration errors also exit 1
+  process.exit(1);
+}
+
+function toInteger(value, name, min) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    fail(`--${name} must be an integer >= ${min}`);
+  }
+  return number;
+}
+
+function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        host: { type: 'string' },
+        port: { type: 'string' },
+        mode: { type: 'string' },
+        path: { type: 'string' },
+        timeout: { type: 'string' },
+        retries: { type: 'string' },
+        backoff: { type: 'string' },
+        accept: { type: 'string' },
+        help: { type: 'boolean' }
+      }
+    }));
+  } catch (error) {
+    fail(error.message);
+  }
+
+  if (values.help) {
+    console.log(USAGE);
     process.exit(0);
-  } else {
-    process.exit(1);
   }
-});
 
-req.on('error', () => {
-  process.exit(1);
-});
+  const mode = values.mode || env.HEALTHCHECK_MODE || 'live';
+  if (!MODES[mode]) {
+    fail(`--mode must be one of: ${Object.keys(MODES).join(', ')}`);
+  }
 
-req.on('timeout', () => {
-  req.destroy();
-  process.exit(1);
-});
+  const accept = values.accept || env.HEALTHCHECK_ACCEPT;
+  return {
+    host: values.host || env.HEALTHCHECK_HOST || 'localhost',
+    port: toInteger(values.port || env.HEALTHCHECK_PORT || env.PORT || 3001, 'port', 1),
+    mode,
+    path: values.path || env.HEALTHCHECK_PATH || MODES[mode].path,
+    timeoutMs: toInteger(values.timeout || env.HEALTHCHECK_TIMEOUT_MS || 2000, 'timeout', 1),
+    retries: toInteger(values.retries || env.HEALTHCHECK_RETRIES || 0, 'retries', 0),
+    backoffMs: toInteger(values.backoff || env.HEALTHCHECK_BACKOFF_MS || 500, 'backoff', 0),
+    accept: accept ? accept.split(',').map(status => status.trim()).filter(Boolean) : MODES[mode].accept
+  };
+}
+
+// One HTTP attempt. Resolves with { ok, httpStatus, status, error }; never rejects.
+function probe({ host, port, path, timeoutMs, accept }) {
+  return new Promise(resolve => {
+    const req = http.request({ hostname: host, port, path, method: 'GET', timeout: timeoutMs }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        let status;
+        let bodyError = null;
+        try {
+          status = JSON.parse(body).status;
+        } catch (error) {
+          bodyError = 'Response body is not JSON';
+        }
+
+        // The HTTP status says more than the body, which proxies replace with HTML
+        if (res.statusCode !== 200) {
+          return resolve({ ok: false, httpStatus: res.statusCode, status, error: `HTTP ${res.statusCode}` });
+        }
+        if (bodyError) {
+          return resolve({ ok: false, httpStatus: res.statusCode, error: bodyError });
+        }
+        if (!accept.includes(status)) {
+          return resolve({ ok: false, httpStatus: res.statusCode, status, error: `Unexpected status "${status}"` });
+        }
+        resolve({ ok: true, httpStatus: res.statusCode, status });
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Timed out after ${timeoutMs}ms`));
+    });
+    req.on('error', error => {
+      resolve({ ok: false, error: error.message });
+    });
+    req.end();
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function run(config) {
+  const started = Date.now();
+  let result;
+  let attempts = 0;
+
+  // Retries cover container start-up, when the server is not listening yet
+  while (attempts <= config.retries) {
+    if (attempts > 0) {
+      await sleep(Math.min(config.backoffMs * 2 ** (attempts - 1), MAX_BACKOFF_MS));
+    }
+    attempts += 1;
+    result = await probe(config);
+    if (result.ok) {
+      break;
+    }
+  }
+
+  return {
+    ...result,
+    mode: config.mode,
+    url: `http://${config.host}:${config.port}${config.path}`,
+    attempts,
+    durationMs: Date.now() - started
+  };
+}
+
+if (require.main === module) {
+  run(loadConfig()).then(result => {
+    console.log(JSON.stringify(result));
+    process.exit(result.ok ? 0 : 1);
+  });
+}
 
-req.end();
\ No newline at end of file
+module.exports = { loadConfig, probe, run };